@@ -1,13 +1,41 @@
 import {
+  abortable,
+  anySignal,
   hasOwnProperty,
   isDefined,
+  isNotSet,
   isSet,
+  throwIfAborted,
   valueOrDefault
 } from "./util/utils.js";
 
+import {
+  DEFAULT_EQUALITY,
+  resolveEquals
+} from "./util/equality.js";
+
+import {
+  DEFAULT_SCHEDULER,
+  resolveScheduler
+} from "./util/schedulers.js";
+
+import { validateSchema } from "./util/schema.js";
+import { closestMatch } from "./util/suggest.js";
+import TopicTrie from "./util/TopicTrie.js";
+
+import PubstDisposedError from "./error/PubstDisposedError.js";
+import PubstError from "./error/PubstError.js";
+import PubstNoResponderError from "./error/PubstNoResponderError.js";
+import PubstOverflowError from "./error/PubstOverflowError.js";
+import PubstTimeoutError from "./error/PubstTimeoutError.js";
+import PubstUnknownTopicError from "./error/PubstUnknownTopicError.js";
+import PubstValidationError from "./error/PubstValidationError.js";
 import ConsoleLogger from "./logger/ConsoleLogger.js";
 import SilentLogger from "./logger/SilentLogger.js";
+import PubstScope from "./scope/PubstScope.js";
 import InMemoryStore from "./store/InMemoryStore.js";
+import TopicObservable from "./stream/TopicObservable.js";
+import TopicStream from "./stream/TopicStream.js";
 
 /**
  *  Pubst - A slightly opinionated pub/sub library for JavaScript.
@@ -38,6 +66,11 @@ const DEFAULT_TOPIC_CONFIG = {
   eventOnly: false,
   doPrime: true,
   allowRepeats: false,
+  equals: DEFAULT_EQUALITY,
+  scheduler: undefined,
+  validate: undefined,
+  derive: undefined,
+  history: undefined,
   storeConfig: {}
 };
 
@@ -46,9 +79,24 @@ const ALLOWED_SUB_PROPS = [
   'handler',
   'default',
   'doPrime',
-  'allowRepeats'
+  'allowRepeats',
+  'equals',
+  'scheduler',
+  'priority',
+  'once',
+  'replay',
+  'cacheMatches',
+  'onComplete',
+  'signal'
 ];
 
+const RESERVED_TOPIC_PREFIX = '$pubst.';
+const HANDLER_ERROR_TOPIC = '$pubst.handlerError';
+const DEAD_LETTER_TOPIC = '$pubst.deadLetter';
+const DEFAULT_DEAD_LETTER_SIZE = 100;
+const RPC_REQUEST_TOPIC_PREFIX = '$pubst.rpc.request.';
+const RPC_REPLY_TOPIC_PREFIX = '$pubst.rpc.reply.';
+
 function buildConfig(base, extensions) {
   const result = {};
 
@@ -65,12 +113,99 @@ function buildConfig(base, extensions) {
   return result;
 }
 
+function describeSubscription(sub) {
+  const result = {};
+
+  ALLOWED_SUB_PROPS
+    .filter(key => hasOwnProperty(sub, key))
+    .forEach(key => {
+      result[key] = sub[key];
+    });
+
+  return Object.freeze(result);
+}
+
+function historyLimits(history) {
+  if (typeof history === 'number') {
+    return {size: history, maxAge: undefined};
+  }
+
+  return {size: history.size, maxAge: history.maxAge};
+}
+
+function deadLetterSize(deadLetters) {
+  if (typeof deadLetters === 'boolean') {
+    return deadLetters ? DEFAULT_DEAD_LETTER_SIZE : 0;
+  }
+
+  const size = isSet(deadLetters) && typeof deadLetters === 'object' ? valueOrDefault(deadLetters.size, DEFAULT_DEAD_LETTER_SIZE) : undefined;
+
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new Error(`The 'deadLetters' option must be a boolean or an object with a positive integer 'size'.`);
+  }
+
+  return size;
+}
+
+// Pubst's own topics (handler errors, dead letters, and RPC) do not warn
+// when nobody is listening and are never recorded as dead letters.
+function isReservedTopic(topic) {
+  return topic.startsWith(RESERVED_TOPIC_PREFIX);
+}
+
+function isThenable(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
 /**
  * @typedef {Object} PubstConfig
  * @property {Object} [logger] - Logger to send warning messages to.
  * @property {boolean} [showWarnings] - If logger isn't provided, switches between ConsoleLogger and SilentLogger.
  * @property {Object} [store] - A store implementation for persisting topic values.
  * @property {Array<TopicConfig>} [topics] - An array of topic configurations.
+ * @property {Function} [onHandlerError] - Called with `(error, {topic, value, subscription})` when a subscriber handler throws or rejects.
+ * @property {boolean} [publishHandlerErrors=false] - Republish handler errors on the `Pubst.HANDLER_ERROR_TOPIC` topic.
+ * @property {string|Function} [scheduler='macrotask'] - How subscriber handlers are scheduled: `'sync'`, `'microtask'`, `'macrotask'`, `'animationFrame'`, or a function that receives a callback.
+ * @property {boolean} [strict=false] - Reject publishing to, subscribing to, or reading topics that have not been configured.
+ * @property {string} [topicSeparator='.'] - Separates the levels of topic names for wildcard subscriptions.
+ * @property {boolean|DeadLetterConfig} [deadLetters=false] - Keep publishes that no subscriber received.
+ */
+
+/**
+ * @typedef {Object} DeadLetterConfig
+ * @property {number} [size=100] - The most dead letters to keep.  The oldest are dropped first.
+ */
+
+/**
+ * @typedef {Object} DeadLetter
+ * @property {string} topic - The topic that was published to.
+ * @property {*} payload - The published payload.
+ * @property {number} timestamp - When the payload was published, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {Object} HandlerErrorContext
+ * @property {string} topic - The topic that was being delivered.
+ * @property {*} value - The value passed to the handler.
+ * @property {Object} subscription - A read-only copy of the subscription's configuration.
+ */
+
+/**
+ * @typedef {Object} DeliveryResult
+ * @property {string} status - One of `'fulfilled'`, `'rejected'`, `'skipped'` (suppressed as a repeat), or `'cancelled'` (unsubscribed before delivery).
+ * @property {string} topic - The topic that was delivered.
+ * @property {*} value - The value passed (or that would have been passed) to the handler.
+ * @property {Object} subscription - A read-only copy of the subscription's configuration.
+ * @property {*} [result] - The handler's return value (or resolved value) when fulfilled.
+ * @property {*} [reason] - The error thrown or rejected by the handler when rejected.
+ */
+
+/**
+ * @typedef {Object} PublishContext
+ * @property {string} topic - The topic being published to.
+ * @property {*} payload - The payload being published.  Middleware may replace it before calling `next()`.
+ * @property {Object} topicConfig - A read-only copy of the topic's configuration.
+ * @property {Promise<Array<DeliveryResult>>} [delivery] - Set once `next()` resolves.  Resolves when every subscriber has run.
  */
 
 /**
@@ -80,15 +215,73 @@ function buildConfig(base, extensions) {
  * @property {boolean} [eventOnly=false] - Set to true if this topic will not have payload data.
  * @property {boolean} [doPrime=true] - Should new subscribers automatically receive the last published value?
  * @property {boolean} [allowRepeats=false] - Alert subscribers of all publish events, even if unchanged.
+ * @property {string|Function} [equals='strict'] - How values are compared for repeat suppression: `'strict'`, `'shallow'`, `'deep'`, or a comparator function.
+ * @property {string|Function} [scheduler] - Overrides the instance's delivery scheduler for this topic.
+ * @property {Function|Object} [validate] - A predicate/assertion function or a JSON-Schema-subset object that published payloads must satisfy.
+ * @property {DeriveConfig} [derive] - Compute this topic's value from other topics.  Derived topics can not be published to directly.
+ * @property {number|HistoryConfig} [history] - Retain recently published values.  A number keeps that many values.
  * @property {Object} [storeConfig={}] - Store-specific configuration passed to the store's registerTopic method.
  */
 
+/**
+ * @typedef {Object} DeriveConfig
+ * @property {Array<string>} from - The input topics.
+ * @property {Function} compute - Called with the current value of each input topic (in `from` order).  Returns the derived value or a promise for it.
+ */
+
+/**
+ * @typedef {Object} HistoryConfig
+ * @property {number} [size] - The most values to keep.
+ * @property {number} [maxAge] - Milliseconds to keep each value.
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {*} value - The published value (as stored).
+ * @property {number} timestamp - When the value was published, in milliseconds since the epoch.
+ */
+
 /**
  * @typedef {Object} SubscriptionConfig
  * @property {Function} handler - The handler to call when the topic is updated.
  * @property {*} [default] - Default value for this subscription.
  * @property {boolean} [doPrime=true] - Should the handler be primed with the last value?
  * @property {boolean} [allowRepeats=false] - Should the handler be called when the value doesn't change?
+ * @property {string|Function} [equals] - Overrides the topic's repeat suppression comparison for this subscription.
+ * @property {string|Function} [scheduler] - Overrides the topic's delivery scheduler for this subscription.
+ * @property {number} [priority=0] - Subscriptions with a higher priority are delivered first.
+ * @property {boolean} [once=false] - Remove the subscription after its first delivery.
+ * @property {string|number} [replay] - Deliver a topic's history instead of priming: `'last'`, `'all'`, or the number of most recent values.
+ * @property {boolean} [cacheMatches=true] - Remember a matcher function's result for each topic instead of calling it on every publish.
+ * @property {Function} [onComplete] - Called with the subscription's topic when it is dropped by `removeTopic`, `dispose`, or its `signal`.
+ * @property {AbortSignal} [signal] - Removes the subscription when aborted.
+ */
+
+/**
+ * @typedef {Object} SignalOptions
+ * @property {AbortSignal} [signal] - Abandons the operation when aborted.  The returned promise rejects with the signal's reason.
+ */
+
+/**
+ * @typedef {Object} WaitForOptions
+ * @property {Function} [predicate] - Called with `(value, topic)`.  Only a value for which it returns a truthy value resolves the promise.
+ * @property {number} [timeout] - Milliseconds to wait before rejecting with a `PubstTimeoutError`.
+ * @property {AbortSignal} [signal] - Rejects with the signal's reason when aborted.
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeout] - Milliseconds to wait for a reply before rejecting with a `PubstTimeoutError`.
+ * @property {AbortSignal} [signal] - Rejects with the signal's reason when aborted.
+ */
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {number} [bufferSize=100] - Maximum number of unread deliveries.
+ * @property {string} [overflow='drop-oldest'] - What to do when the buffer is full: `'drop-oldest'`, `'drop-newest'`, or `'error'`.
+ * @property {*} [default] - Default value for the underlying subscription.
+ * @property {boolean} [doPrime] - Should the stream start with the last value?
+ * @property {boolean} [allowRepeats] - Should repeated values be delivered?
  */
 
 /**
@@ -96,12 +289,45 @@ function buildConfig(base, extensions) {
  */
 class Pubst {
 
+  /**
+   * @summary Reserved topic that subscriber handler errors are published to
+   *   when `publishHandlerErrors` is enabled.
+   * @type {string}
+   */
+  static HANDLER_ERROR_TOPIC = HANDLER_ERROR_TOPIC;
+
+  /**
+   * @summary Reserved topic that publishes nobody received are published
+   *   to when `deadLetters` is enabled.
+   * @type {string}
+   */
+  static DEAD_LETTER_TOPIC = DEAD_LETTER_TOPIC;
+
   #logger = new ConsoleLogger();
+  #onHandlerError = null;
+  #publishHandlerErrors = false;
+  #scheduler = DEFAULT_SCHEDULER;
+  #strict = false;
+  #middleware = [];
 
   #store = new InMemoryStore();
+  #detachStore = null;
   #stringSubs = {};
+  #patternSubs = new TopicTrie();
   #fnSubs = [];
+  #fnMatchCache = new Map();
+  #nextSubSequence = 0;
   #topics = {};
+  #deriveVersions = {};
+  #history = {};
+  #nextHistorySequence = 0;
+  #responders = new Map();
+  #pendingWrites = new Map();
+  #deadLetterSize = 0;
+  #deadLetters = [];
+  #replacedDeadLetters = new WeakSet();
+  #nextRequestId = 0;
+  #disposed = false;
 
   /**
    * @summary Creates a new Pubst instance.
@@ -135,12 +361,36 @@ class Pubst {
    *    <li>`showWarnings` - If logger isn't provided, this option switches between the use of ConsoleLogger and SilentLogger</li>
    *    <li>`store` (default: InMemoryStore) - A store implementation for persisting topic values.
    *        Custom stores must implement the same async interface as InMemoryStore:
-   *        `registerTopic`, `getValue`, `setValue`, `clearValue`, and `getTopicNames`.</li>
+   *        `registerTopic`, `getValue`, `setValue`, `clearValue`, and `getTopicNames`.  A store may also
+   *        implement `unregisterTopic(topicName)` (see `removeTopic`) and `onExternalChange(callback)` to
+   *        report values that changed outside of this instance.
+   *        (See `Custom Stores` in the README.)</li>
    *    <li>`topics` - An array of topic configurations. (See: `addTopic` for topic configuration options)</li>
+   *    <li>`onHandlerError` - A function called with `(error, {topic, value, subscription})` when a
+   *        subscriber handler throws or returns a rejected promise.  If not provided, the error is
+   *        logged as a warning.</li>
+   *    <li>`publishHandlerErrors` (default: false) - If true, handler errors are also published to the
+   *        reserved `Pubst.HANDLER_ERROR_TOPIC` topic as `{error, topic, value, subscription}` so that
+   *        a central error reporter can subscribe to them.</li>
+   *    <li>`scheduler` (default: 'macrotask') - How subscriber handlers are scheduled.  One of `'sync'`,
+   *        `'microtask'`, `'macrotask'`, `'animationFrame'`, or a function that receives a callback and
+   *        arranges for it to be called.  This can be overridden by topics and subscribers.</li>
+   *    <li>`strict` (default: false) - If true, publishing to, subscribing to, or reading (`currentVal`) a topic
+   *        that has not been configured throws (or rejects) with a `PubstUnknownTopicError` instead of logging a
+   *        warning.  The error includes a suggestion when a configured topic has a similar name.</li>
+   *    <li>`topicSeparator` (default: '.') - The string that separates the levels of a topic name.  Used to
+   *        match wildcard (`+` and `#`) subscriptions.</li>
+   *    <li>`deadLetters` (default: false) - If true (or `{size}`), publishes that no subscriber received are
+   *        kept in a queue of at most `size` (default: 100) dead letters, readable with `deadLetters()` and
+   *        redelivered with `replayDeadLetters()`.  Each is also published to the reserved
+   *        `Pubst.DEAD_LETTER_TOPIC` topic as `{topic, payload, timestamp}`.  Setting it to false empties
+   *        the queue.</li>
    *  </ul>
    * </p>
    */
   async configure(userConfig = {}) {
+    this.#assertNotDisposed();
+
     if (userConfig.logger) {
       this.#logger = userConfig.logger
     } else if (hasOwnProperty(userConfig, 'showWarnings') && !userConfig.showWarnings) {
@@ -148,7 +398,51 @@ class Pubst {
     }
 
     if (userConfig.store) {
-      this.#store = userConfig.store;
+      this.#useStore(userConfig.store);
+    }
+
+    if (hasOwnProperty(userConfig, 'scheduler')) {
+      resolveScheduler(userConfig.scheduler);
+      this.#scheduler = userConfig.scheduler;
+    }
+
+    if (hasOwnProperty(userConfig, 'strict')) {
+      this.#strict = Boolean(userConfig.strict);
+    }
+
+    if (hasOwnProperty(userConfig, 'topicSeparator')) {
+      this.#reindexStringSubs(new TopicTrie(userConfig.topicSeparator));
+    }
+
+    if (hasOwnProperty(userConfig, 'onHandlerError')) {
+      this.#onHandlerError = typeof userConfig.onHandlerError === 'function' ? userConfig.onHandlerError : null;
+    }
+
+    if (hasOwnProperty(userConfig, 'publishHandlerErrors')) {
+      this.#publishHandlerErrors = Boolean(userConfig.publishHandlerErrors);
+
+      if (this.#publishHandlerErrors && !this.#topics[HANDLER_ERROR_TOPIC]) {
+        await this.addTopic({
+          name: HANDLER_ERROR_TOPIC,
+          doPrime: false,
+          allowRepeats: true,
+          storeConfig: {persist: false}
+        });
+      }
+    }
+
+    if (hasOwnProperty(userConfig, 'deadLetters')) {
+      this.#deadLetterSize = deadLetterSize(userConfig.deadLetters);
+      this.#deadLetters = this.#deadLetterSize === 0 ? [] : this.#deadLetters.slice(-this.#deadLetterSize);
+
+      if (this.#deadLetterSize > 0 && !this.#topics[DEAD_LETTER_TOPIC]) {
+        await this.addTopic({
+          name: DEAD_LETTER_TOPIC,
+          doPrime: false,
+          allowRepeats: true,
+          storeConfig: {persist: false}
+        });
+      }
     }
 
     if (Array.isArray(userConfig.topics)) {
@@ -184,10 +478,46 @@ class Pubst {
    *      This can be overridden by subscribers.
    *    </li>
    *    <li>
-   *      `allowRepeats` (default: false) - Alert subscribers of all publish events, even if the value is equal (by strict comparison) to the last value sent.
+   *      `allowRepeats` (default: false) - Alert subscribers of all publish events, even if the value is equal
+   *      (as determined by `equals`) to the last value sent.
    *      This can be overridden by subscribers.
    *    </li>
    *    <li>
+   *      `equals` (default: 'strict') - How a new value is compared to the last value sent to a subscriber when
+   *      suppressing repeats.  One of `'strict'` (`===`), `'shallow'` (own entries compared with `===`),
+   *      `'deep'` (structural comparison, including Dates, Maps, Sets, arrays, and cycles), or a comparator
+   *      function that receives `(previous, next)` and returns `true` if they are equal.
+   *      This can be overridden by subscribers.
+   *    </li>
+   *    <li>
+   *      `scheduler` (default: the instance's scheduler) - How subscriber handlers are scheduled for this topic.
+   *      See `configure` for available schedulers.  This can be overridden by subscribers.
+   *    </li>
+   *    <li>
+   *      `validate` (default: undefined) - Describes what the topic carries.  Either a function that receives the
+   *      payload and returns `false` (or throws) when it is invalid, or a JSON-Schema-subset object (supporting
+   *      `type`, `enum`, `const`, `properties`, `required`, `additionalProperties`, `items`, `minItems`, `maxItems`,
+   *      `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `minLength`, `maxLength`, and `pattern`).
+   *      Publishing an invalid payload rejects with a `PubstValidationError` listing the failing paths.  The payload
+   *      is neither stored nor delivered.  Clearing the topic (publishing `null` or `undefined`) is not validated.
+   *    </li>
+   *    <li>
+   *      `derive` (default: undefined) - Makes this a derived topic whose value is computed from other topics.
+   *      An object of `{from, compute}` where `from` is an array of input topic names and `compute` is called with
+   *      the current value of each input (defaults applied) and returns the topic's value (or a promise for it).
+   *      The topic is recomputed in the background when it is added and whenever an input is published, so
+   *      neither waits for `compute`.  If an async `compute` is still running when an input changes again, its
+   *      result is discarded.  Derived topics are read-only:
+   *      publishing to them rejects with a `PubstError`.  Adding a topic that would create a dependency cycle
+   *      throws.
+   *    </li>
+   *    <li>
+   *      `history` (default: undefined) - Keep recently published values (with timestamps) in memory so they can
+   *      be read with `history()` and replayed to new subscribers with the `replay` subscription option.  Either
+   *      the number of values to keep, or an object of `{size, maxAge}` where `maxAge` is a time window in
+   *      milliseconds.  When both are given, values must satisfy both limits to be kept.
+   *    </li>
+   *    <li>
    *      `storeConfig` (default: {}) - Store-specific configuration that is passed through to the store's
    *      `registerTopic` method.  This allows custom store implementations to receive topic-level
    *      configuration (e.g. persistence keys, TTL settings, etc.).
@@ -196,12 +526,52 @@ class Pubst {
    * </p>
    */
   async addTopic(newTopicConfig) {
+    this.#assertNotDisposed();
+
     const topic = buildConfig(DEFAULT_TOPIC_CONFIG, newTopicConfig);
 
     if (!topic.name) {
       throw new Error('Topics must have a name.');
     }
 
+    if (isDefined(topic.equals)) {
+      resolveEquals(topic.equals);
+    }
+
+    if (isDefined(topic.scheduler)) {
+      resolveScheduler(topic.scheduler);
+    }
+
+    const validateIsUsable = typeof topic.validate === 'function' || (isSet(topic.validate) && typeof topic.validate === 'object');
+    if (isDefined(topic.validate) && !validateIsUsable) {
+      throw new Error(`The 'validate' option for '${topic.name}' must be a function or a schema object.`);
+    }
+
+    if (isDefined(topic.derive)) {
+      const {from, compute} = topic.derive || {};
+
+      if (!Array.isArray(from) || from.length === 0 || !from.every(input => typeof input === 'string') || typeof compute !== 'function') {
+        throw new Error(`The 'derive' option for '${topic.name}' must have a non-empty 'from' array of topic names and a 'compute' function.`);
+      }
+
+      const cycle = this.#findDeriveCycle(topic.name, from);
+      if (cycle) {
+        throw new Error(`The '${topic.name}' topic can not be derived from its own value.  Dependency cycle: ${cycle.join(' -> ')}`);
+      }
+    }
+
+    if (isDefined(topic.history)) {
+      const {size, maxAge} = typeof topic.history === 'object' && topic.history !== null ? topic.history : {size: topic.history};
+      const sizeIsUsable = !isDefined(size) || (Number.isInteger(size) && size > 0);
+      const maxAgeIsUsable = !isDefined(maxAge) || (Number.isFinite(maxAge) && maxAge > 0);
+
+      if (!sizeIsUsable || !maxAgeIsUsable || (!isDefined(size) && !isDefined(maxAge))) {
+        throw new Error(`The 'history' option for '${topic.name}' must be a positive integer or an object with a positive 'size' and/or 'maxAge'.`);
+      }
+    } else {
+      delete this.#history[topic.name];
+    }
+
     if (this.#topics[topic.name]) {
       this.#logger.warn(
         'Pubst.addTopic',
@@ -211,7 +581,14 @@ class Pubst {
 
     this.#topics[topic.name] = topic;
 
-    return await this.#store.registerTopic(topic.name, null, topic.storeConfig);
+    const result = await this.#store.registerTopic(topic.name, null, topic.storeConfig);
+
+    if (topic.derive) {
+      this.#startRecompute(topic.name);
+    }
+    this.#recomputeDependents(topic.name);
+
+    return result;
   }
 
   /**
@@ -228,60 +605,251 @@ class Pubst {
    * For available options, see `addTopic`.
    */
   async addTopics(topics) {
+    this.#assertNotDisposed();
+
     for (const topic of topics) {
       await this.addTopic(topic);
     }
   }
 
+  /**
+   * @summary Remove a topic.
+   *
+   * @param {string} name - The topic to remove
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dropSubscribers=false] - Also remove the
+   *   topic's subscriptions.
+   *
+   * @returns {Promise<void>}
+   *
+   * @throws {PubstUnknownTopicError} If strict mode is on and the topic has
+   *   not been configured.
+   * @throws {Error} If another topic is derived from this one.
+   *
+   * @description
+   * <p>
+   * Forgets the topic's configuration and history, and removes its value
+   * from the store with the store's `unregisterTopic` method, so that it is
+   * no longer listed by `getTopicNames()`.  Stores without `unregisterTopic`
+   * have the value cleared instead.  Subscribers are not sent a value.
+   * </p>
+   *
+   * <p>
+   * Subscriptions to the topic's exact name are left in place unless
+   * `dropSubscribers` is true, and a warning is logged.  Dropped
+   * subscriptions have their `onComplete` callback called with the topic
+   * name, which also ends streams and completes observables for the topic.
+   * Wildcard and matcher function subscriptions are never dropped, because
+   * they may match other topics.
+   * </p>
+   */
+  async removeTopic(name, options = {}) {
+    this.#assertNotDisposed();
+
+    const {dropSubscribers = false} = options;
+
+    this.#assertConfigured(name);
+
+    const dependents = Object.keys(this.#topics)
+      .filter(topic => this.#topics[topic].derive && this.#topics[topic].derive.from.includes(name));
+
+    if (dependents.length > 0) {
+      throw new Error(`The '${name}' topic can not be removed while other topics are derived from it: ${dependents.join(', ')}`);
+    }
+
+    if (!this.#topics[name]) {
+      this.#logger.warn('Pubst.removeTopic', `Removing '${name}', but that topic has not been configured.`);
+    }
+
+    delete this.#topics[name];
+    delete this.#history[name];
+    delete this.#deriveVersions[name];
+    this.#fnMatchCache.delete(name);
+    this.#deadLetters = this.#deadLetters.filter(letter => letter.topic !== name);
+
+    if (typeof this.#store.unregisterTopic === 'function') {
+      await this.#store.unregisterTopic(name);
+    } else {
+      await this.#store.clearValue(name);
+    }
+
+    const subs = this.#getStringSubsFor(name);
+
+    if (dropSubscribers) {
+      subs.forEach(sub => {
+        this.#cancelSub(sub);
+        this.#complete(sub, name);
+      });
+    } else if (subs.length > 0) {
+      this.#logger.warn('Pubst.removeTopic', `Removed '${name}' with ${subs.length} subscriber(s) still attached.`);
+    }
+  }
+
+  #assertNotDisposed() {
+    if (this.#disposed) {
+      throw new PubstDisposedError();
+    }
+  }
+
+  #assertConfigured(topic) {
+    if (this.#strict && !this.#topics[topic]) {
+      throw new PubstUnknownTopicError(topic, closestMatch(topic, Object.keys(this.#topics)));
+    }
+  }
+
   #getStringSubsFor(topic) {
     return Array.isArray(this.#stringSubs[topic]) ? this.#stringSubs[topic] : [];
   }
 
+  #runMatcher(sub, topic) {
+    try {
+      return Boolean(sub.topic(topic));
+    } catch (e) {
+      this.#logger.warn('Pubst.subscribe', `Matcher function threw an error for topic '${topic}': ${e.message}`);
+      return false;
+    }
+  }
+
+  // Matcher results are only remembered for configured topics, so the cache
+  // is bounded by the topic list rather than by every name ever published.
+  #getCachedFnSubsFor(topic) {
+    if (!this.#fnMatchCache.has(topic)) {
+      this.#fnMatchCache.set(topic, this.#fnSubs.filter(sub => sub.cacheMatches !== false && this.#runMatcher(sub, topic)));
+    }
+
+    return this.#fnMatchCache.get(topic);
+  }
+
   #getFnSubsFor(topic) {
-    return this.#fnSubs.filter(sub => {
-      try {
-        return sub.topic(topic);
-      } catch (e) {
-        this.#logger.warn('Pubst.subscribe', `Matcher function threw an error for topic '${topic}': ${e.message}`);
-        return false;
-      }
-    });
+    if (!this.#topics[topic]) {
+      return this.#fnSubs.filter(sub => this.#runMatcher(sub, topic));
+    }
+
+    return this.#getCachedFnSubsFor(topic)
+      .concat(this.#fnSubs.filter(sub => sub.cacheMatches === false && this.#runMatcher(sub, topic)));
+  }
+
+  #isPattern(topic) {
+    return typeof topic === 'string' && TopicTrie.isPattern(topic, this.#patternSubs.separator);
+  }
+
+  #subMatches(sub, topic) {
+    if (this.#isPattern(sub.topic)) {
+      return this.#patternSubs.match(topic).includes(sub);
+    }
+
+    if (typeof sub.topic === 'string') {
+      return sub.topic === topic;
+    }
+
+    if (sub.cacheMatches === false || !this.#topics[topic]) {
+      return this.#runMatcher(sub, topic);
+    }
+
+    return this.#getCachedFnSubsFor(topic).includes(sub);
+  }
+
+  #reindexStringSubs(patternSubs) {
+    const stringSubs = {};
+
+    Object.values(this.#stringSubs).flat()
+      .concat(this.#patternSubs.values())
+      .sort((a, b) => a.sequence - b.sequence)
+      .forEach(sub => {
+        if (TopicTrie.isPattern(sub.topic, patternSubs.separator)) {
+          patternSubs.add(sub.topic, sub);
+        } else {
+          stringSubs[sub.topic] = (stringSubs[sub.topic] || []).concat(sub);
+        }
+      });
+
+    this.#stringSubs = stringSubs;
+    this.#patternSubs = patternSubs;
+  }
+
+  #indexStringSub(subscriber) {
+    if (this.#isPattern(subscriber.topic)) {
+      this.#patternSubs.add(subscriber.topic, subscriber);
+    } else {
+      this.#stringSubs[subscriber.topic] = this.#getStringSubsFor(subscriber.topic).concat(subscriber);
+    }
   }
 
   #addSub(subscriber) {
-    if (typeof subscriber.topic === 'string') {
+    subscriber.sequence = this.#nextSubSequence++;
+    subscriber.pending = new Set();
+
+    if (this.#isPattern(subscriber.topic)) {
+      this.#indexStringSub(subscriber);
+
+      if (!Object.keys(this.#topics).some(topic => this.#subMatches(subscriber, topic))) {
+        this.#logger.warn('Pubst.addSub', `Adding a wildcard subscriber '${subscriber.topic}' that matches no configured topics.`);
+      }
+    } else if (typeof subscriber.topic === 'string') {
       if (!this.#topics[subscriber.topic]) {
+        this.#assertConfigured(subscriber.topic);
         this.#logger.warn('Pubst.addSub', `Adding a subscriber to non-configured topic '${subscriber.topic}'`);
       }
-      this.#stringSubs[subscriber.topic] = this.#getStringSubsFor(subscriber.topic).concat(subscriber);
+      this.#indexStringSub(subscriber);
     } else if (typeof subscriber.topic === 'function') {
-      const matchCount = Object.keys(this.#topics).filter(topic => {
-        try {
-          return subscriber.topic(topic);
-        } catch (e) {
-          this.#logger.warn('Pubst.addSub', `Matcher function threw an error while checking topic '${topic}': ${e.message}`);
-          return false;
-        }
-      }).length;
-      if (matchCount === 0) {
+      this.#fnSubs.push(subscriber);
+
+      if (subscriber.cacheMatches !== false) {
+        this.#fnMatchCache.forEach((matched, topic) => {
+          if (this.#runMatcher(subscriber, topic)) {
+            matched.push(subscriber);
+          }
+        });
+      }
+
+      if (!Object.keys(this.#topics).some(topic => this.#subMatches(subscriber, topic))) {
         this.#logger.warn('Pubst.addSub', `Adding a function matcher subscriber that matches no configured topics.`);
       }
-      this.#fnSubs.push(subscriber);
     } else {
       throw new Error('Unable to add subscriber.  Topic is not a string or a function');
     }
   }
 
   #removeSub(subscriber) {
-    if (typeof subscriber.topic === 'string') {
+    if (this.#isPattern(subscriber.topic)) {
+      this.#patternSubs.remove(subscriber.topic, subscriber);
+    } else if (typeof subscriber.topic === 'string') {
       this.#stringSubs[subscriber.topic] = this.#getStringSubsFor(subscriber.topic).filter(sub => sub !== subscriber);
     } else if (typeof subscriber.topic === 'function') {
       this.#fnSubs = this.#fnSubs.filter(sub => sub !== subscriber);
+      this.#fnMatchCache.forEach((matched, topic) => {
+        this.#fnMatchCache.set(topic, matched.filter(sub => sub !== subscriber));
+      });
+    }
+  }
+
+  #cancelSub(subscriber) {
+    subscriber.cancelled = true;
+    this.#removeSub(subscriber);
+    this.#detachSignal(subscriber);
+
+    subscriber.pending.forEach(cancel => cancel());
+    subscriber.pending.clear();
+  }
+
+  #detachSignal(subscriber) {
+    if (subscriber.onAbort) {
+      subscriber.signal.removeEventListener('abort', subscriber.onAbort);
+      subscriber.onAbort = null;
     }
   }
 
+  #allSubs() {
+    return Object.values(this.#stringSubs).flat()
+      .concat(this.#patternSubs.values())
+      .concat(this.#fnSubs);
+  }
+
   #allSubsFor(topic) {
-    return this.#getStringSubsFor(topic).concat(this.#getFnSubsFor(topic));
+    return this.#getStringSubsFor(topic)
+      .concat(this.#patternSubs.match(topic))
+      .concat(this.#getFnSubsFor(topic))
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.sequence - b.sequence);
   }
 
   #getTopicConfig(topic) {
@@ -291,48 +859,612 @@ class Pubst {
   #scheduleCall(sub, payload, topic) {
     const topicConfig = this.#getTopicConfig(topic);
 
+    if (sub.cancelled) {
+      return Promise.resolve({status: 'cancelled', topic, value: payload, subscription: describeSubscription(sub)});
+    }
+
+    if (sub.once && sub.spent) {
+      return Promise.resolve({status: 'skipped', topic, value: payload, subscription: describeSubscription(sub)});
+    }
+
     const defVal = typeof sub.default === 'undefined' ? topicConfig.default : sub.default;
     const eventOnly = hasOwnProperty(sub, 'eventOnly') ? sub.eventOnly : topicConfig.eventOnly;
     const allowRepeats = hasOwnProperty(sub, 'allowRepeats') ? sub.allowRepeats : topicConfig.allowRepeats;
     const value = eventOnly ? topic : valueOrDefault(payload, defVal);
 
-    if (eventOnly || allowRepeats || sub.lastVal !== value || sub.lastTopic !== topic) {
-      setTimeout(() => {
-        sub.handler(value, topic);
-        sub.lastVal = value;
-        sub.lastTopic = topic;
-      }, 0);
+    if (eventOnly || allowRepeats || sub.lastTopic !== topic || !this.#isRepeat(sub, topicConfig, value)) {
+      const schedule = resolveScheduler(isDefined(sub.scheduler) ? sub.scheduler : valueOrDefault(topicConfig.scheduler, this.#scheduler));
+
+      if (sub.once) {
+        sub.spent = true;
+        this.#removeSub(sub);
+      }
+
+      return new Promise(resolve => {
+        const cancel = () => {
+          resolve({status: 'cancelled', topic, value, subscription: describeSubscription(sub)});
+        };
+
+        sub.pending.add(cancel);
+
+        schedule(() => {
+          if (sub.pending.delete(cancel)) {
+            if (sub.once) {
+              // A fired once subscription is finished; a later abort must
+              // not complete it again.
+              this.#detachSignal(sub);
+            }
+            resolve(this.#deliver(sub, value, topic));
+          }
+        });
+      });
     }
+
+    return Promise.resolve({status: 'skipped', topic, value, subscription: describeSubscription(sub)});
   }
 
-  /**
-   * @summary Publish to a topic
-   *
-   * @param {string} topic - The topic to publish to
-   * @param {*} payload The payload to publish
-   *
-   * @returns {Promise<void>}
-   */
-  async publish(topic, payload) {
-    if (!this.#topics[topic]) {
-      this.#logger.warn('Pubst.publish', `Received a publish for '${topic}', but that topic has not been configured.`);
+  #isRepeat(sub, topicConfig, value) {
+    const equals = resolveEquals(isDefined(sub.equals) ? sub.equals : valueOrDefault(topicConfig.equals, DEFAULT_EQUALITY));
+
+    try {
+      return Boolean(equals(sub.lastVal, value));
+    } catch (e) {
+      this.#logger.warn('Pubst.scheduleCall', `Equality comparator threw an error for topic '${sub.lastTopic}': ${e.message}`);
+      return false;
     }
+  }
 
-    await this.#store.setValue(topic, payload);
-    const storedValue = await this.#store.getValue(topic);
-    const subs = this.#allSubsFor(topic);
+  #deliver(sub, value, topic) {
+    sub.lastVal = value;
+    sub.lastTopic = topic;
 
-    if (subs.length === 0) {
-      this.#logger.warn('Pubst.publish', `There are no subscribers that match '${topic}'!`);
-    } else {
-      subs.forEach(sub => {
-        this.#scheduleCall(sub, storedValue, topic);
-      });
+    const outcome = {topic, value, subscription: describeSubscription(sub)};
+    const rejected = reason => {
+      this.#reportHandlerError(reason, sub, value, topic);
+      return {status: 'rejected', reason, ...outcome};
+    };
+
+    let result;
+
+    try {
+      result = sub.handler(value, topic);
+    } catch (e) {
+      return rejected(e);
+    }
+
+    if (isThenable(result)) {
+      return Promise.resolve(result).then(
+        resolved => ({status: 'fulfilled', result: resolved, ...outcome}),
+        rejected
+      );
     }
+
+    return {status: 'fulfilled', result, ...outcome};
   }
 
-  /**
-   * @summary Subscribe to one or more topics
+  #complete(sub, topic) {
+    if (typeof sub.onComplete !== 'function') {
+      return;
+    }
+
+    try {
+      sub.onComplete(topic);
+    } catch (e) {
+      this.#reportHandlerError(e, sub, undefined, topic);
+    }
+  }
+
+  #rpcTopics(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('A request name must be a non-empty string.');
+    }
+
+    const topics = {
+      request: `${RPC_REQUEST_TOPIC_PREFIX}${name}`,
+      reply: `${RPC_REPLY_TOPIC_PREFIX}${name}`
+    };
+
+    if (this.#isPattern(topics.request)) {
+      throw new Error(`A request name can not contain wildcards: '${name}'.`);
+    }
+
+    return topics;
+  }
+
+  async #respond(name, responder, request) {
+    if (isNotSet(request) || !hasOwnProperty(request, 'id')) {
+      return;
+    }
+
+    let reply;
+
+    try {
+      reply = {id: request.id, value: await responder(request.payload)};
+    } catch (error) {
+      reply = {id: request.id, error};
+    }
+
+    try {
+      await this.publish(this.#rpcTopics(name).reply, reply);
+    } catch (e) {
+      this.#logger.warn('Pubst.handle', `Unable to reply to a '${name}' request: ${e && e.message}`);
+    }
+  }
+
+  #reportHandlerError(error, sub, value, topic) {
+    const context = {topic, value, subscription: describeSubscription(sub)};
+
+    if (this.#onHandlerError) {
+      try {
+        this.#onHandlerError(error, context);
+      } catch (e) {
+        this.#logger.warn('Pubst.deliver', `onHandlerError threw an error while handling an error for topic '${topic}': ${e && e.message}`);
+      }
+    } else {
+      this.#logger.warn('Pubst.deliver', `Subscriber for topic '${topic}' threw an error: ${error && error.message}`);
+    }
+
+    if (this.#publishHandlerErrors && topic !== HANDLER_ERROR_TOPIC) {
+      this.publish(HANDLER_ERROR_TOPIC, {error, ...context}).catch(e => {
+        this.#logger.warn('Pubst.deliver', `Unable to publish handler error for topic '${topic}': ${e && e.message}`);
+      });
+    }
+  }
+
+  #validatePayload(topic, payload) {
+    const {validate} = this.#getTopicConfig(topic);
+
+    if (!isDefined(validate) || isNotSet(payload)) {
+      return;
+    }
+
+    if (typeof validate === 'function') {
+      let valid;
+
+      try {
+        valid = validate(payload);
+      } catch (e) {
+        if (e instanceof PubstValidationError) {
+          throw e;
+        }
+        throw new PubstValidationError(topic, [{path: '$', message: e && e.message ? e.message : String(e)}], {cause: e});
+      }
+
+      if (valid === false) {
+        throw new PubstValidationError(topic, [{path: '$', message: 'rejected by validate function'}]);
+      }
+    } else {
+      const errors = validateSchema(validate, payload);
+
+      if (errors.length > 0) {
+        throw new PubstValidationError(topic, errors);
+      }
+    }
+  }
+
+  #runMiddleware(context, core) {
+    const middleware = this.#middleware.slice();
+
+    const dispatch = index => {
+      if (index === middleware.length) {
+        return core();
+      }
+
+      let called = false;
+      let pending = null;
+
+      const next = () => {
+        if (called) {
+          return Promise.reject(new Error('next() called multiple times by the same middleware.'));
+        }
+        called = true;
+
+        const result = dispatch(index + 1);
+        pending = result;
+        result.then(() => { pending = null; }, () => { pending = null; });
+        return result;
+      };
+
+      // A middleware that calls next() without returning or awaiting it still
+      // holds up the publish until the rest of the pipeline has settled, and
+      // its errors reject the publish.
+      return Promise.resolve(middleware[index](context, next)).then(async () => {
+        if (pending) {
+          await pending;
+        }
+      });
+    };
+
+    return dispatch(0);
+  }
+
+  async #publish(topic, payload, {isDerived = false, signal} = {}) {
+    throwIfAborted(signal);
+
+    if (!this.#topics[topic]) {
+      this.#assertConfigured(topic);
+      this.#logger.warn('Pubst.publish', `Received a publish for '${topic}', but that topic has not been configured.`);
+    } else if (this.#topics[topic].derive && !isDerived) {
+      throw new PubstError(`The '${topic}' topic is derived from other topics and can not be published to.`);
+    }
+
+    const context = {
+      topic,
+      payload,
+      topicConfig: Object.freeze({...this.#getTopicConfig(topic)}),
+      delivery: undefined
+    };
+
+    let deliveries = [];
+
+    await this.#runMiddleware(context, async () => {
+      throwIfAborted(signal);
+      deliveries = await this.#commit(topic, context.payload);
+
+      if (deliveries.length === 0 && !isDerived) {
+        this.#recordDeadLetter(topic, context.payload);
+      }
+      context.delivery = Promise.all(deliveries);
+    });
+
+    return deliveries;
+  }
+
+  async #commit(topic, payload) {
+    this.#validatePayload(topic, payload);
+
+    const deliveries = await this.#fanOut(topic, await this.#storeValue(topic, payload));
+
+    if (deliveries.length === 0 && !isReservedTopic(topic)) {
+      this.#logger.warn('Pubst.publish', `There are no subscribers that match '${topic}'!`);
+    }
+
+    return deliveries;
+  }
+
+  #recordDeadLetter(topic, payload) {
+    if (this.#deadLetterSize === 0 || isReservedTopic(topic)) {
+      return;
+    }
+
+    const letter = {topic, payload, timestamp: Date.now()};
+
+    this.#deadLetters.push(letter);
+    if (this.#deadLetters.length > this.#deadLetterSize) {
+      this.#deadLetters.shift();
+    }
+
+    this.publish(DEAD_LETTER_TOPIC, {...letter}).catch(e => {
+      this.#logger.warn('Pubst.publish', `Unable to publish a dead letter for topic '${topic}': ${e && e.message}`);
+    });
+  }
+
+  // Writes to the same topic are queued so that each publish delivers the
+  // value it stored, even when another publish to the topic is in flight.
+  #storeValue(topic, payload) {
+    const previous = this.#pendingWrites.get(topic) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      await this.#store.setValue(topic, payload);
+      return this.#store.getValue(topic);
+    });
+
+    const settled = write.then(() => {}, () => {});
+    this.#pendingWrites.set(topic, settled);
+    settled.then(() => {
+      if (this.#pendingWrites.get(topic) === settled) {
+        this.#pendingWrites.delete(topic);
+      }
+    });
+
+    return write;
+  }
+
+  async #fanOut(topic, storedValue) {
+    this.#recordHistory(topic, storedValue);
+
+    const deliveries = this.#allSubsFor(topic).map(sub => this.#scheduleCall(sub, storedValue, topic));
+
+    if (deliveries.length > 0) {
+      // Subscribers now hold a newer value than the topic's queued dead
+      // letters, so replaying them would deliver stale payloads last.
+      this.#deadLetters
+        .filter(letter => letter.topic === topic)
+        .forEach(letter => this.#replacedDeadLetters.add(letter));
+    }
+
+    this.#recomputeDependents(topic);
+
+    return deliveries;
+  }
+
+  #readHistory(topic) {
+    const {history} = this.#getTopicConfig(topic);
+
+    if (!isDefined(history)) {
+      return [];
+    }
+
+    const {size, maxAge} = historyLimits(history);
+    let entries = this.#history[topic] || [];
+
+    if (isDefined(maxAge)) {
+      const oldest = Date.now() - maxAge;
+      entries = entries.filter(entry => entry.timestamp >= oldest);
+    }
+
+    if (isDefined(size)) {
+      entries = entries.slice(-size);
+    }
+
+    this.#history[topic] = entries;
+
+    return entries;
+  }
+
+  #recordHistory(topic, value) {
+    if (!isDefined(this.#getTopicConfig(topic).history)) {
+      return;
+    }
+
+    this.#history[topic] = (this.#history[topic] || []).concat({value, timestamp: Date.now(), sequence: this.#nextHistorySequence++});
+    this.#readHistory(topic);
+  }
+
+  #replayHistory(sub) {
+    if (!isDefined(sub.replay)) {
+      return [];
+    }
+
+    const count = sub.replay === 'all' ? Infinity : sub.replay === 'last' ? 1 : sub.replay;
+    const topics = Object.keys(this.#history)
+      .filter(name => this.#subMatches(sub, name))
+      .filter(name => this.#readHistory(name).length > 0);
+
+    topics
+      .flatMap(name => this.#readHistory(name).slice(-count).map(entry => ({topic: name, ...entry})))
+      .sort((a, b) => a.sequence - b.sequence)
+      .forEach(entry => this.#scheduleCall(sub, entry.value, entry.topic));
+
+    return topics;
+  }
+
+  #useStore(store) {
+    if (this.#detachStore) {
+      this.#detachStore();
+      this.#detachStore = null;
+    }
+
+    this.#store = store;
+
+    if (typeof store.onExternalChange === 'function') {
+      const detach = store.onExternalChange((topic, ...value) => {
+        if (this.#store === store) {
+          this.#receiveExternalChange(topic, value).catch(e => {
+            this.#logger.warn('Pubst.externalChange', `Unable to deliver an external change for '${topic}': ${e && e.message}`);
+          });
+        }
+      });
+
+      this.#detachStore = typeof detach === 'function' ? detach : null;
+    }
+  }
+
+  async #receiveExternalChange(topic, value) {
+    const storedValue = value.length > 0 ? value[0] : await this.#store.getValue(topic);
+    await this.#fanOut(topic, storedValue);
+  }
+
+  #findDeriveCycle(name, from) {
+    const visit = (topic, path) => {
+      if (topic === name) {
+        return path.concat(topic);
+      }
+
+      const config = this.#topics[topic];
+      if (!config || !config.derive || path.includes(topic)) {
+        return null;
+      }
+
+      for (const input of config.derive.from) {
+        const cycle = visit(input, path.concat(topic));
+        if (cycle) {
+          return cycle;
+        }
+      }
+
+      return null;
+    };
+
+    for (const input of from) {
+      const cycle = visit(input, [name]);
+      if (cycle) {
+        return cycle;
+      }
+    }
+
+    return null;
+  }
+
+  // Derived topics are recomputed in the background, so a slow compute
+  // function does not hold up the publish (or addTopic) that triggered it.
+  // Results that are overtaken by a newer recompute are discarded.
+  #recomputeDependents(topic) {
+    Object.keys(this.#topics)
+      .filter(name => this.#topics[name].derive && this.#topics[name].derive.from.includes(topic))
+      .forEach(name => this.#startRecompute(name));
+  }
+
+  #startRecompute(topic) {
+    this.#recompute(topic).catch(e => {
+      this.#logger.warn('Pubst.derive', `Unable to compute derived topic '${topic}': ${e && e.message}`);
+    });
+  }
+
+  async #recompute(topic) {
+    const {derive} = this.#topics[topic];
+    const version = (this.#deriveVersions[topic] || 0) + 1;
+    this.#deriveVersions[topic] = version;
+
+    let value;
+
+    try {
+      const inputs = await Promise.all(derive.from.map(async input => {
+        return valueOrDefault(await this.#store.getValue(input), this.#getTopicConfig(input).default);
+      }));
+      value = await derive.compute(...inputs);
+    } catch (e) {
+      this.#logger.warn('Pubst.derive', `Unable to compute derived topic '${topic}': ${e && e.message}`);
+      return;
+    }
+
+    const current = this.#topics[topic];
+    if (this.#deriveVersions[topic] !== version || !current || current.derive !== derive) {
+      return;
+    }
+
+    try {
+      await this.#publish(topic, value, {isDerived: true});
+    } catch (e) {
+      this.#logger.warn('Pubst.derive', `Unable to publish derived topic '${topic}': ${e && e.message}`);
+    }
+  }
+
+  /**
+   * @summary Add publish middleware.
+   *
+   * @param {Function} middleware - A function that receives a
+   *   `PublishContext` and a `next` function.
+   *
+   * @returns {Function} - A function that will remove this middleware.
+   *
+   * @description
+   * <p>
+   * Middleware run in the order they were added, each time a value is
+   * published, between the caller and the store.  Each middleware receives
+   * a context of `{topic, payload, topicConfig}` and a `next()` function
+   * that runs the rest of the pipeline and returns a promise.
+   * </p>
+   *
+   * <p>
+   * A middleware may:
+   *  <ul>
+   *    <li>Transform the payload by assigning `context.payload` before calling `next()`.</li>
+   *    <li>Veto the publish by not calling `next()`.  The publish resolves without storing
+   *        or delivering anything.  Throw (or reject) instead to make the publish reject.</li>
+   *    <li>Act after the store write and subscriber fan-out by awaiting `next()`.  At that
+   *        point `context.delivery` is a promise that resolves with the per-subscriber
+   *        `DeliveryResult`s once every handler has run.</li>
+   *  </ul>
+   * </p>
+   *
+   * <p>
+   * If a middleware calls `next()` without returning or awaiting it, the
+   * publish still waits for the rest of the pipeline and rejects if it
+   * fails.
+   * </p>
+   *
+   * <p>
+   * Topic validation runs after all middleware, on the final payload.
+   * </p>
+   *
+   * @example
+   * pubst.use(async (context, next) => {
+   *   if (typeof context.payload === 'string') {
+   *     context.payload = context.payload.trim();
+   *   }
+   *   await next();
+   *   audit.record(context.topic, context.payload);
+   * });
+   */
+  use(middleware) {
+    this.#assertNotDisposed();
+
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function.');
+    }
+
+    this.#middleware = this.#middleware.concat(middleware);
+
+    return () => {
+      this.#middleware = this.#middleware.filter(item => item !== middleware);
+    };
+  }
+
+  /**
+   * @summary Publish to a topic
+   *
+   * @param {string} topic - The topic to publish to
+   * @param {*} payload The payload to publish
+   * @param {SignalOptions} [options] - Options
+   *
+   * @returns {Promise<void>} Rejects with a `PubstValidationError` if the
+   *   payload fails the topic's `validate` option, with a
+   *   `PubstUnknownTopicError` if strict mode is on and the topic has not
+   *   been configured, or with a `PubstError` if the topic is derived.
+   *
+   * @description
+   * <p>
+   * Resolves once the value has been stored and subscribers have been
+   * scheduled.  Topics derived from this one are recomputed in the
+   * background, so the publish does not wait for their `compute` functions.
+   * </p>
+   *
+   * <p>
+   * If `signal` aborts before the value is stored (e.g. while middleware
+   * runs), the publish is abandoned and rejects with the signal's reason.
+   * Once the value has been stored, the publish completes.
+   * </p>
+   */
+  async publish(topic, payload, options = {}) {
+    this.#assertNotDisposed();
+
+    await this.#publish(topic, payload, {signal: options.signal});
+  }
+
+  /**
+   * @summary Publish to a topic and wait for every subscriber to run.
+   *
+   * @param {string} topic - The topic to publish to
+   * @param {*} payload The payload to publish
+   * @param {SignalOptions} [options] - Options
+   *
+   * @returns {Promise<Array<DeliveryResult>>} Resolves with one result per
+   *   matching subscriber once every handler (including any promise it
+   *   returned) has settled.
+   *
+   * @description
+   * <p>
+   * Behaves like `publish`, but does not resolve until all matching
+   * subscribers have been called.  If a handler returns a promise, the
+   * delivery is not considered settled until that promise settles.
+   * </p>
+   *
+   * <p>
+   * Each result has a `status` of `'fulfilled'` (with the handler's
+   * `result`), `'rejected'` (with the error as `reason`), `'skipped'`
+   * when the value was suppressed as a repeat, or `'cancelled'` when the
+   * subscription was removed before the delivery was made.  Handler errors are still
+   * reported through `onHandlerError`.  The returned promise never rejects
+   * because of a handler error.
+   * </p>
+   *
+   * <p>
+   * `signal` abandons the publish like it does for `publish`.  If it aborts
+   * after the value has been stored, the returned promise stops waiting and
+   * rejects with the signal's reason, but the deliveries are still made.
+   * </p>
+   */
+  async publishAndWait(topic, payload, options = {}) {
+    this.#assertNotDisposed();
+
+    const {signal} = options;
+    const deliveries = await this.#publish(topic, payload, {signal});
+    return abortable(Promise.all(deliveries), signal);
+  }
+
+  /**
+   * @summary Subscribe to one or more topics
    *
    * @param {string|Function} topic - The topic to receive updates for.
    *   If a string is provided, the handler will be called for all updates
@@ -347,6 +1479,12 @@ class Pubst {
    *
    * @returns {Function} - A function that will remove this
    *                       subscription from getting further updates.
+   *                       Deliveries that have been scheduled but not
+   *                       yet made are cancelled.
+   *
+   * @throws {PubstUnknownTopicError} If strict mode is on and the topic is a
+   *   string (other than a wildcard pattern) that has not been configured.
+   * @throws {Error} If a `#` wildcard is not the last level of a pattern.
    *
    * @description
    * <p>
@@ -360,6 +1498,24 @@ class Pubst {
    * </p>
    *
    * <p>
+   * A matcher function is called once per configured topic and its result
+   * is remembered for later publishes, so it should depend only on the
+   * topic name.  Topics that have not been configured are matched on every
+   * publish.  A matcher that throws is treated as not matching that topic.
+   * Use the `cacheMatches` option to call the matcher on every publish.
+   * </p>
+   *
+   * <p>
+   * A string may also be a wildcard pattern.  Topic names are split into
+   * levels on the `topicSeparator` (see `configure`).  A `+` level matches
+   * exactly one level and a `#` level, which must come last, matches the
+   * parent level and any number of levels below it.  For example,
+   * `'sensors.+.temp'` matches `'sensors.kitchen.temp'` and `'sensors.#'`
+   * matches `'sensors'` and `'sensors.kitchen.temp'`.  A pattern that starts
+   * with a wildcard does not match topics that start with `$`.
+   * </p>
+   *
+   * <p>
    * The second argument may be a function or an object.  The object
    * is necessary if you want to provide configuration options for
    * this subscription.  Available options are:
@@ -369,6 +1525,27 @@ class Pubst {
    *        the last value?</li>
    *    <li>`allowRepeats` - (Default: false) - Should the handler be called
    *        when the value doesn't change?</li>
+   *    <li>`equals` - (Default: the topic's `equals`) - How values are compared
+   *        when suppressing repeats.  See `addTopic` for available strategies.</li>
+   *    <li>`scheduler` - (Default: the topic's scheduler) - How this handler
+   *        is scheduled.  See `configure` for available schedulers.</li>
+   *    <li>`priority` - (Default: 0) - Subscriptions with a higher priority
+   *        are delivered first.</li>
+   *    <li>`once` - (Default: false) - Remove the subscription after its
+   *        first delivery (including priming).</li>
+   *    <li>`replay` - (Default: undefined) - For topics with a `history`,
+   *        deliver buffered values in the order they were published instead
+   *        of priming: `'last'`, `'all'`, or the number of most recent values
+   *        to deliver.  Topics without a `history` are primed as usual.</li>
+   *    <li>`cacheMatches` - (Default: true) - Remember a matcher function's
+   *        result for each configured topic.  Set to false for matchers
+   *        whose result for a topic can change over time.</li>
+   *    <li>`onComplete` - (Default: undefined) - Called with the topic
+   *        when `removeTopic`, `dispose`, or `signal` drops this
+   *        subscription.</li>
+   *    <li>`signal` - (Default: undefined) - An `AbortSignal`.  The
+   *        subscription is removed (as if unsubscribed) when it aborts.
+   *        Nothing is subscribed if it has already aborted.</li>
    *    <li>`handler` - (Required) - The handler to call.</li>
    *  </ul>
    * </p>
@@ -380,12 +1557,21 @@ class Pubst {
    * </p>
    *
    * <p>
+   * When a value is published, matching subscriptions are delivered in order
+   * of `priority` (highest first), then in the order they were created.
+   * This applies equally to string and matcher function subscriptions.
+   * Each delivery is handed to its scheduler in that order.
+   * </p>
+   *
+   * <p>
    * Note: Subscribe is synchronous and returns an unsubscribe function
    * immediately.  Priming of subscribers with existing values happens
    * asynchronously via the store.
    * </p>
    */
   subscribe(topic, handler, def) {
+    this.#assertNotDisposed();
+
     let subscription;
 
     if (typeof handler === 'function') {
@@ -399,11 +1585,53 @@ class Pubst {
         });
 
       subscription.topic = topic;
+
+      if (isDefined(subscription.equals)) {
+        resolveEquals(subscription.equals);
+      }
+
+      if (isDefined(subscription.scheduler)) {
+        resolveScheduler(subscription.scheduler);
+      }
+
+      if (isDefined(subscription.priority) && !Number.isFinite(subscription.priority)) {
+        throw new Error('Subscription priority must be a finite number.');
+      }
+
+      if (isDefined(subscription.onComplete) && typeof subscription.onComplete !== 'function') {
+        throw new Error('Subscription onComplete must be a function.');
+      }
+
+      if (isDefined(subscription.signal) && (!subscription.signal || typeof subscription.signal.addEventListener !== 'function')) {
+        throw new Error('Subscription signal must be an AbortSignal.');
+      }
+
+      if (subscription.signal && subscription.signal.aborted) {
+        this.#complete(subscription, topic);
+        return () => {};
+      }
+
+      const replayIsUsable = ['last', 'all'].includes(subscription.replay) || (Number.isInteger(subscription.replay) && subscription.replay > 0);
+      if (isDefined(subscription.replay) && !replayIsUsable) {
+        throw new Error(`Subscription replay must be 'last', 'all', or a positive integer.`);
+      }
     }
 
     this.#addSub(subscription);
 
-    if (typeof topic === 'string') {
+    if (subscription.signal) {
+      subscription.onAbort = () => {
+        this.#cancelSub(subscription);
+        this.#complete(subscription, topic);
+      };
+      subscription.signal.addEventListener('abort', subscription.onAbort);
+    }
+
+    const replayed = this.#replayHistory(subscription);
+
+    const isExactTopic = typeof topic === 'string' && !this.#isPattern(topic);
+
+    if (isExactTopic && !replayed.includes(topic)) {
       this.#store.getValue(topic).then(storeVal => {
         const topicConfig = this.#getTopicConfig(topic);
         const defToUse = isDefined(def) ? def : topicConfig.default;
@@ -414,16 +1642,11 @@ class Pubst {
           this.#scheduleCall(subscription, val, topic);
         }
       });
-    } else if (typeof topic === 'function') {
+    } else if (!isExactTopic) {
       this.#store.getTopicNames().then(names => {
-        const matchingNames = names.filter(key => {
-          try {
-            return topic(key);
-          } catch (e) {
-            this.#logger.warn('Pubst.subscribe', `Matcher function threw an error for topic '${key}': ${e.message}`);
-            return false;
-          }
-        });
+        const matchingNames = names
+          .filter(key => !replayed.includes(key))
+          .filter(key => this.#subMatches(subscription, key));
 
         matchingNames.forEach(key => {
           this.#store.getValue(key).then(storeVal => {
@@ -441,51 +1664,617 @@ class Pubst {
     }
 
     return () => {
-      this.#removeSub(subscription);
+      this.#cancelSub(subscription);
     };
   }
 
+  /**
+   * @summary Wait for the next value on a topic.
+   *
+   * @param {string|Function} topic - The topic (or matcher function) to wait on.
+   * @param {WaitForOptions} [options] - Options
+   *
+   * @returns {Promise<*>} Resolves with the first value that satisfies the
+   *   predicate.
+   *
+   * @description
+   * <p>
+   * Subscribes to the topic and resolves with the first value delivered to
+   * it.  If the topic primes new subscribers, the primed value counts.
+   * </p>
+   *
+   * <p>
+   * Available options are:
+   *  <ul>
+   *    <li>`predicate` - Called with `(value, topic)`.  Values for which it
+   *        returns a falsy value are ignored.  If it throws, the promise
+   *        rejects with the error.</li>
+   *    <li>`timeout` - Milliseconds to wait before rejecting with a
+   *        `PubstTimeoutError`.</li>
+   *    <li>`signal` - An `AbortSignal`.  The promise rejects with the
+   *        signal's reason when it is aborted.</li>
+   *  </ul>
+   * </p>
+   *
+   * <p>
+   * If the topic is removed with `dropSubscribers` before a value arrives,
+   * the promise rejects with a `PubstError`.  The subscription is removed
+   * however the promise settles.
+   * </p>
+   *
+   * @example
+   * const winner = await pubst.waitFor('game.winner', {timeout: 5000});
+   */
+  waitFor(topic, options = {}) {
+    const {predicate, timeout, signal} = options;
+    const description = typeof topic === 'function' ? 'a matching topic' : `'${topic}'`;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      let settled = false;
+      let unsubscribe = null;
+      let timer = null;
+
+      const onAbort = () => {
+        settle(reject, signal.reason);
+      };
+
+      const settle = (fn, result) => {
+        if (settled) {
+          return;
+        }
+
+        settled = true;
+
+        if (unsubscribe) {
+          unsubscribe();
+        }
+        if (timer !== null) {
+          clearTimeout(timer);
+        }
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        fn(result);
+      };
+
+      const handler = (value, topicName) => {
+        try {
+          if (!predicate || predicate(value, topicName)) {
+            settle(resolve, value);
+          }
+        } catch (e) {
+          settle(reject, e);
+        }
+      };
+
+      const onComplete = () => {
+        settle(reject, this.#disposed ? new PubstDisposedError() : new PubstError(`${description} was removed before a value was delivered.`));
+      };
+
+      unsubscribe = this.subscribe(topic, {handler, onComplete, allowRepeats: true});
+
+      if (settled) {
+        unsubscribe();
+        return;
+      }
+
+      if (isSet(timeout)) {
+        timer = setTimeout(() => {
+          settle(reject, new PubstTimeoutError(`Timed out after ${timeout}ms waiting for ${description}.`, timeout));
+        }, timeout);
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+    });
+  }
+
+  /**
+   * @summary Iterate over the values published to a topic.
+   *
+   * @param {string|Function} topic - The topic (or matcher function) to stream.
+   * @param {StreamOptions} [options] - Options
+   *
+   * @returns {TopicStream} An `AsyncIterable` of `{value, topic}`.
+   *
+   * @description
+   * <p>
+   * Subscribes to the topic immediately and buffers each delivery until it
+   * is read.  Any `SubscriptionConfig` option other than `handler` (e.g.
+   * `default`, `doPrime`, `allowRepeats`) applies to the underlying
+   * subscription, so priming works just like `subscribe`.
+   * </p>
+   *
+   * <p>
+   * The buffer holds at most `bufferSize` unread deliveries.  When it is
+   * full, `overflow` decides what happens: `'drop-oldest'` discards the
+   * oldest unread delivery, `'drop-newest'` discards the new one, and
+   * `'error'` ends the stream with a `PubstOverflowError` once the buffered
+   * deliveries have been read.
+   * </p>
+   *
+   * <p>
+   * The subscription is removed when the loop exits (`break`, `return`, or
+   * an exception) or when the stream's `return()` method is called.  A
+   * stream that is never iterated keeps its subscription until `return()`
+   * is called.  If the topic is removed with `dropSubscribers`, the stream
+   * ends after the buffered deliveries have been read.
+   * </p>
+   *
+   * @example
+   * for await (const {value} of pubst.stream('player.guess')) {
+   *   if (checkGuess(value)) {
+   *     break;
+   *   }
+   * }
+   */
+  stream(topic, options = {}) {
+    const {bufferSize, overflow, ...subscriptionConfig} = options;
+
+    return new TopicStream(
+      (handler, onComplete) => this.subscribe(topic, {...subscriptionConfig, handler, onComplete}),
+      {bufferSize, overflow}
+    );
+  }
+
+  /**
+   * @summary Observe the values published to a topic.
+   *
+   * @param {string|Function} topic - The topic (or matcher function) to observe.
+   * @param {Object} [options] - Any `SubscriptionConfig` option other than `handler`.
+   *
+   * @returns {TopicObservable} An Observable of topic values.
+   *
+   * @description
+   * <p>
+   * Returns an object implementing the TC39 Observable shape
+   * (`subscribe(observer)` and `[Symbol.observable]()`), so it can be handed
+   * directly to RxJS's `from()`.  Each observer gets its own subscription,
+   * created with the given options, and `next` is called with `(value, topic)`.
+   * Unsubscribing removes that subscription.  The observer's `complete`
+   * callback is called if the topic is removed with `dropSubscribers`.
+   * </p>
+   *
+   * <p>
+   * If the subscription can not be made (e.g. an unconfigured topic in
+   * strict mode), the observer's `error` callback receives the error.
+   * </p>
+   *
+   * @example
+   * import { from } from 'rxjs';
+   *
+   * from(pubst.observe('SELECTED.COLOR')).subscribe(color => paint(color));
+   */
+  observe(topic, options = {}) {
+    return new TopicObservable((next, complete) => this.subscribe(topic, {...options, handler: next, onComplete: complete}));
+  }
+
+  /**
+   * @summary Answer requests made with `request`.
+   *
+   * @param {string} name - The name of the request to answer.
+   * @param {Function} responder - Called with each request's payload.
+   *   Its return value (or the value its promise resolves with) is the
+   *   reply.  If it throws (or rejects), the error is passed back to the
+   *   caller.
+   *
+   * @returns {Promise<Function>} Resolves with a function that removes the
+   *   responder.
+   *
+   * @throws {Error} If a responder is already registered for `name`.
+   *
+   * @description
+   * <p>
+   * Requests and replies are published on the reserved
+   * `'$pubst.rpc.request.<name>'` and `'$pubst.rpc.reply.<name>'` topics,
+   * which are configured (without persistence) the first time a responder
+   * is registered.  Middleware sees them like any other publish.
+   * </p>
+   *
+   * <p>
+   * Only one responder can be registered for a name at a time.
+   * </p>
+   *
+   * @example
+   * await pubst.handle('cart.total', async ({items}) => {
+   *   return items.reduce((total, item) => total + item.price, 0);
+   * });
+   */
+  async handle(name, responder) {
+    this.#assertNotDisposed();
+
+    const topics = this.#rpcTopics(name);
+
+    if (typeof responder !== 'function') {
+      throw new Error('A responder must be a function.');
+    }
+
+    const assertNotHandled = () => {
+      if (this.#responders.has(name)) {
+        throw new Error(`A responder is already registered for '${name}'.`);
+      }
+    };
+
+    assertNotHandled();
+
+    for (const topic of [topics.request, topics.reply]) {
+      if (!this.#topics[topic]) {
+        await this.addTopic({name: topic, doPrime: false, allowRepeats: true, storeConfig: {persist: false}});
+      }
+    }
+
+    assertNotHandled();
+
+    const unsubscribe = this.subscribe(topics.request, {
+      handler: request => this.#respond(name, responder, request),
+      doPrime: false,
+      allowRepeats: true
+    });
+
+    const unregister = () => {
+      if (this.#responders.get(name) === unregister) {
+        this.#responders.delete(name);
+      }
+      unsubscribe();
+    };
+
+    this.#responders.set(name, unregister);
+
+    return unregister;
+  }
+
+  /**
+   * @summary Send a request to the responder registered with `handle`.
+   *
+   * @param {string} name - The name of the request.
+   * @param {*} payload - The payload passed to the responder.
+   * @param {RequestOptions} [options] - Options
+   *
+   * @returns {Promise<*>} Resolves with the responder's reply.
+   *
+   * @throws {PubstNoResponderError} If no responder is registered for `name`.
+   *
+   * @description
+   * <p>
+   * Publishes `{id, payload}` on the request topic, where `id` is a
+   * generated correlation id, and waits for the reply with the same id.
+   * If the responder throws (or rejects), the promise rejects with the
+   * same error.
+   * </p>
+   *
+   * <p>
+   * Without a `timeout`, the promise waits as long as it takes the
+   * responder to reply.  With one, it rejects with a `PubstTimeoutError`
+   * if no reply arrives in time.  A `signal` rejects it with the signal's
+   * reason.
+   * </p>
+   *
+   * @example
+   * const total = await pubst.request('cart.total', {items}, {timeout: 1000});
+   */
+  async request(name, payload, options = {}) {
+    this.#assertNotDisposed();
+
+    const {timeout, signal} = options;
+    const topics = this.#rpcTopics(name);
+
+    if (!this.#responders.has(name)) {
+      throw new PubstNoResponderError(name);
+    }
+
+    const id = `${++this.#nextRequestId}`;
+    const controller = new AbortController();
+
+    const replied = this.waitFor(topics.reply, {
+      predicate: reply => isSet(reply) && reply.id === id,
+      timeout,
+      signal: signal ? anySignal([signal, controller.signal]) : controller.signal
+    });
+    replied.catch(() => {});
+
+    try {
+      await this.publish(topics.request, {id, payload}, {signal});
+    } catch (e) {
+      controller.abort(e);
+      throw e;
+    }
+
+    let reply;
+
+    try {
+      reply = await replied;
+    } catch (e) {
+      if (e instanceof PubstTimeoutError) {
+        throw new PubstTimeoutError(`Timed out after ${timeout}ms waiting for a reply to '${name}'.`, timeout);
+      }
+      throw e;
+    } finally {
+      // Stop listening to the caller's signal.
+      controller.abort();
+    }
+
+    if (hasOwnProperty(reply, 'error')) {
+      throw reply.error;
+    }
+
+    return reply.value;
+  }
+
   /**
    * @summary Get the current value of a topic.
    *
    * @param {string} topic - The topic to get the value of.
    * @param {*} [def] - (Optional) a value to return if the topic is
    *                      empty.
-   * @returns {Promise<*>} - Resolves with the current value or the default
+   * @param {SignalOptions} [options] - Options
+   * @returns {Promise<*>} - Resolves with the current value or the default.
+   *   Rejects with a `PubstUnknownTopicError` if strict mode is on and the
+   *   topic has not been configured, or with the signal's reason if `signal`
+   *   aborts before the store read resolves.
    */
-  async currentVal(topic, def) {
+  async currentVal(topic, def, options = {}) {
+    this.#assertNotDisposed();
+    this.#assertConfigured(topic);
     const defToUse = isDefined(def) ? def : this.#getTopicConfig(topic).default;
-    const storeVal = await this.#store.getValue(topic);
+    const storeVal = await abortable(this.#store.getValue(topic), options.signal);
     return valueOrDefault(storeVal, defToUse);
   }
 
+  /**
+   * @summary Get the recent values of a topic.
+   *
+   * @param {string} topic - The topic to read
+   *
+   * @returns {Array<HistoryEntry>} The values retained by the topic's
+   *   `history` option, oldest first.  Empty if the topic has no `history`.
+   *
+   * @throws {PubstUnknownTopicError} If strict mode is on and the topic has
+   *   not been configured.
+   *
+   * @description
+   * <p>
+   * Every published value is recorded as it was stored, including clears
+   * (`null`).  Values outside the topic's `size` or `maxAge` limits are
+   * dropped.
+   * </p>
+   */
+  history(topic) {
+    this.#assertNotDisposed();
+    this.#assertConfigured(topic);
+    return this.#readHistory(topic).map(({value, timestamp}) => ({value, timestamp}));
+  }
+
+  /**
+   * @summary List the wildcard patterns that have subscribers.
+   *
+   * @returns {Array<string>} Each subscribed pattern once, in the order it
+   *   was first subscribed to.
+   */
+  patterns() {
+    this.#assertNotDisposed();
+
+    return this.#patternSubs.patterns();
+  }
+
+  /**
+   * @summary List the publishes that no subscriber received.
+   *
+   * @returns {Array<DeadLetter>} Copies of the queued dead letters, oldest
+   *   first.  Empty unless `deadLetters` is enabled with `configure`.
+   */
+  deadLetters() {
+    this.#assertNotDisposed();
+
+    return this.#deadLetters.map(letter => ({...letter}));
+  }
+
+  /**
+   * @summary Deliver queued dead letters to the subscribers that now match
+   *   their topics.
+   *
+   * @param {string} [topic] - Only replay dead letters for this topic.
+   *
+   * @returns {Promise<Array<DeadLetter>>} Resolves with the replayed dead
+   *   letters once their deliveries have settled.
+   *
+   * @description
+   * <p>
+   * Dead letters are delivered oldest first, to the subscribers that match
+   * their topics at the time of the call, like a publish of the original
+   * payload.  They are not written to the store or the topic's history,
+   * so replaying never overwrites a newer value.  Replayed dead letters
+   * are removed from the queue; those whose topic still has no subscribers
+   * stay queued.
+   * </p>
+   *
+   * <p>
+   * A dead letter whose topic has since been published to and received by
+   * a subscriber has been replaced by that newer value.  It is removed
+   * from the queue without being delivered, and is not included in the
+   * result.
+   * </p>
+   *
+   * @example
+   * pubst.subscribe('order.placed', fulfillOrder);
+   * await pubst.replayDeadLetters('order.placed');
+   */
+  async replayDeadLetters(topic) {
+    this.#assertNotDisposed();
+
+    const replayed = [];
+    const deliveries = [];
+
+    this.#deadLetters = this.#deadLetters.filter(letter => {
+      if (isDefined(topic) && letter.topic !== topic) {
+        return true;
+      }
+
+      if (this.#replacedDeadLetters.has(letter)) {
+        return false;
+      }
+
+      const subs = this.#allSubsFor(letter.topic);
+
+      if (subs.length === 0) {
+        return true;
+      }
+
+      replayed.push({...letter});
+      deliveries.push(...subs.map(sub => this.#scheduleCall(sub, letter.payload, letter.topic)));
+      return false;
+    });
+
+    await Promise.all(deliveries);
+
+    return replayed;
+  }
+
+  /**
+   * @summary Create a view of this instance whose topic names share a prefix.
+   *
+   * @param {string} prefix - The scope's name.  It can not contain wildcards.
+   *
+   * @returns {PubstScope} The scope.
+   *
+   * @description
+   * <p>
+   * The scope has the same topic API as this instance (`addTopic`,
+   * `publish`, `subscribe`, `currentVal`, `clear`, and the rest), but topic
+   * names passed to it are prefixed with `prefix` and the topic separator.
+   * Handlers and matcher functions receive names without the prefix.
+   * </p>
+   *
+   * <p>
+   * The scope tracks every subscription made through it, and its
+   * `dispose()` method removes them all at once.  Topics in the scope are
+   * ordinary topics on this instance, so they can still be subscribed to by
+   * their full names.
+   * </p>
+   *
+   * @example
+   * const checkout = pubst.scope('checkout');
+   *
+   * await checkout.addTopic({name: 'total', default: 0});
+   * checkout.subscribe('total', total => render(total));
+   * await checkout.publish('total', 42); // publishes to 'checkout.total'
+   *
+   * checkout.dispose();
+   */
+  scope(prefix) {
+    this.#assertNotDisposed();
+
+    return new PubstScope(this, prefix, this.#patternSubs.separator, topic => this.#getTopicConfig(topic).eventOnly);
+  }
+
   /**
    * @summary Clears a given topic.
    *
    * @param {string} topic - The topic to clear
+   * @param {SignalOptions} [options] - Options
    *
    * @returns {Promise<void>}
    *
-   * @description Clears the topic by publishing a `null` to it.
+   * @description Clears the topic by publishing a `null` to it.  A
+   *   `signal` is passed along to `publish`.
    */
-  async clear(topic) {
-    const topicNames = await this.#store.getTopicNames();
+  async clear(topic, options = {}) {
+    this.#assertNotDisposed();
+
+    const {signal} = options;
+    const topicNames = await abortable(this.#store.getTopicNames(), signal);
     if (topicNames.includes(topic)) {
-      await this.publish(topic, null);
+      await this.publish(topic, null, {signal});
     }
   }
 
   /**
    * @summary Clears all known topics.
    *
+   * @param {SignalOptions} [options] - Options
+   *
    * @returns {Promise<void>}
+   *
+   * @description Derived topics are not cleared directly.  They are
+   *   recomputed as their inputs are cleared.  Topics are cleared one at a
+   *   time, so if `signal` aborts part way through, the topics that were
+   *   already cleared stay cleared and the rest are left alone.
    */
-  async clearAll() {
-    const topicNames = await this.#store.getTopicNames();
+  async clearAll(options = {}) {
+    this.#assertNotDisposed();
+
+    const {signal} = options;
+    const topicNames = (await abortable(this.#store.getTopicNames(), signal))
+      .filter(topic => !(this.#topics[topic] && this.#topics[topic].derive));
     for (const topic of topicNames) {
-      await this.clear(topic);
+      await this.clear(topic, {signal});
+    }
+  }
+
+  /**
+   * @summary Shut down this instance.
+   *
+   * @returns {Promise<void>} Resolves once the store has been closed.
+   *
+   * @description
+   * <p>
+   * Removes every subscription, cancelling deliveries that have been
+   * scheduled but not yet made, and calls each subscription's `onComplete`
+   * callback with its topic.  Streams end, observers are completed, and
+   * pending `waitFor` promises reject with a `PubstDisposedError`.  The
+   * store is closed if it has a `close()` method.
+   * </p>
+   *
+   * <p>
+   * Every other method throws (or rejects with) a `PubstDisposedError`
+   * afterwards.  Calling `dispose` again does nothing.
+   * </p>
+   */
+  async dispose() {
+    if (this.#disposed) {
+      return;
+    }
+
+    this.#disposed = true;
+
+    const subs = this.#allSubs().sort((a, b) => a.sequence - b.sequence);
+    subs.forEach(sub => this.#cancelSub(sub));
+
+    this.#topics = {};
+    this.#history = {};
+    this.#middleware = [];
+    this.#fnMatchCache.clear();
+    this.#responders.clear();
+    this.#deadLetters = [];
+
+    subs.forEach(sub => this.#complete(sub, sub.topic));
+
+    if (this.#detachStore) {
+      this.#detachStore();
+      this.#detachStore = null;
+    }
+
+    if (typeof this.#store.close === 'function') {
+      await this.#store.close();
     }
   }
 }
 
 export default Pubst;
+
+export {
+  PubstDisposedError,
+  PubstError,
+  PubstNoResponderError,
+  PubstOverflowError,
+  PubstScope,
+  PubstTimeoutError,
+  PubstUnknownTopicError,
+  PubstValidationError
+};
@@ -15,7 +15,8 @@
  */
 
 import * as chai from 'chai';
-import Pubst from './Pubst.js';
+import Pubst, { PubstDisposedError, PubstError, PubstNoResponderError, PubstOverflowError, PubstTimeoutError, PubstUnknownTopicError, PubstValidationError } from './Pubst.js';
+import InMemoryStore from './store/InMemoryStore.js';
 import sinonChai from 'sinon-chai';
 import sinon from 'sinon';
 chai.use(sinonChai);
@@ -106,6 +107,85 @@ describe('Pubst', () => {
     });
   });
 
+  describe('strict', () => {
+    async function rejection(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        return e;
+      }
+      return null;
+    }
+
+    beforeEach(async () => {
+      await pubst.configure({
+        strict: true,
+        topics: [{name: 'user.basicInfo'}, {name: 'game.started'}]
+      });
+    });
+
+    it('rejects publishes to unconfigured topics', async () => {
+      const error = await rejection(pubst.publish('user.basicinfo', 'value'));
+
+      expect(error).to.be.an.instanceOf(PubstUnknownTopicError);
+      expect(error).to.be.an.instanceOf(PubstError);
+      expect(error.topic).to.equal('user.basicinfo');
+      expect(error.suggestion).to.equal('user.basicInfo');
+      expect(error.message).to.contain(`Did you mean 'user.basicInfo'?`);
+      expect(await pubst.currentVal('user.basicInfo')).to.be.null;
+    });
+
+    it('does not write unconfigured topics to the store', async () => {
+      const customStore = {
+        registerTopic: sinon.spy(async () => ({})),
+        getValue: sinon.spy(async () => undefined),
+        setValue: sinon.spy(async () => undefined),
+        clearValue: sinon.spy(async () => null),
+        getTopicNames: sinon.spy(async () => [])
+      };
+      await pubst.configure({store: customStore});
+
+      await rejection(pubst.publish('game.startd', true));
+
+      expect(customStore.setValue).not.to.have.been.called;
+    });
+
+    it('throws when subscribing to unconfigured topics', () => {
+      expect(() => pubst.subscribe('game.startd', () => {})).to.throw(PubstUnknownTopicError, /Did you mean 'game.started'\?/);
+    });
+
+    it('rejects reads of unconfigured topics', async () => {
+      const error = await rejection(pubst.currentVal('player.guess'));
+
+      expect(error).to.be.an.instanceOf(PubstUnknownTopicError);
+      expect(error.suggestion).to.be.undefined;
+      expect(error.message).not.to.contain('Did you mean');
+    });
+
+    it('allows configured topics and matcher subscriptions', async () => {
+      const handler = sinon.spy();
+      const matcherHandler = sinon.spy();
+
+      pubst.subscribe('game.started', handler);
+      pubst.subscribe(t => t.startsWith('game.'), matcherHandler);
+
+      await pubst.publish('game.started', true);
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(true, 'game.started');
+      expect(matcherHandler).to.have.been.calledWith(true, 'game.started');
+      expect(await pubst.currentVal('game.started')).to.be.true;
+    });
+
+    it('can be turned off', async () => {
+      await pubst.configure({strict: false});
+
+      await pubst.publish('player.guess', 5);
+
+      expect(await pubst.currentVal('player.guess')).to.equal(5);
+    });
+  });
+
   describe('custom store', () => {
     function createStubStore() {
       const store = {};
@@ -223,6 +303,132 @@ describe('Pubst', () => {
       expect(customStore.registerTopic).to.have.been.calledWith('topic.a', null, {});
       expect(customStore.registerTopic).to.have.been.calledWith('topic.b', null, {key: 'b'});
     });
+
+    describe('external changes', () => {
+      function createNotifyingStore() {
+        const customStore = createStubStore();
+        const listeners = [];
+
+        customStore.detach = sinon.spy();
+        customStore.onExternalChange = sinon.spy(callback => {
+          listeners.push(callback);
+          return customStore.detach;
+        });
+        customStore.change = (topic, ...value) => {
+          if (value.length > 0) {
+            customStore._store[topic] = value[0];
+          }
+          listeners.forEach(listener => listener(topic, ...value));
+        };
+
+        return customStore;
+      }
+
+      it('listens for changes when the store is configured', async () => {
+        const customStore = createNotifyingStore();
+        await pubst.configure({store: customStore});
+
+        expect(customStore.onExternalChange).to.have.been.calledOnceWith(sinon.match.func);
+      });
+
+      it('delivers changed values to matching subscribers without writing them back', async () => {
+        const customStore = createNotifyingStore();
+        const handler = sinon.spy();
+        const matcher = sinon.spy();
+        await pubst.configure({store: customStore, topics: [{name: TEST_TOPIC_1}]});
+
+        pubst.subscribe(TEST_TOPIC_1, handler);
+        pubst.subscribe(t => t === TEST_TOPIC_1, matcher);
+        await clock.tickAsync(1);
+        customStore.setValue.resetHistory();
+
+        customStore.change(TEST_TOPIC_1, 'from elsewhere');
+        await clock.tickAsync(1);
+
+        expect(handler).to.have.been.calledOnceWith('from elsewhere', TEST_TOPIC_1);
+        expect(matcher).to.have.been.calledOnceWith('from elsewhere', TEST_TOPIC_1);
+        expect(customStore.setValue).not.to.have.been.called;
+      });
+
+      it('applies defaults and repeat suppression', async () => {
+        const customStore = createNotifyingStore();
+        const handler = sinon.spy();
+        await pubst.configure({store: customStore, topics: [{name: TEST_TOPIC_1, default: 'def', doPrime: false}]});
+
+        pubst.subscribe(TEST_TOPIC_1, handler);
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        await clock.tickAsync(1);
+
+        customStore.change(TEST_TOPIC_1, 'value');
+        await clock.tickAsync(1);
+        customStore.change(TEST_TOPIC_1, null);
+        await clock.tickAsync(1);
+
+        expect(handler.args.map(args => args[0])).to.deep.equal(['value', 'def']);
+      });
+
+      it('reads the value from the store when the change does not include one', async () => {
+        const customStore = createNotifyingStore();
+        const handler = sinon.spy();
+        await pubst.configure({store: customStore, topics: [{name: TEST_TOPIC_1, doPrime: false}]});
+
+        pubst.subscribe(TEST_TOPIC_1, handler);
+        customStore._store[TEST_TOPIC_1] = 'stored';
+        customStore.getValue.resetHistory();
+
+        customStore.change(TEST_TOPIC_1);
+        await clock.tickAsync(1);
+
+        expect(customStore.getValue).to.have.been.calledWith(TEST_TOPIC_1);
+        expect(handler).to.have.been.calledOnceWith('stored', TEST_TOPIC_1);
+      });
+
+      it('updates history and derived topics', async () => {
+        const customStore = createNotifyingStore();
+        await pubst.configure({store: customStore, topics: [
+          {name: TEST_TOPIC_1, history: 5},
+          {name: TEST_TOPIC_2, derive: {from: [TEST_TOPIC_1], compute: value => `derived ${value}`}}
+        ]});
+
+        customStore.change(TEST_TOPIC_1, 'changed');
+        await clock.tickAsync(1);
+
+        expect(pubst.history(TEST_TOPIC_1).map(entry => entry.value)).to.deep.equal(['changed']);
+        expect(await pubst.currentVal(TEST_TOPIC_2)).to.equal('derived changed');
+      });
+
+      it('stops listening to a store that is replaced', async () => {
+        const first = createNotifyingStore();
+        const second = createNotifyingStore();
+        const handler = sinon.spy();
+        await pubst.configure({store: first});
+
+        pubst.subscribe(TEST_TOPIC_1, {handler, doPrime: false});
+        await pubst.configure({store: second});
+
+        expect(first.detach).to.have.been.calledOnce;
+
+        first.change(TEST_TOPIC_1, 'stale');
+        second.change(TEST_TOPIC_1, 'fresh');
+        await clock.tickAsync(1);
+
+        expect(handler).to.have.been.calledOnceWith('fresh', TEST_TOPIC_1);
+      });
+
+      it('logs a warning when the changed value can not be read', async () => {
+        const customLogger = {warn: sinon.spy()};
+        const customStore = createNotifyingStore();
+        await pubst.configure({logger: customLogger, store: customStore});
+
+        customStore.getValue = async () => {
+          throw new Error('unreachable');
+        };
+        customStore.change(TEST_TOPIC_1);
+        await clock.tickAsync(1);
+
+        expect(customLogger.warn).to.have.been.calledWith('Pubst.externalChange', sinon.match('unreachable'));
+      });
+    });
   });
 
   describe('currentVal', () => {
@@ -310,6 +516,316 @@ describe('Pubst', () => {
 
       expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal(payload2);
     });
+
+    it('delivers each value when publishes to a topic overlap', async () => {
+      const handler = sinon.spy();
+      pubst.subscribe(TEST_TOPIC_1, {handler, allowRepeats: true});
+
+      await Promise.all([pubst.publish(TEST_TOPIC_1, 'one'), pubst.publish(TEST_TOPIC_1, 'two')]);
+      await clock.tickAsync(1);
+
+      expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1], ['two', TEST_TOPIC_1]]);
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('two');
+    });
+  });
+
+  describe('publishAndWait', () => {
+    it('resolves after every subscriber has run', async () => {
+      const handler1 = sinon.spy(() => 'one');
+      const handler2 = sinon.spy(() => 'two');
+
+      pubst.subscribe(TEST_TOPIC_1, handler1);
+      pubst.subscribe(TEST_TOPIC_1, handler2);
+
+      const promise = pubst.publishAndWait(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+      const results = await promise;
+
+      expect(handler1).to.have.been.calledWith('value', TEST_TOPIC_1);
+      expect(handler2).to.have.been.calledWith('value', TEST_TOPIC_1);
+      expect(results).to.have.lengthOf(2);
+      expect(results.map(r => r.status)).to.deep.equal(['fulfilled', 'fulfilled']);
+      expect(results.map(r => r.result)).to.deep.equal(['one', 'two']);
+      expect(results[0].topic).to.equal(TEST_TOPIC_1);
+      expect(results[0].value).to.equal('value');
+      expect(results[0].subscription.handler).to.equal(handler1);
+    });
+
+    it('waits for promises returned by handlers', async () => {
+      let finished = false;
+
+      pubst.subscribe(TEST_TOPIC_1, async () => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        finished = true;
+        return 'done';
+      });
+
+      let settled = false;
+      const promise = pubst.publishAndWait(TEST_TOPIC_1, 'value').then(results => {
+        settled = true;
+        return results;
+      });
+
+      await clock.tickAsync(10);
+      expect(settled).to.be.false;
+
+      await clock.tickAsync(50);
+      const results = await promise;
+
+      expect(finished).to.be.true;
+      expect(results[0].status).to.equal('fulfilled');
+      expect(results[0].result).to.equal('done');
+    });
+
+    it('reports rejected handlers without rejecting', async () => {
+      const error = new Error('boom');
+      const onHandlerError = sinon.spy();
+      await pubst.configure({onHandlerError});
+
+      pubst.subscribe(TEST_TOPIC_1, () => { throw error; });
+      pubst.subscribe(TEST_TOPIC_1, async () => { throw error; });
+
+      const promise = pubst.publishAndWait(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+      const results = await promise;
+
+      expect(results.map(r => r.status)).to.deep.equal(['rejected', 'rejected']);
+      expect(results[0].reason).to.equal(error);
+      expect(results[1].reason).to.equal(error);
+      expect(onHandlerError).to.have.been.calledTwice;
+    });
+
+    it('marks repeated values as skipped', async () => {
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      pubst.subscribe(TEST_TOPIC_1, {handler, allowRepeats: true});
+
+      let promise = pubst.publishAndWait(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+      await promise;
+
+      promise = pubst.publishAndWait(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+      const results = await promise;
+
+      expect(results.map(r => r.status)).to.deep.equal(['skipped', 'fulfilled']);
+      expect(results[0].value).to.equal('value');
+    });
+
+    it('resolves with an empty array when there are no subscribers', async () => {
+      expect(await pubst.publishAndWait(TEST_TOPIC_1, 'value')).to.deep.equal([]);
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('value');
+    });
+  });
+
+  describe('use', () => {
+    it('passes the publish context to middleware', async () => {
+      const middleware = sinon.spy((context, next) => next());
+
+      await pubst.addTopic({name: TEST_TOPIC_1, default: 'def'});
+      pubst.use(middleware);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      expect(middleware).to.have.been.calledOnce;
+
+      const [context, next] = middleware.firstCall.args;
+      expect(context.topic).to.equal(TEST_TOPIC_1);
+      expect(context.payload).to.equal('value');
+      expect(context.topicConfig.name).to.equal(TEST_TOPIC_1);
+      expect(context.topicConfig.default).to.equal('def');
+      expect(Object.isFrozen(context.topicConfig)).to.be.true;
+      expect(next).to.be.a('function');
+    });
+
+    it('runs middleware in the order they were added', async () => {
+      const calls = [];
+
+      pubst.use(async (context, next) => {
+        calls.push('first:before');
+        await next();
+        calls.push('first:after');
+      });
+      pubst.use(async (context, next) => {
+        calls.push('second:before');
+        await next();
+        calls.push('second:after');
+      });
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      expect(calls).to.deep.equal(['first:before', 'second:before', 'second:after', 'first:after']);
+    });
+
+    it('allows middleware to transform the payload', async () => {
+      const handler = sinon.spy();
+
+      pubst.use((context, next) => {
+        context.payload = context.payload.trim();
+        return next();
+      });
+      pubst.subscribe(TEST_TOPIC_1, handler);
+
+      await pubst.publish(TEST_TOPIC_1, '  value  ');
+      clock.tick(1);
+
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('value');
+      expect(handler).to.have.been.calledWith('value', TEST_TOPIC_1);
+    });
+
+    it('allows middleware to veto a publish', async () => {
+      const handler = sinon.spy();
+
+      pubst.use((context, next) => {
+        if (context.payload !== 'blocked') {
+          return next();
+        }
+      });
+      pubst.subscribe(TEST_TOPIC_1, handler);
+
+      await pubst.publish(TEST_TOPIC_1, 'allowed');
+      await pubst.publish(TEST_TOPIC_1, 'blocked');
+      clock.tick(1);
+
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('allowed');
+      expect(handler).to.have.been.calledOnceWith('allowed', TEST_TOPIC_1);
+
+      const promise = pubst.publishAndWait(TEST_TOPIC_1, 'blocked');
+      await clock.tickAsync(1);
+      expect(await promise).to.deep.equal([]);
+    });
+
+    it('rejects the publish when middleware throws', async () => {
+      const error = new Error('not allowed');
+      let caught;
+
+      pubst.use(() => {
+        throw error;
+      });
+
+      try {
+        await pubst.publish(TEST_TOPIC_1, 'value');
+      } catch (e) {
+        caught = e;
+      }
+
+      expect(caught).to.equal(error);
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.be.undefined;
+    });
+
+    it('allows middleware to act after the store write and fan-out', async () => {
+      const handler = sinon.spy(() => 'handled');
+      const observed = {};
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      pubst.use(async (context, next) => {
+        await next();
+        observed.stored = await pubst.currentVal(context.topic);
+        observed.results = await context.delivery;
+      });
+
+      const promise = pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+      await promise;
+
+      expect(observed.stored).to.equal('value');
+      expect(observed.results).to.have.lengthOf(1);
+      expect(observed.results[0].status).to.equal('fulfilled');
+      expect(observed.results[0].result).to.equal('handled');
+    });
+
+    it('validates the transformed payload', async () => {
+      let caught;
+
+      await pubst.addTopic({name: TEST_TOPIC_1, validate: {type: 'number'}});
+      pubst.use((context, next) => {
+        context.payload = Number(context.payload);
+        return next();
+      });
+
+      await pubst.publish(TEST_TOPIC_1, '5');
+
+      try {
+        await pubst.publish(TEST_TOPIC_1, 'five');
+      } catch (e) {
+        caught = e;
+      }
+
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal(5);
+      expect(caught).to.be.an.instanceOf(PubstValidationError);
+    });
+
+    it('waits for next() when middleware does not return it', async () => {
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      pubst.use((context, next) => {
+        next();
+      });
+
+      const promise = pubst.publishAndWait(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+      const results = await promise;
+
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('value');
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].status).to.equal('fulfilled');
+      expect(handler).to.have.been.calledOnceWith('value', TEST_TOPIC_1);
+    });
+
+    it('rejects when next() fails and middleware does not return it', async () => {
+      let caught;
+
+      await pubst.addTopic({name: TEST_TOPIC_1, validate: {type: 'number'}});
+      pubst.use((context, next) => {
+        next();
+      });
+
+      try {
+        await pubst.publish(TEST_TOPIC_1, 'five');
+      } catch (e) {
+        caught = e;
+      }
+
+      expect(caught).to.be.an.instanceOf(PubstValidationError);
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal(null);
+    });
+
+    it('rejects when next is called more than once', async () => {
+      let caught;
+
+      pubst.use(async (context, next) => {
+        await next();
+        await next();
+      });
+
+      try {
+        await pubst.publish(TEST_TOPIC_1, 'value');
+      } catch (e) {
+        caught = e;
+      }
+
+      expect(caught).to.be.an('error');
+      expect(caught.message).to.contain('next()');
+    });
+
+    it('returns a function that removes the middleware', async () => {
+      const middleware = sinon.spy((context, next) => next());
+
+      const remove = pubst.use(middleware);
+      await pubst.publish(TEST_TOPIC_1, 'one');
+
+      remove();
+      await pubst.publish(TEST_TOPIC_1, 'two');
+
+      expect(middleware).to.have.been.calledOnce;
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('two');
+    });
+
+    it('only accepts functions', () => {
+      expect(() => pubst.use('nope')).to.throw('Middleware must be a function.');
+    });
   });
 
   describe('topic config', () => {
@@ -739,589 +1255,3265 @@ describe('Pubst', () => {
         expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
       });
     });
-  });
 
-  describe('publish & subscribe', () => {
-    it('calls the subscriber if the topic already has a set value', async () => {
-      const testPayload = 'some test payload';
-      const handler = sinon.spy();
+    describe('equals', () => {
+      it('uses strict comparison by default', async () => {
+        const handler = sinon.spy();
 
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+        await pubst.addTopic({name: TEST_TOPIC_1});
+        pubst.subscribe(TEST_TOPIC_1, handler);
 
-      pubst.subscribe(TEST_TOPIC_1, handler);
+        await pubst.publish(TEST_TOPIC_1, {id: 1});
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, {id: 1});
+        clock.tick(1);
 
-      await flushPromises();
-      clock.tick(1);
+        expect(handler).to.have.been.calledTwice;
+      });
 
-      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-    });
+      it('uses strict comparison when equals is undefined', async () => {
+        const handler = sinon.spy();
+        const value = {id: 1};
 
-    it('does not call the subscriber if the topic already has a set value when doPrime is false', async () => {
-      const testPayload = 'some test payload';
-      const handler = sinon.spy();
+        await pubst.addTopic({name: TEST_TOPIC_1, equals: undefined});
+        pubst.subscribe(TEST_TOPIC_1, handler);
 
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+        await pubst.publish(TEST_TOPIC_1, value);
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, value);
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, {id: 1});
+        clock.tick(1);
 
-      pubst.subscribe(TEST_TOPIC_1, {
-        doPrime: false,
-        handler
+        expect(handler).to.have.been.calledTwice;
       });
 
-      await flushPromises();
-      clock.tick(1);
+      it('suppresses structurally equal values with deep', async () => {
+        const handler = sinon.spy();
 
-      expect(handler).to.have.callCount(0);
+        await pubst.addTopic({name: TEST_TOPIC_1, equals: 'deep'});
+        pubst.subscribe(TEST_TOPIC_1, handler);
 
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+        await pubst.publish(TEST_TOPIC_1, {id: 1, tags: new Set(['a']), at: new Date(5)});
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, {id: 1, tags: new Set(['a']), at: new Date(5)});
+        clock.tick(1);
 
-      clock.tick(1);
+        expect(handler).to.have.been.calledOnce;
 
-      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-    });
+        await pubst.publish(TEST_TOPIC_1, {id: 1, tags: new Set(['b']), at: new Date(5)});
+        clock.tick(1);
 
-    it('calls the subscriber with the default value if the topic has not been set', async () => {
-      const defaultPayload = 'default payload';
-      const handler = sinon.spy();
+        expect(handler).to.have.been.calledTwice;
+      });
 
-      pubst.subscribe(TEST_TOPIC_1, handler, defaultPayload);
+      it('suppresses shallowly equal values with shallow', async () => {
+        const handler = sinon.spy();
+        const nested = {};
 
-      await flushPromises();
-      clock.tick(1);
+        await pubst.addTopic({name: TEST_TOPIC_1, equals: 'shallow'});
+        pubst.subscribe(TEST_TOPIC_1, handler);
 
-      expect(handler).to.have.been.calledWith(defaultPayload, TEST_TOPIC_1);
-    });
+        await pubst.publish(TEST_TOPIC_1, {id: 1, nested});
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, {id: 1, nested});
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, {id: 1, nested: {}});
+        clock.tick(1);
 
-    it('does not call subscribers when the same value is published multiple times', async () => {
-      const testPayload = 'test payload';
-      const handler = sinon.spy();
+        expect(handler).to.have.been.calledTwice;
+      });
+
+      it('accepts a comparator function', async () => {
+        const handler = sinon.spy();
+        const equals = sinon.spy((previous, next) => previous.id === next.id);
+
+        await pubst.addTopic({name: TEST_TOPIC_1, equals});
+        pubst.subscribe(TEST_TOPIC_1, handler);
+
+        await pubst.publish(TEST_TOPIC_1, {id: 1, name: 'one'});
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, {id: 1, name: 'uno'});
+        clock.tick(1);
+
+        expect(handler).to.have.been.calledOnce;
+        expect(equals).to.have.been.calledWith({id: 1, name: 'one'}, {id: 1, name: 'uno'});
+      });
+
+      it('does not apply when repeats are allowed', async () => {
+        const handler = sinon.spy();
+
+        await pubst.addTopic({name: TEST_TOPIC_1, equals: 'deep', allowRepeats: true});
+        pubst.subscribe(TEST_TOPIC_1, handler);
+
+        await pubst.publish(TEST_TOPIC_1, {id: 1});
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, {id: 1});
+        clock.tick(1);
+
+        expect(handler).to.have.been.calledTwice;
+      });
+
+      it('can be overriden', async () => {
+        const deepHandler = sinon.spy();
+        const strictHandler = sinon.spy();
+
+        await pubst.addTopic({name: TEST_TOPIC_1, equals: 'deep'});
+        pubst.subscribe(TEST_TOPIC_1, deepHandler);
+        pubst.subscribe(TEST_TOPIC_1, {handler: strictHandler, equals: 'strict'});
+
+        await pubst.publish(TEST_TOPIC_1, [1, 2]);
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, [1, 2]);
+        clock.tick(1);
+
+        expect(deepHandler).to.have.been.calledOnce;
+        expect(strictHandler).to.have.been.calledTwice;
+      });
+
+      it('delivers the value when the comparator throws', async () => {
+        const handler = sinon.spy();
+
+        await pubst.addTopic({name: TEST_TOPIC_1, equals: () => { throw new Error('boom'); }});
+        pubst.subscribe(TEST_TOPIC_1, handler);
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        clock.tick(1);
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        clock.tick(1);
+
+        expect(handler).to.have.been.calledTwice;
+      });
+
+      it('rejects unknown strategies', async () => {
+        let error;
+
+        try {
+          await pubst.addTopic({name: TEST_TOPIC_1, equals: 'fuzzy'});
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an('error');
+        expect(() => pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, equals: 'fuzzy'})).to.throw(/Unknown equality strategy/);
+      });
+    });
+
+    describe('validate', () => {
+      async function publishError(topic, payload) {
+        try {
+          await pubst.publish(topic, payload);
+        } catch (e) {
+          return e;
+        }
+        return null;
+      }
+
+      it('rejects payloads that fail a predicate', async () => {
+        const handler = sinon.spy();
+
+        await pubst.addTopic({name: TEST_TOPIC_1, validate: payload => typeof payload === 'number'});
+        pubst.subscribe(TEST_TOPIC_1, handler);
+
+        expect(await publishError(TEST_TOPIC_1, 5)).to.be.null;
+
+        const error = await publishError(TEST_TOPIC_1, 'five');
+        clock.tick(1);
+
+        expect(error).to.be.an.instanceOf(PubstValidationError);
+        expect(error).to.be.an.instanceOf(PubstError);
+        expect(error.name).to.equal('PubstValidationError');
+        expect(error.topic).to.equal(TEST_TOPIC_1);
+        expect(error.errors).to.deep.equal([{path: '$', message: 'rejected by validate function'}]);
+        expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal(5);
+        expect(handler).to.have.been.calledOnceWith(5);
+      });
+
+      it('rejects payloads that fail an assertion', async () => {
+        const cause = new Error('must be positive');
+
+        await pubst.addTopic({
+          name: TEST_TOPIC_1,
+          validate: payload => {
+            if (payload <= 0) {
+              throw cause;
+            }
+          }
+        });
+
+        expect(await publishError(TEST_TOPIC_1, 1)).to.be.null;
+
+        const error = await publishError(TEST_TOPIC_1, -1);
+
+        expect(error).to.be.an.instanceOf(PubstValidationError);
+        expect(error.errors).to.deep.equal([{path: '$', message: 'must be positive'}]);
+        expect(error.cause).to.equal(cause);
+        expect(error.message).to.contain(TEST_TOPIC_1).and.to.contain('must be positive');
+      });
+
+      it('rejects payloads that fail a schema and lists the failing paths', async () => {
+        const handler = sinon.spy();
+        const customStore = {
+          registerTopic: sinon.spy(async () => ({})),
+          getValue: sinon.spy(async () => undefined),
+          setValue: sinon.spy(async () => undefined),
+          clearValue: sinon.spy(async () => null),
+          getTopicNames: sinon.spy(async () => [])
+        };
+
+        await pubst.configure({store: customStore});
+        await pubst.addTopic({
+          name: 'user.basicInfo',
+          validate: {
+            type: 'object',
+            required: ['firstName', 'lastName'],
+            properties: {
+              firstName: {type: 'string'},
+              lastName: {type: 'string'}
+            }
+          }
+        });
+        pubst.subscribe('user.basicInfo', {handler, doPrime: false});
+
+        const error = await publishError('user.basicInfo', {firstName: 42});
+        clock.tick(1);
+
+        expect(error).to.be.an.instanceOf(PubstValidationError);
+        expect(error.errors).to.deep.equal([
+          {path: '$.lastName', message: 'is required'},
+          {path: '$.firstName', message: 'expected string but received number'}
+        ]);
+        expect(error.message).to.contain('$.lastName').and.to.contain('$.firstName');
+        expect(customStore.setValue).not.to.have.been.called;
+        expect(handler).not.to.have.been.called;
+      });
+
+      it('does not validate clears', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, validate: {type: 'string'}});
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        await pubst.clear(TEST_TOPIC_1);
+
+        expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal(null);
+      });
+
+      it('must be a function or an object', async () => {
+        let error;
+
+        try {
+          await pubst.addTopic({name: TEST_TOPIC_1, validate: 'string'});
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an('error');
+        expect(error.message).to.contain('validate');
+      });
+    });
+
+    describe('derive', () => {
+      const ITEMS = 'cart.items';
+      const DISCOUNT = 'pricing.discount';
+      const TOTAL = 'cart.total';
+
+      const sum = (items, discount) => items.reduce((total, item) => total + item, 0) - discount;
+
+      // Derived topics are recomputed in the background.
+      const recomputed = () => clock.tickAsync(0);
+
+      beforeEach(async () => {
+        await pubst.addTopics([
+          {name: ITEMS, default: []},
+          {name: DISCOUNT, default: 0}
+        ]);
+      });
+
+      it('computes the topic when it is added', async () => {
+        await pubst.publish(ITEMS, [5, 10]);
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS, DISCOUNT], compute: sum}});
+        await recomputed();
+
+        expect(await pubst.currentVal(TOTAL)).to.equal(15);
+      });
+
+      it('recomputes when any input is published', async () => {
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS, DISCOUNT], compute: sum}});
+
+        await pubst.publish(ITEMS, [5, 10]);
+        await recomputed();
+        expect(await pubst.currentVal(TOTAL)).to.equal(15);
+
+        await pubst.publish(DISCOUNT, 3);
+        await recomputed();
+        expect(await pubst.currentVal(TOTAL)).to.equal(12);
+      });
+
+      it('delivers each recomputed value to subscribers', async () => {
+        const handler = sinon.spy();
+
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS, DISCOUNT], compute: sum}});
+        pubst.subscribe(TOTAL, handler);
+        await clock.tickAsync(1);
+
+        await pubst.publish(ITEMS, [5, 10]);
+        await clock.tickAsync(1);
+        await pubst.publish(DISCOUNT, 3);
+        await clock.tickAsync(1);
+
+        expect(handler.args.map(args => args[0])).to.deep.equal([0, 15, 12]);
+      });
+
+      it('passes input values with defaults applied', async () => {
+        const compute = sinon.spy(() => 'value');
+
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS, DISCOUNT, 'not.configured'], compute}});
+        await recomputed();
+
+        expect(compute).to.have.been.calledOnceWith([], 0, undefined);
+      });
+
+      it('chains through other derived topics', async () => {
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS, DISCOUNT], compute: sum}});
+        await pubst.addTopic({name: 'cart.label', derive: {from: [TOTAL], compute: total => `$${total}`}});
+
+        await pubst.publish(ITEMS, [1, 2]);
+        await recomputed();
+
+        expect(await pubst.currentVal('cart.label')).to.equal('$3');
+      });
+
+      it('suppresses repeats like any other topic', async () => {
+        const handler = sinon.spy();
+
+        await pubst.addTopic({name: 'cart.empty', derive: {from: [ITEMS], compute: items => items.length === 0}});
+        pubst.subscribe('cart.empty', handler);
+        await clock.tickAsync(1);
+
+        for (const items of [[1], [1, 2], [1, 2, 3]]) {
+          await pubst.publish(ITEMS, items);
+          await clock.tickAsync(1);
+        }
+
+        expect(handler.args.map(args => args[0])).to.deep.equal([true, false]);
+      });
+
+      it('uses the topic default when the computed value is not set', async () => {
+        await pubst.addTopic({name: TOTAL, default: 'none', derive: {from: [ITEMS], compute: () => null}});
+        await recomputed();
+
+        expect(await pubst.currentVal(TOTAL)).to.equal('none');
+      });
+
+      it('supports async compute functions', async () => {
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS, DISCOUNT], compute: async (items, discount) => sum(items, discount)}});
+
+        await pubst.publish(ITEMS, [4]);
+        await recomputed();
+
+        expect(await pubst.currentVal(TOTAL)).to.equal(4);
+      });
+
+      it('does not wait for compute before resolving the publish', async () => {
+        let resolveCompute;
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS], compute: () => new Promise(resolve => {
+          resolveCompute = resolve;
+        })}});
+
+        await pubst.publish(ITEMS, [1, 2]);
+
+        expect(await pubst.currentVal(ITEMS)).to.deep.equal([1, 2]);
+        expect(await pubst.currentVal(TOTAL)).to.equal(null);
+
+        resolveCompute(2);
+        await recomputed();
+
+        expect(await pubst.currentVal(TOTAL)).to.equal(2);
+      });
+
+      it('discards stale async results', async () => {
+        const pending = [];
+        const handler = sinon.spy();
+        const compute = items => new Promise(resolve => pending.push(() => resolve(items.length)));
+        const computeCalls = async count => {
+          for (let i = 0; i < 100 && pending.length < count; i++) {
+            await Promise.resolve();
+          }
+          expect(pending).to.have.length(count);
+        };
+
+        const added = pubst.addTopic({name: TOTAL, derive: {from: [ITEMS], compute}});
+        await computeCalls(1);
+        pending.shift()();
+        await added;
+
+        pubst.subscribe(TOTAL, handler);
+        await clock.tickAsync(1);
+        handler.resetHistory();
+
+        const first = pubst.publish(ITEMS, [1]);
+        const second = pubst.publish(ITEMS, [1, 2]);
+        await computeCalls(2);
+
+        pending[1]();
+        pending[0]();
+        await Promise.all([first, second]);
+        await clock.tickAsync(1);
+
+        expect(await pubst.currentVal(TOTAL)).to.equal(2);
+        expect(handler.args.map(args => args[0])).to.deep.equal([2]);
+      });
+
+      it('is read-only', async () => {
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS], compute: items => items.length}});
+        await recomputed();
+
+        let error;
+        try {
+          await pubst.publish(TOTAL, 100);
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceOf(PubstError);
+        expect(error.message).to.contain('derived');
+        expect(await pubst.currentVal(TOTAL)).to.equal(0);
+      });
+
+      it('is skipped by clearAll and recomputed from cleared inputs', async () => {
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS], compute: items => items.length}});
+        await pubst.publish(ITEMS, [1, 2]);
+
+        await pubst.clearAll();
+        await recomputed();
+
+        expect(await pubst.currentVal(TOTAL)).to.equal(0);
+      });
+
+      it('logs a warning and keeps the last value when compute throws', async () => {
+        const customLogger = {warn: sinon.spy()};
+        await pubst.configure({logger: customLogger});
+        await pubst.addTopic({name: TOTAL, derive: {from: [ITEMS], compute: items => {
+          if (items.length > 1) {
+            throw new Error('too many');
+          }
+          return items.length;
+        }}});
+
+        await pubst.publish(ITEMS, [1, 2]);
+        await recomputed();
+
+        expect(await pubst.currentVal(TOTAL)).to.equal(0);
+        expect(customLogger.warn).to.have.been.calledWith('Pubst.derive', sinon.match('too many'));
+      });
+
+      it('does not reject the input publish when the derived value is invalid', async () => {
+        await pubst.addTopic({name: TOTAL, validate: {type: 'number', minimum: 0}, derive: {from: [ITEMS, DISCOUNT], compute: sum}});
+
+        await pubst.publish(DISCOUNT, 5);
+        await recomputed();
+
+        expect(await pubst.currentVal(DISCOUNT)).to.equal(5);
+        expect(await pubst.currentVal(TOTAL)).to.equal(0);
+      });
+
+      it('detects dependency cycles', async () => {
+        await pubst.addTopic({name: 'a', derive: {from: ['b'], compute: b => b}});
+        await pubst.addTopic({name: 'b', derive: {from: ['c'], compute: c => c}});
+
+        let error;
+        try {
+          await pubst.addTopic({name: 'c', derive: {from: [ITEMS, 'a'], compute: (items, a) => a}});
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an('error');
+        expect(error.message).to.contain('c -> a -> b -> c');
+      });
+
+      it('detects topics derived from themselves', async () => {
+        let error;
+        try {
+          await pubst.addTopic({name: TOTAL, derive: {from: [TOTAL], compute: total => total}});
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an('error');
+        expect(error.message).to.contain('cart.total -> cart.total');
+      });
+
+      it('requires from and compute', async () => {
+        const configs = [
+          {name: TOTAL, derive: {from: [ITEMS]}},
+          {name: TOTAL, derive: {from: [], compute: () => 1}},
+          {name: TOTAL, derive: {from: ITEMS, compute: () => 1}},
+          {name: TOTAL, derive: null}
+        ];
+
+        for (const config of configs) {
+          let error;
+          try {
+            await pubst.addTopic(config);
+          } catch (e) {
+            error = e;
+          }
+
+          expect(error, JSON.stringify(config)).to.be.an('error');
+          expect(error.message).to.contain('derive');
+        }
+      });
+    });
+
+    describe('history', () => {
+      it('keeps the last N published values with timestamps', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, history: 2});
+
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        clock.tick(10);
+        await pubst.publish(TEST_TOPIC_1, 'two');
+        clock.tick(10);
+        await pubst.publish(TEST_TOPIC_1, 'three');
+
+        expect(pubst.history(TEST_TOPIC_1)).to.deep.equal([
+          {value: 'two', timestamp: 10},
+          {value: 'three', timestamp: 20}
+        ]);
+      });
+
+      it('can keep values for a time window', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, history: {maxAge: 100}});
+
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        clock.tick(60);
+        await pubst.publish(TEST_TOPIC_1, 'two');
+        clock.tick(60);
+
+        expect(pubst.history(TEST_TOPIC_1).map(entry => entry.value)).to.deep.equal(['two']);
+
+        clock.tick(60);
+
+        expect(pubst.history(TEST_TOPIC_1)).to.deep.equal([]);
+      });
+
+      it('applies both size and maxAge', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, history: {size: 2, maxAge: 100}});
+
+        for (const value of [1, 2, 3]) {
+          await pubst.publish(TEST_TOPIC_1, value);
+          clock.tick(40);
+        }
+
+        expect(pubst.history(TEST_TOPIC_1).map(entry => entry.value)).to.deep.equal([2, 3]);
+
+        clock.tick(30);
+
+        expect(pubst.history(TEST_TOPIC_1).map(entry => entry.value)).to.deep.equal([3]);
+      });
+
+      it('records clears', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, history: 5});
+
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.clear(TEST_TOPIC_1);
+
+        expect(pubst.history(TEST_TOPIC_1).map(entry => entry.value)).to.deep.equal(['one', null]);
+      });
+
+      it('returns copies of the buffer', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, history: 5});
+        await pubst.publish(TEST_TOPIC_1, 'one');
+
+        const history = pubst.history(TEST_TOPIC_1);
+        history[0].value = 'changed';
+        history.push({value: 'extra', timestamp: 0});
+
+        expect(pubst.history(TEST_TOPIC_1)).to.deep.equal([{value: 'one', timestamp: 0}]);
+      });
+
+      it('is empty for topics without history', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1});
+        await pubst.publish(TEST_TOPIC_1, 'one');
+
+        expect(pubst.history(TEST_TOPIC_1)).to.deep.equal([]);
+        expect(pubst.history('not.configured')).to.deep.equal([]);
+      });
+
+      it('is dropped when the topic is reconfigured without history', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, history: 5});
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.addTopic({name: TEST_TOPIC_1});
+        await pubst.addTopic({name: TEST_TOPIC_1, history: 5});
+
+        expect(pubst.history(TEST_TOPIC_1)).to.deep.equal([]);
+      });
+
+      it('must be a positive integer or a size and/or maxAge', async () => {
+        const options = [0, 1.5, 'all', null, {}, {size: -1}, {maxAge: 0}];
+
+        for (const history of options) {
+          let error;
+          try {
+            await pubst.addTopic({name: TEST_TOPIC_1, history});
+          } catch (e) {
+            error = e;
+          }
+
+          expect(error, JSON.stringify(history)).to.be.an('error');
+          expect(error.message).to.contain('history');
+        }
+      });
+    });
+  });
+
+  describe('publish & subscribe', () => {
+    it('calls the subscriber if the topic already has a set value', async () => {
+      const testPayload = 'some test payload';
+      const handler = sinon.spy();
+
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+
+      await flushPromises();
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+    });
+
+    it('does not call the subscriber if the topic already has a set value when doPrime is false', async () => {
+      const testPayload = 'some test payload';
+      const handler = sinon.spy();
+
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      pubst.subscribe(TEST_TOPIC_1, {
+        doPrime: false,
+        handler
+      });
+
+      await flushPromises();
+      clock.tick(1);
+
+      expect(handler).to.have.callCount(0);
+
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+    });
+
+    it('calls the subscriber with the default value if the topic has not been set', async () => {
+      const defaultPayload = 'default payload';
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, handler, defaultPayload);
+
+      await flushPromises();
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(defaultPayload, TEST_TOPIC_1);
+    });
+
+    it('does not call subscribers when the same value is published multiple times', async () => {
+      const testPayload = 'test payload';
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+      handler.resetHistory();
+
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      clock.tick(1);
+
+      expect(handler).not.to.have.been.called;
+    });
+
+    it('allows subscriptions to permit values to repeat', async () => {
+      const testPayload = 'test payload';
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, {
+        allowRepeats: true,
+        handler
+      });
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+      handler.resetHistory();
+
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+    });
+
+    it('calls the subscriber with the default value if the topic has been set with null', async () => {
+      const testPayload = 'test payload';
+      const defaultPayload = 'default payload';
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, handler, defaultPayload);
+
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+      handler.resetHistory();
+
+      await pubst.publish(TEST_TOPIC_1, null);
+
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(defaultPayload, TEST_TOPIC_1);
+    });
+
+    it('allows subscriptions to be made with config objects', async () => {
+      const testPayload = 'test payload';
+      const defaultPayload = 'default payload';
+      const handler1 = sinon.spy();
+      const handler2 = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, {
+        handler: handler1,
+        default: defaultPayload
+      });
+
+      pubst.subscribe(TEST_TOPIC_1, handler2, defaultPayload);
+
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      clock.tick(1);
+
+      expect(handler1).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+      expect(handler2).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+      handler1.resetHistory();
+      handler2.resetHistory();
+
+      await pubst.publish(TEST_TOPIC_1, null);
+
+      clock.tick(1);
+
+      expect(handler1).to.have.been.calledWith(defaultPayload, TEST_TOPIC_1);
+      expect(handler2).to.have.been.calledWith(defaultPayload, TEST_TOPIC_1);
+    });
+
+    it('calls all the subscribers for a topic', async () => {
+      const testPayload = 'test payload';
+
+      const topic1Handler1 = sinon.spy();
+      const topic1Handler2 = sinon.spy();
+      const topic2Handler1 = sinon.spy();
+      const topic2Handler2 = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, topic1Handler1);
+      pubst.subscribe(TEST_TOPIC_1, topic1Handler2);
+      pubst.subscribe(TEST_TOPIC_2, topic2Handler1);
+      pubst.subscribe(TEST_TOPIC_2, topic2Handler2);
+
+      await pubst.publish(TEST_TOPIC_1, testPayload);
+
+      clock.tick(1);
+
+      expect(topic1Handler1).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+      expect(topic1Handler2).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+
+      expect(topic2Handler1).not.to.have.been.called;
+      expect(topic2Handler2).not.to.have.been.called;
+
+      topic1Handler1.resetHistory();
+      topic1Handler2.resetHistory();
+      topic2Handler1.resetHistory();
+      topic2Handler2.resetHistory();
+
+      await pubst.publish(TEST_TOPIC_2, testPayload);
+
+      clock.tick(1);
+
+      expect(topic1Handler1).not.to.have.been.called;
+      expect(topic1Handler2).not.to.have.been.called;
+
+      expect(topic2Handler1).to.have.been.calledWith(testPayload, TEST_TOPIC_2);
+      expect(topic2Handler2).to.have.been.calledWith(testPayload, TEST_TOPIC_2);
+    });
+
+    it('allows subscribers to unsunscribe', async () => {
+      const testPayload1 = 'test payload 1';
+      const testPayload2 = 'test payload 2';
+      const testPayload3 = 'test payload 3';
+
+      const handler1 = sinon.spy();
+      const handler2 = sinon.spy();
+
+      const unsub1 = pubst.subscribe(TEST_TOPIC_1, handler1);
+      const unsub2 = pubst.subscribe(TEST_TOPIC_1, handler2);
+
+      await pubst.publish(TEST_TOPIC_1, testPayload1);
+
+      clock.tick(1);
+
+      expect(handler1).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+      expect(handler2).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+
+      handler1.resetHistory();
+      handler2.resetHistory();
+
+      unsub1();
+
+      await pubst.publish(TEST_TOPIC_1, testPayload2);
+
+      clock.tick(1);
+
+      expect(handler1).not.to.have.been.called;
+      expect(handler2).to.have.been.calledWith(testPayload2, TEST_TOPIC_1);
+
+      handler1.resetHistory();
+      handler2.resetHistory();
+
+      unsub2();
+
+      await pubst.publish(TEST_TOPIC_1, testPayload3);
+
+      clock.tick(1);
+
+      expect(handler1).not.to.have.been.called;
+      expect(handler2).not.to.have.been.called;
+    });
+
+    it('sends null if no default was provided and a null was published', async () => {
+      const originalPayload = 'the original payload';
+      const handler = sinon.spy();
+
+      await pubst.publish(TEST_TOPIC_1, originalPayload);
+
+      await flushPromises();
+      clock.tick(1);
+
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal(originalPayload);
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+
+      await flushPromises();
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(originalPayload, TEST_TOPIC_1);
+      handler.resetHistory();
+
+      await pubst.publish(TEST_TOPIC_1, null);
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledWith(null, TEST_TOPIC_1);
+    });
+
+    it('maintains the payload for each scheduled call when changed before the call is made', async () => {
+      const payloads = [1, 2, 3, 4, 5];
+
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+
+      for (const payload of payloads) {
+        await pubst.publish(TEST_TOPIC_1, payload);
+      }
+
+      clock.tick(1);
+
+      expect(handler).to.have.callCount(payloads.length);
+      payloads.forEach(payload => {
+        expect(handler).to.have.been.calledWith(payload, TEST_TOPIC_1);
+      });
+    });
+
+    describe('function matcher subscribers', () => {
+
+      it('allows a subscriber to use a matcher function for a topic', async () => {
+        const specificHandler = sinon.spy();
+        const allTestTopicHandler = sinon.spy();
+        const anythingHandler = sinon.spy();
+
+        const otherTopic = 'ANOTHER_TOPIC!';
+
+        const testPayload1 = 'one';
+        const testPayload2 = 'two';
+        const testPayload3 = 'something else';
+
+        pubst.subscribe(t => t === TEST_TOPIC_1, specificHandler);
+        pubst.subscribe(t => t.startsWith('test.topic.'), allTestTopicHandler);
+        pubst.subscribe(() => true, anythingHandler);
+
+        await pubst.publish(TEST_TOPIC_1, testPayload1);
+        await pubst.publish(TEST_TOPIC_2, testPayload2);
+        await pubst.publish(otherTopic, testPayload3);
+
+        clock.tick(1);
+
+        expect(specificHandler).to.have.callCount(1);
+        expect(allTestTopicHandler).to.have.callCount(2);
+        expect(anythingHandler).to.have.callCount(3);
+
+        expect(specificHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+
+        expect(allTestTopicHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+        expect(allTestTopicHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+
+        expect(anythingHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+        expect(anythingHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+        expect(anythingHandler).to.have.been.calledWith(testPayload3, otherTopic);
+      });
+
+      it('are primed with ALL existing topics that match', async () => {
+        const specificHandler = sinon.spy();
+        const allTestTopicHandler = sinon.spy();
+        const anythingHandler = sinon.spy();
+
+        const otherTopic = 'ANOTHER_TOPIC!';
+
+        const testPayload1 = 'one';
+        const testPayload2 = 'two';
+        const testPayload3 = 'something else';
+
+        await pubst.publish(TEST_TOPIC_1, testPayload1);
+        await pubst.publish(TEST_TOPIC_2, testPayload2);
+        await pubst.publish(otherTopic, testPayload3);
+
+        await flushPromises();
+        clock.tick(1);
+
+        pubst.subscribe(t => t === TEST_TOPIC_1, specificHandler);
+        pubst.subscribe(t => t.startsWith('test.topic.'), allTestTopicHandler);
+        pubst.subscribe(() => true, anythingHandler);
+
+        await flushPromises();
+        clock.tick(1);
+
+        expect(specificHandler).to.have.callCount(1);
+        expect(allTestTopicHandler).to.have.callCount(2);
+        expect(anythingHandler).to.have.callCount(3);
+
+        expect(specificHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+
+        expect(allTestTopicHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+        expect(allTestTopicHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+
+        expect(anythingHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+        expect(anythingHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+        expect(anythingHandler).to.have.been.calledWith(testPayload3, otherTopic);
+      });
+
+      it('can live side by side with string handlers', async () => {
+        const specificHandler = sinon.spy();
+        const allTestTopicHandler = sinon.spy();
+        const anythingHandler = sinon.spy();
+
+        const otherTopic = 'ANOTHER_TOPIC!';
+
+        const testPayload1 = 'one';
+        const testPayload2 = 'two';
+        const testPayload3 = 'something else';
+
+        await pubst.publish(TEST_TOPIC_1, testPayload1);
+        await pubst.publish(TEST_TOPIC_2, testPayload2);
+        await pubst.publish(otherTopic, testPayload3);
+
+        await flushPromises();
+        clock.tick(1);
+
+        pubst.subscribe(TEST_TOPIC_1, specificHandler);
+        pubst.subscribe(t => t.startsWith('test.topic.'), allTestTopicHandler);
+        pubst.subscribe(() => true, anythingHandler);
+
+        await flushPromises();
+        clock.tick(1);
+
+        expect(specificHandler).to.have.callCount(1);
+        expect(allTestTopicHandler).to.have.callCount(2);
+        expect(anythingHandler).to.have.callCount(3);
+
+        expect(specificHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+
+        expect(allTestTopicHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+        expect(allTestTopicHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+
+        expect(anythingHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+        expect(anythingHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+        expect(anythingHandler).to.have.been.calledWith(testPayload3, otherTopic);
+      });
+
+      it('can unsubscribe', async () => {
+        const anythingHandler = sinon.spy();
+
+        const otherTopic = 'ANOTHER_TOPIC!';
+
+        const testPayload = 'something else';
+
+        const unsub = pubst.subscribe(() => true, anythingHandler);
+
+        await pubst.publish(TEST_TOPIC_1, testPayload);
+        await pubst.publish(TEST_TOPIC_2, testPayload);
+        await pubst.publish(otherTopic, testPayload);
+
+        clock.tick(1);
+
+        expect(anythingHandler).to.have.callCount(3);
+
+        expect(anythingHandler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+        expect(anythingHandler).to.have.been.calledWith(testPayload, TEST_TOPIC_2);
+        expect(anythingHandler).to.have.been.calledWith(testPayload, otherTopic);
+
+        anythingHandler.resetHistory();
+
+        unsub();
+
+        await pubst.publish(otherTopic, testPayload);
+
+        clock.tick(1);
+
+        expect(anythingHandler).not.to.have.been.called;
+      });
+
+      it('receive the same default for all topics', async () => {
+        const anythingHandler = sinon.spy();
+
+        const otherTopic = 'ANOTHER_TOPIC!';
+
+        const testPayload = 'something else';
+        const testDefault = 'some default';
+
+        pubst.subscribe(() => true, anythingHandler, testDefault);
+
+        await flushPromises();
+        clock.tick(1);
+
+        expect(anythingHandler).not.to.have.been.called;
+
+        await pubst.publish(TEST_TOPIC_1, testPayload);
+        await pubst.publish(TEST_TOPIC_2, testPayload);
+        await pubst.publish(otherTopic, testPayload);
+
+        clock.tick(1);
+
+        expect(anythingHandler).to.have.callCount(3);
+
+        expect(anythingHandler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+        expect(anythingHandler).to.have.been.calledWith(testPayload, TEST_TOPIC_2);
+        expect(anythingHandler).to.have.been.calledWith(testPayload, otherTopic);
+
+        anythingHandler.resetHistory();
+
+        await pubst.publish(TEST_TOPIC_1);
+        await pubst.publish(TEST_TOPIC_2);
+        await pubst.publish(otherTopic);
+
+        clock.tick(1);
+
+        expect(anythingHandler).to.have.callCount(3);
+
+        expect(anythingHandler).to.have.been.calledWith(testDefault, TEST_TOPIC_1);
+        expect(anythingHandler).to.have.been.calledWith(testDefault, TEST_TOPIC_2);
+        expect(anythingHandler).to.have.been.calledWith(testDefault, otherTopic);
+
+        anythingHandler.resetHistory();
+
+        const newOtherTopic = 'another.new.topic';
+
+        await pubst.publish(newOtherTopic, testPayload);
+
+        clock.tick(1);
+
+        expect(anythingHandler).to.have.callCount(1);
+        expect(anythingHandler).to.have.been.calledWith(testPayload, newOtherTopic);
+
+        anythingHandler.resetHistory();
+
+        await pubst.clearAll();
+
+        clock.tick(1);
+
+        expect(anythingHandler).to.have.callCount(4);
+        expect(anythingHandler).to.have.been.calledWith(testDefault, newOtherTopic);
+        expect(anythingHandler).to.have.been.calledWith(testDefault, TEST_TOPIC_1);
+        expect(anythingHandler).to.have.been.calledWith(testDefault, TEST_TOPIC_2);
+        expect(anythingHandler).to.have.been.calledWith(testDefault, otherTopic);
+
+      });
+
+      it('supports regex matching inside a function', async () => {
+        const handler = sinon.spy();
+
+        const otherTopic = 'ANOTHER_TOPIC!';
+
+        const testPayload1 = 'one';
+        const testPayload2 = 'two';
+        const testPayload3 = 'something else';
+
+        pubst.subscribe(t => /test\.topic\..*/.test(t), handler);
+
+        await pubst.publish(TEST_TOPIC_1, testPayload1);
+        await pubst.publish(TEST_TOPIC_2, testPayload2);
+        await pubst.publish(otherTopic, testPayload3);
+
+        clock.tick(1);
+
+        expect(handler).to.have.callCount(2);
+        expect(handler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+        expect(handler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+      });
+
+      it('passes the topic name to the matcher function', async () => {
+        const matcher = sinon.spy(() => true);
+        const handler = sinon.spy();
+
+        pubst.subscribe(matcher, handler);
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+
+        clock.tick(1);
+
+        expect(matcher).to.have.been.calledWith(TEST_TOPIC_1);
+        expect(handler).to.have.been.calledWith('value', TEST_TOPIC_1);
+      });
+
+      it('logs a warning and skips the match when the matcher throws', async () => {
+        const handler = sinon.spy();
+        const customLogger = { warn: sinon.spy() };
+
+        const p = new Pubst();
+        await p.configure({logger: customLogger});
+
+        pubst.subscribe(() => { throw new Error('boom'); }, handler);
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+
+        clock.tick(1);
+
+        expect(handler).not.to.have.been.called;
+      });
+
+      it('does not block other subscribers when a matcher throws', async () => {
+        const throwingHandler = sinon.spy();
+        const workingHandler = sinon.spy();
+
+        pubst.subscribe(() => { throw new Error('boom'); }, throwingHandler);
+        pubst.subscribe(() => true, workingHandler);
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+
+        clock.tick(1);
+
+        expect(throwingHandler).not.to.have.been.called;
+        expect(workingHandler).to.have.been.calledWith('value', TEST_TOPIC_1);
+      });
+
+      it('excludes subscriber when matcher returns falsy', async () => {
+        const handler = sinon.spy();
+
+        pubst.subscribe(t => t === TEST_TOPIC_1, handler);
+
+        await pubst.publish(TEST_TOPIC_1, 'match');
+        await pubst.publish(TEST_TOPIC_2, 'no match');
+
+        clock.tick(1);
+
+        expect(handler).to.have.callCount(1);
+        expect(handler).to.have.been.calledWith('match', TEST_TOPIC_1);
+      });
+
+      it('accepts truthy non-boolean return values from matcher', async () => {
+        const handlerOne = sinon.spy();
+        const handlerStr = sinon.spy();
+        const handlerObj = sinon.spy();
+
+        pubst.subscribe(() => 1, handlerOne);
+        pubst.subscribe(() => 'yes', handlerStr);
+        pubst.subscribe(() => ({}), handlerObj);
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+
+        clock.tick(1);
+
+        expect(handlerOne).to.have.been.calledWith('value', TEST_TOPIC_1);
+        expect(handlerStr).to.have.been.calledWith('value', TEST_TOPIC_1);
+        expect(handlerObj).to.have.been.calledWith('value', TEST_TOPIC_1);
+      });
+    });
+
+    describe('matcher caching', () => {
+
+      beforeEach(async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, doPrime: false});
+        await pubst.addTopic({name: TEST_TOPIC_2, doPrime: false});
+      });
+
+      it('calls a matcher once per topic', async () => {
+        const matcher = sinon.spy(t => t === TEST_TOPIC_1);
+        const handler = sinon.spy();
+
+        pubst.subscribe(matcher, {handler, allowRepeats: true});
+        await clock.tickAsync(1);
+
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.publish(TEST_TOPIC_1, 'two');
+        await pubst.publish(TEST_TOPIC_2, 'three');
+        await pubst.publish(TEST_TOPIC_2, 'four');
+        await clock.tickAsync(1);
+
+        expect(matcher.args).to.deep.equal([[TEST_TOPIC_1], [TEST_TOPIC_2]]);
+        expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1], ['two', TEST_TOPIC_1]]);
+      });
+
+      it('includes matchers subscribed after a topic was cached', async () => {
+        const first = sinon.spy();
+        const second = sinon.spy();
+
+        pubst.subscribe(() => true, first);
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await clock.tickAsync(1);
+
+        pubst.subscribe(t => t === TEST_TOPIC_1, {handler: second, doPrime: false});
+        await pubst.publish(TEST_TOPIC_1, 'two');
+        await clock.tickAsync(1);
+
+        expect(first.args).to.deep.equal([['one', TEST_TOPIC_1], ['two', TEST_TOPIC_1]]);
+        expect(second.args).to.deep.equal([['two', TEST_TOPIC_1]]);
+      });
+
+      it('drops matchers that unsubscribe', async () => {
+        const handler = sinon.spy();
+
+        const unsub = pubst.subscribe(() => true, handler);
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await clock.tickAsync(1);
+
+        unsub();
+        await pubst.publish(TEST_TOPIC_1, 'two');
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1]]);
+      });
+
+      it('does not retry a matcher that threw for a topic', async () => {
+        const matcher = sinon.spy(() => {
+          throw new Error('boom');
+        });
+        const logger = {warn: sinon.spy()};
+        await pubst.configure({logger});
+
+        pubst.subscribe(matcher, () => {});
+
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.publish(TEST_TOPIC_1, 'two');
+
+        expect(matcher.args).to.deep.equal([[TEST_TOPIC_1], [TEST_TOPIC_2]]);
+        expect(logger.warn).to.have.been.calledWith('Pubst.subscribe', sinon.match(/boom/));
+      });
+
+      it('does not remember results for topics that are not configured', async () => {
+        const matcher = sinon.spy(() => true);
+
+        pubst.subscribe(matcher, {handler: () => {}, allowRepeats: true});
+        await clock.tickAsync(1);
+        matcher.resetHistory();
+
+        await pubst.publish('unconfigured.topic', 'one');
+        await pubst.publish('unconfigured.topic', 'two');
+
+        expect(matcher.args).to.deep.equal([['unconfigured.topic'], ['unconfigured.topic']]);
+      });
+
+      it('can be turned off for matchers that are not pure', async () => {
+        const muted = new Set();
+        const handler = sinon.spy();
+
+        pubst.subscribe(t => !muted.has(t), {handler, cacheMatches: false});
+
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await clock.tickAsync(1);
+
+        muted.add(TEST_TOPIC_1);
+        await pubst.publish(TEST_TOPIC_1, 'two');
+        await clock.tickAsync(1);
+
+        muted.delete(TEST_TOPIC_1);
+        await pubst.publish(TEST_TOPIC_1, 'three');
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1], ['three', TEST_TOPIC_1]]);
+      });
+
+      it('caches matcher results across repeated publishes', async () => {
+        const subscriberCount = 300;
+        const publishCount = 300;
+
+        async function run(cacheMatches) {
+          const p = new Pubst();
+          await p.configure({showWarnings: false, scheduler: 'sync'});
+
+          for (let i = 0; i < 10; i++) {
+            await p.addTopic({name: `dashboard.widget${i}.value`, doPrime: false});
+          }
+
+          let calls = 0;
+          for (let i = 0; i < subscriberCount; i++) {
+            const pattern = new RegExp(`^dashboard\\.widget${i}\\.(value|status)$`);
+            p.subscribe(topic => {
+              calls++;
+              return pattern.test(topic);
+            }, {handler: () => {}, doPrime: false, cacheMatches});
+          }
+
+          for (let i = 0; i < publishCount; i++) {
+            await p.publish(`dashboard.widget${i % 10}.value`, i);
+          }
+
+          return calls;
+        }
+
+        const uncached = await run(false);
+        const cached = await run(true);
+
+        expect(uncached).to.be.at.least(subscriberCount * publishCount);
+        expect(cached).to.equal(subscriberCount * 10);
+      });
+    });
+
+    describe('wildcard patterns', () => {
+
+      it('matches a single level with +', async () => {
+        const handler = sinon.spy();
+
+        pubst.subscribe('user.+.updated', handler);
+
+        await pubst.publish('user.42.updated', 'a');
+        await pubst.publish('user.42.removed', 'b');
+        await pubst.publish('user.42.name.updated', 'c');
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['a', 'user.42.updated']]);
+      });
+
+      it('matches the parent and all levels below it with #', async () => {
+        const handler = sinon.spy();
+
+        pubst.subscribe('user.#', handler);
+
+        await pubst.publish('user', 'a');
+        await pubst.publish('user.42', 'b');
+        await pubst.publish('user.42.updated', 'c');
+        await pubst.publish('account.42', 'd');
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['a', 'user'], ['b', 'user.42'], ['c', 'user.42.updated']]);
+      });
+
+      it('are primed with existing topics that match', async () => {
+        const handler = sinon.spy();
+
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.publish(TEST_TOPIC_2, 'two');
+        await pubst.publish('test.other', 'other');
+        await clock.tickAsync(1);
+
+        pubst.subscribe('test.topic.+', handler);
+        await clock.tickAsync(1);
+
+        expect(handler).to.have.callCount(2);
+        expect(handler).to.have.been.calledWith('one', TEST_TOPIC_1);
+        expect(handler).to.have.been.calledWith('two', TEST_TOPIC_2);
+      });
+
+      it('are delivered in priority order with other subscriptions', async () => {
+        const calls = [];
+
+        pubst.subscribe(() => true, () => calls.push('matcher'));
+        pubst.subscribe('test.#', {handler: () => calls.push('pattern'), priority: 1});
+        pubst.subscribe(TEST_TOPIC_1, () => calls.push('string'));
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        await clock.tickAsync(1);
+
+        expect(calls).to.deep.equal(['pattern', 'matcher', 'string']);
+      });
+
+      it('stop receiving updates after unsubscribing', async () => {
+        const handler = sinon.spy();
+
+        const unsub = pubst.subscribe('test.#', handler);
+        unsub();
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        await clock.tickAsync(1);
+
+        expect(handler).not.to.have.been.called;
+        expect(pubst.patterns()).to.deep.equal([]);
+      });
+
+      it('are listed by patterns', () => {
+        pubst.subscribe('test.#', () => {});
+        pubst.subscribe('user.+.updated', () => {});
+        pubst.subscribe('test.#', () => {});
+        pubst.subscribe(TEST_TOPIC_1, () => {});
+
+        expect(pubst.patterns()).to.deep.equal(['test.#', 'user.+.updated']);
+      });
+
+      it('only treat whole levels as wildcards', async () => {
+        const handler = sinon.spy();
+
+        pubst.subscribe('c++', handler);
+
+        await pubst.publish('c++', 'value');
+        await pubst.publish('c', 'other');
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['value', 'c++']]);
+        expect(pubst.patterns()).to.deep.equal([]);
+      });
+
+      it('reject # anywhere but the last level', () => {
+        expect(() => pubst.subscribe('test.#.one', () => {})).to.throw(/last level/);
+      });
+
+      it('are not matched against $ topics by a leading wildcard', async () => {
+        const handler = sinon.spy();
+
+        pubst.subscribe('#', handler);
+
+        await pubst.publish('$internal.status', 'value');
+        await clock.tickAsync(1);
+
+        expect(handler).not.to.have.been.called;
+      });
+
+      it('use the configured topicSeparator', async () => {
+        const handler = sinon.spy();
+
+        pubst.subscribe('user/+', handler);
+        await pubst.configure({topicSeparator: '/'});
+
+        await pubst.publish('user/42', 'a');
+        await pubst.publish('user.42', 'b');
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['a', 'user/42']]);
+        expect(pubst.patterns()).to.deep.equal(['user/+']);
+      });
+
+      it('reindex existing subscriptions when the topicSeparator changes', async () => {
+        const handler = sinon.spy();
+
+        pubst.subscribe('test.#', handler);
+        await pubst.configure({topicSeparator: '/'});
+
+        await pubst.publish('test.#', 'literal');
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['literal', 'test.#']]);
+        expect(pubst.patterns()).to.deep.equal([]);
+      });
+
+      it('rejects an empty topicSeparator', async () => {
+        let error;
+        try {
+          await pubst.configure({topicSeparator: ''});
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.message).to.match(/separator/);
+      });
+
+      it('are allowed in strict mode and warn when no configured topic matches', async () => {
+        const logger = {warn: sinon.spy()};
+        await pubst.configure({strict: true, logger, topics: [{name: TEST_TOPIC_1}]});
+
+        expect(() => pubst.subscribe('test.#', () => {})).not.to.throw();
+        expect(logger.warn).not.to.have.been.called;
+
+        pubst.subscribe('user.#', () => {});
+        expect(logger.warn).to.have.been.calledWith('Pubst.addSub', sinon.match(/user\.#/));
+      });
+
+      it('replay history from every matching topic', async () => {
+        const handler = sinon.spy();
+
+        await pubst.addTopics([{name: TEST_TOPIC_1, history: 5}, {name: TEST_TOPIC_2, history: 5}]);
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await clock.tickAsync(1);
+        await pubst.publish(TEST_TOPIC_2, 'two');
+        await clock.tickAsync(1);
+
+        pubst.subscribe('test.topic.+', {handler, replay: 'all'});
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1], ['two', TEST_TOPIC_2]]);
+      });
+    });
+
+  });
+
+  describe('scheduler', () => {
+    it('uses setTimeout by default', async () => {
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      clock.runMicrotasks();
+
+      expect(handler).not.to.have.been.called;
+
+      clock.tick(0);
+
+      expect(handler).to.have.been.calledWith('value', TEST_TOPIC_1);
+    });
+
+    it('delivers synchronously before publish resolves', async () => {
+      const handler = sinon.spy();
+      await pubst.configure({scheduler: 'sync'});
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      expect(handler).to.have.been.calledOnceWith('value', TEST_TOPIC_1);
+    });
+
+    it('delivers on the microtask queue', async () => {
+      const handler = sinon.spy();
+      await pubst.configure({scheduler: 'microtask'});
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      expect(handler).not.to.have.been.called;
+
+      clock.runMicrotasks();
+
+      expect(handler).to.have.been.calledOnceWith('value', TEST_TOPIC_1);
+    });
+
+    it('delivers on animation frames when available', async () => {
+      const frames = [];
+      globalThis.requestAnimationFrame = callback => frames.push(callback);
+
+      try {
+        const handler = sinon.spy();
+        await pubst.configure({scheduler: 'animationFrame'});
+
+        pubst.subscribe(TEST_TOPIC_1, handler);
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        clock.tick(1);
+
+        expect(handler).not.to.have.been.called;
+        expect(frames).to.have.lengthOf(1);
+
+        frames.forEach(frame => frame(16));
+
+        expect(handler).to.have.been.calledOnceWith('value', TEST_TOPIC_1);
+      } finally {
+        delete globalThis.requestAnimationFrame;
+      }
+    });
+
+    it('accepts a custom scheduler function', async () => {
+      const queue = [];
+      const handler = sinon.spy();
+      await pubst.configure({scheduler: callback => queue.push(callback)});
+
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      clock.tick(1);
+
+      expect(handler).not.to.have.been.called;
+      expect(queue).to.have.lengthOf(1);
+
+      queue.forEach(callback => callback());
+
+      expect(handler).to.have.been.calledOnceWith('value', TEST_TOPIC_1);
+    });
+
+    it('can be overridden by topics', async () => {
+      const handler1 = sinon.spy();
+      const handler2 = sinon.spy();
+
+      await pubst.addTopic({name: TEST_TOPIC_1, scheduler: 'sync'});
+
+      pubst.subscribe(TEST_TOPIC_1, handler1);
+      pubst.subscribe(TEST_TOPIC_2, handler2);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await pubst.publish(TEST_TOPIC_2, 'value');
+
+      expect(handler1).to.have.been.calledOnce;
+      expect(handler2).not.to.have.been.called;
+    });
+
+    it('can be overridden by subscribers', async () => {
+      const handler1 = sinon.spy();
+      const handler2 = sinon.spy();
+
+      await pubst.addTopic({name: TEST_TOPIC_1, scheduler: 'macrotask'});
+
+      pubst.subscribe(TEST_TOPIC_1, {handler: handler1, scheduler: 'sync'});
+      pubst.subscribe(TEST_TOPIC_1, handler2);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      expect(handler1).to.have.been.calledOnce;
+      expect(handler2).not.to.have.been.called;
+
+      clock.tick(1);
+
+      expect(handler2).to.have.been.calledOnce;
+    });
+
+    it('primes subscribers with the configured scheduler', async () => {
+      const handler = sinon.spy();
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      pubst.subscribe(TEST_TOPIC_1, {handler, scheduler: 'sync'});
+      await flushPromises();
+
+      expect(handler).to.have.been.calledOnceWith('value', TEST_TOPIC_1);
+    });
+
+    it('preserves subscriber order within a mode', async () => {
+      const calls = [];
+      await pubst.configure({scheduler: 'microtask'});
+
+      pubst.subscribe(TEST_TOPIC_1, () => calls.push('one'));
+      pubst.subscribe(TEST_TOPIC_1, () => calls.push('two'));
+      pubst.subscribe(() => true, () => calls.push('three'));
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      clock.runMicrotasks();
+
+      expect(calls).to.deep.equal(['one', 'two', 'three']);
+    });
+
+    it('rejects unknown schedulers', async () => {
+      let configureError;
+      let topicError;
+
+      try {
+        await pubst.configure({scheduler: 'eventually'});
+      } catch (e) {
+        configureError = e;
+      }
+
+      try {
+        await pubst.addTopic({name: TEST_TOPIC_1, scheduler: 'eventually'});
+      } catch (e) {
+        topicError = e;
+      }
+
+      expect(configureError).to.be.an('error');
+      expect(topicError).to.be.an('error');
+      expect(() => pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, scheduler: 'eventually'})).to.throw(/Unknown scheduler/);
+    });
+  });
+
+  describe('priority', () => {
+    it('delivers string and matcher subscriptions in registration order', async () => {
+      const calls = [];
+
+      pubst.subscribe(() => true, () => calls.push('matcher one'));
+      pubst.subscribe(TEST_TOPIC_1, () => calls.push('string one'));
+      pubst.subscribe(t => t === TEST_TOPIC_1, () => calls.push('matcher two'));
+      pubst.subscribe(TEST_TOPIC_1, () => calls.push('string two'));
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      clock.tick(1);
+
+      expect(calls).to.deep.equal(['matcher one', 'string one', 'matcher two', 'string two']);
+    });
+
+    it('delivers higher priority subscriptions first', async () => {
+      const calls = [];
+
+      pubst.subscribe(TEST_TOPIC_1, {handler: () => calls.push('renderer')});
+      pubst.subscribe(() => true, {handler: () => calls.push('logger'), priority: -10});
+      pubst.subscribe(TEST_TOPIC_1, {handler: () => calls.push('cache'), priority: 10});
+      pubst.subscribe(t => t === TEST_TOPIC_1, {handler: () => calls.push('validator'), priority: 10});
+      pubst.subscribe(TEST_TOPIC_1, {handler: () => calls.push('metrics')});
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      clock.tick(1);
+
+      expect(calls).to.deep.equal(['cache', 'validator', 'renderer', 'metrics', 'logger']);
+    });
+
+    it('reports publishAndWait results in delivery order', async () => {
+      const low = () => 'low';
+      const high = () => 'high';
+
+      pubst.subscribe(TEST_TOPIC_1, {handler: low});
+      pubst.subscribe(TEST_TOPIC_1, {handler: high, priority: 1});
+
+      const promise = pubst.publishAndWait(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+      const results = await promise;
+
+      expect(results.map(r => r.result)).to.deep.equal(['high', 'low']);
+      expect(results[0].subscription.priority).to.equal(1);
+    });
+
+    it('must be a finite number', () => {
+      expect(() => pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, priority: 'high'})).to.throw(/priority/);
+      expect(() => pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, priority: NaN})).to.throw(/priority/);
+    });
+  });
+
+  describe('once', () => {
+    it('removes the subscription after the first delivery', async () => {
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, {handler, once: true});
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_1, 'two');
+      clock.tick(1);
+      await pubst.publish(TEST_TOPIC_1, 'three');
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledOnceWith('one', TEST_TOPIC_1);
+    });
+
+    it('counts priming as the first delivery', async () => {
+      const handler = sinon.spy();
+
+      await pubst.publish(TEST_TOPIC_1, 'primed');
+
+      pubst.subscribe(TEST_TOPIC_1, {handler, once: true});
+      await flushPromises();
+      clock.tick(1);
+
+      await pubst.publish(TEST_TOPIC_1, 'next');
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledOnceWith('primed', TEST_TOPIC_1);
+    });
+
+    it('works with matcher functions', async () => {
+      const handler = sinon.spy();
+
+      pubst.subscribe(t => t.startsWith('test.topic.'), {handler, once: true});
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_2, 'two');
+      clock.tick(1);
+
+      expect(handler).to.have.been.calledOnceWith('one', TEST_TOPIC_1);
+    });
+  });
+
+  describe('unsubscribe', () => {
+    it('cancels deliveries that have not been made', async () => {
+      const handler = sinon.spy();
+      const unsub = pubst.subscribe(TEST_TOPIC_1, handler);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      unsub();
+      await clock.tickAsync(1);
+
+      expect(handler).not.to.have.been.called;
+    });
+
+    it('cancels priming that has not been made', async () => {
+      const handler = sinon.spy();
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      const unsub = pubst.subscribe(TEST_TOPIC_1, handler);
+      unsub();
+      await clock.tickAsync(1);
+
+      expect(handler).not.to.have.been.called;
+    });
+
+    it('cancels priming of matcher function subscriptions', async () => {
+      const handler = sinon.spy();
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      const unsub = pubst.subscribe(() => true, handler);
+      await flushPromises();
+      unsub();
+      await clock.tickAsync(1);
+
+      expect(handler).not.to.have.been.called;
+    });
+
+    it('reports cancelled deliveries to publishAndWait', async () => {
+      const unsub = pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, doPrime: false});
+
+      const promise = pubst.publishAndWait(TEST_TOPIC_1, 'value');
+      await flushPromises();
+      unsub();
+
+      const results = await promise;
+
+      expect(results.map(r => r.status)).to.deep.equal(['cancelled']);
+    });
+
+    it('does not cancel the delivery of a once subscription', async () => {
+      const handler = sinon.spy();
+      pubst.subscribe(TEST_TOPIC_1, {handler, once: true});
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledOnceWith('value', TEST_TOPIC_1);
+    });
+  });
+
+  describe('signal', () => {
+    async function rejection(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        return e;
+      }
+      return null;
+    }
+
+    let controller;
+    let reason;
+
+    beforeEach(() => {
+      controller = new AbortController();
+      reason = new Error('torn down');
+    });
+
+    describe('subscribe', () => {
+      it('unsubscribes when the signal aborts', async () => {
+        const handler = sinon.spy();
+        pubst.subscribe(TEST_TOPIC_1, {handler, signal: controller.signal});
+
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await clock.tickAsync(1);
+        controller.abort(reason);
+        await pubst.publish(TEST_TOPIC_1, 'two');
+        await clock.tickAsync(1);
+
+        expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1]]);
+      });
+
+      it('cancels pending deliveries when the signal aborts', async () => {
+        const handler = sinon.spy();
+        pubst.subscribe(TEST_TOPIC_1, {handler, signal: controller.signal});
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        controller.abort(reason);
+        await clock.tickAsync(1);
+
+        expect(handler).not.to.have.been.called;
+      });
+
+      it('tears down many subscriptions with one abort', async () => {
+        const handler = sinon.spy();
+        const {signal} = controller;
+        pubst.subscribe(TEST_TOPIC_1, {handler, signal});
+        pubst.subscribe('test.#', {handler, signal});
+        pubst.subscribe(() => true, {handler, signal});
+
+        controller.abort(reason);
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        await clock.tickAsync(1);
+
+        expect(handler).not.to.have.been.called;
+        expect(pubst.patterns()).to.deep.equal([]);
+      });
+
+      it('calls onComplete when the signal aborts', () => {
+        const onComplete = sinon.spy();
+        pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, onComplete, signal: controller.signal});
+
+        controller.abort(reason);
+
+        expect(onComplete).to.have.been.calledOnceWith(TEST_TOPIC_1);
+      });
+
+      it('does not subscribe with an aborted signal', async () => {
+        const handler = sinon.spy();
+        const onComplete = sinon.spy();
+        await pubst.publish(TEST_TOPIC_1, 'value');
+
+        const unsub = pubst.subscribe(TEST_TOPIC_1, {handler, onComplete, signal: AbortSignal.abort(reason)});
+        await clock.tickAsync(1);
+
+        expect(handler).not.to.have.been.called;
+        expect(onComplete).to.have.been.calledOnce;
+        expect(unsub).not.to.throw();
+      });
+
+      it('stops listening to the signal after unsubscribing', () => {
+        const onComplete = sinon.spy();
+        const unsub = pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, onComplete, signal: controller.signal});
+
+        unsub();
+        controller.abort(reason);
+
+        expect(onComplete).not.to.have.been.called;
+      });
+
+      it('stops listening to the signal after a once subscription fires', async () => {
+        const handler = sinon.spy();
+        const onComplete = sinon.spy();
+        sinon.spy(controller.signal, 'removeEventListener');
+        pubst.subscribe(TEST_TOPIC_1, {handler, onComplete, once: true, signal: controller.signal});
+
+        await pubst.publish(TEST_TOPIC_1, 'value');
+        await clock.tickAsync(1);
+        controller.abort(reason);
+
+        expect(handler).to.have.been.calledOnceWith('value', TEST_TOPIC_1);
+        expect(onComplete).not.to.have.been.called;
+        expect(controller.signal.removeEventListener).to.have.been.calledWith('abort');
+      });
+
+      it('ends streams and completes observers', async () => {
+        const stream = pubst.stream(TEST_TOPIC_1, {signal: controller.signal});
+        const observer = {complete: sinon.spy()};
+        pubst.observe(TEST_TOPIC_1, {signal: controller.signal}).subscribe(observer);
+
+        controller.abort(reason);
+
+        expect(await stream.next()).to.deep.equal({value: undefined, done: true});
+        expect(observer.complete).to.have.been.calledOnce;
+      });
+
+      it('must be an AbortSignal', () => {
+        expect(() => pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, signal: {}})).to.throw(/AbortSignal/);
+        expect(() => pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, signal: null})).to.throw(/AbortSignal/);
+      });
+    });
+
+    describe('publish', () => {
+      it('rejects with the reason of an aborted signal and does not publish', async () => {
+        const handler = sinon.spy();
+        pubst.subscribe(TEST_TOPIC_1, handler);
+        controller.abort(reason);
+
+        expect(await rejection(pubst.publish(TEST_TOPIC_1, 'value', {signal: controller.signal}))).to.equal(reason);
+        await clock.tickAsync(1);
+
+        expect(handler).not.to.have.been.called;
+        expect(await pubst.currentVal(TEST_TOPIC_1)).to.be.undefined;
+      });
+
+      it('is abandoned when the signal aborts during middleware', async () => {
+        pubst.use(async (context, next) => {
+          controller.abort(reason);
+          await next();
+        });
+
+        expect(await rejection(pubst.publish(TEST_TOPIC_1, 'value', {signal: controller.signal}))).to.equal(reason);
+        expect(await pubst.currentVal(TEST_TOPIC_1)).to.be.undefined;
+      });
+
+      it('completes when the signal aborts after the value is stored', async () => {
+        pubst.use(async (context, next) => {
+          await next();
+          controller.abort(reason);
+        });
+
+        await pubst.publish(TEST_TOPIC_1, 'value', {signal: controller.signal});
+
+        expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('value');
+      });
+
+      it('stops publishAndWait from waiting when the signal aborts', async () => {
+        const handler = sinon.spy();
+        pubst.subscribe(TEST_TOPIC_1, {handler, doPrime: false});
+
+        const promise = pubst.publishAndWait(TEST_TOPIC_1, 'value', {signal: controller.signal});
+        await flushPromises();
+        controller.abort(reason);
+
+        expect(await rejection(promise)).to.equal(reason);
+
+        await clock.tickAsync(1);
+        expect(handler).to.have.been.calledWith('value', TEST_TOPIC_1);
+      });
+    });
+
+    describe('currentVal', () => {
+      it('rejects with the reason when the signal aborts before the read resolves', async () => {
+        await pubst.publish(TEST_TOPIC_1, 'value');
+
+        const promise = pubst.currentVal(TEST_TOPIC_1, undefined, {signal: controller.signal});
+        controller.abort(reason);
+
+        expect(await rejection(promise)).to.equal(reason);
+        expect(await pubst.currentVal(TEST_TOPIC_1, undefined, {signal: new AbortController().signal})).to.equal('value');
+      });
+    });
+
+    describe('clearAll', () => {
+      it('stops clearing when the signal aborts', async () => {
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.publish(TEST_TOPIC_2, 'two');
+
+        pubst.use(async (context, next) => {
+          await next();
+          controller.abort(reason);
+        });
+
+        expect(await rejection(pubst.clearAll({signal: controller.signal}))).to.equal(reason);
+        expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal(null);
+        expect(await pubst.currentVal(TEST_TOPIC_2)).to.equal('two');
+      });
+
+      it('rejects with the reason of an aborted signal', async () => {
+        await pubst.publish(TEST_TOPIC_1, 'one');
+
+        expect(await rejection(pubst.clear(TEST_TOPIC_1, {signal: AbortSignal.abort(reason)}))).to.equal(reason);
+        expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('one');
+      });
+    });
+  });
+
+  describe('replay', () => {
+    beforeEach(async () => {
+      await pubst.addTopics([
+        {name: TEST_TOPIC_1, history: 5},
+        {name: TEST_TOPIC_2, history: 5}
+      ]);
+
+      for (const value of ['one', 'two', 'three']) {
+        await pubst.publish(TEST_TOPIC_1, value);
+      }
+    });
+
+    it('replays all buffered values in order', async () => {
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, {handler, replay: 'all'});
+      await clock.tickAsync(1);
+
+      expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1], ['two', TEST_TOPIC_1], ['three', TEST_TOPIC_1]]);
+    });
+
+    it('replays the most recent values', async () => {
+      const last = sinon.spy();
+      const recent = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, {handler: last, replay: 'last'});
+      pubst.subscribe(TEST_TOPIC_1, {handler: recent, replay: 2});
+      await clock.tickAsync(1);
+
+      expect(last.args.map(args => args[0])).to.deep.equal(['three']);
+      expect(recent.args.map(args => args[0])).to.deep.equal(['two', 'three']);
+    });
+
+    it('delivers live updates after the replay', async () => {
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, {handler, replay: 'all'});
+      await pubst.publish(TEST_TOPIC_1, 'four');
+      await clock.tickAsync(1);
+
+      expect(handler.args.map(args => args[0])).to.deep.equal(['one', 'two', 'three', 'four']);
+    });
+
+    it('replays even when doPrime is false', async () => {
+      const handler = sinon.spy();
+
+      pubst.subscribe(TEST_TOPIC_1, {handler, replay: 'all', doPrime: false});
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledThrice;
+    });
+
+    it('merges matched topics in publish order', async () => {
+      const handler = sinon.spy();
+
+      await pubst.publish(TEST_TOPIC_2, 'a');
+      await pubst.publish(TEST_TOPIC_1, 'four');
+      await pubst.publish(TEST_TOPIC_2, 'b');
+
+      pubst.subscribe(t => t.startsWith('test.topic.'), {handler, replay: 2});
+      await clock.tickAsync(1);
+
+      expect(handler.args).to.deep.equal([
+        ['three', TEST_TOPIC_1],
+        ['a', TEST_TOPIC_2],
+        ['four', TEST_TOPIC_1],
+        ['b', TEST_TOPIC_2]
+      ]);
+    });
+
+    it('primes topics without history as usual', async () => {
+      const handler = sinon.spy();
+
+      await pubst.addTopic({name: 'test.topic.plain'});
+      await pubst.publish('test.topic.plain', 'plain');
+
+      pubst.subscribe('test.topic.plain', {handler, replay: 'all'});
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledOnceWith('plain', 'test.topic.plain');
+    });
+
+    it('applies subscription defaults to replayed clears', async () => {
+      const handler = sinon.spy();
+
+      await pubst.clear(TEST_TOPIC_1);
+
+      pubst.subscribe(TEST_TOPIC_1, {handler, replay: 2, default: 'empty'});
+      await clock.tickAsync(1);
+
+      expect(handler.args.map(args => args[0])).to.deep.equal(['three', 'empty']);
+    });
+
+    it('must be last, all, or a positive integer', () => {
+      for (const replay of ['first', 0, -1, 2.5]) {
+        expect(() => pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, replay}), String(replay)).to.throw(/replay/);
+      }
+    });
+  });
+
+  describe('waitFor', () => {
+    it('resolves with the next published value', async () => {
+      const promise = pubst.waitFor(TEST_TOPIC_1);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+
+      expect(await promise).to.equal('value');
+    });
+
+    it('resolves with the primed value', async () => {
+      await pubst.publish(TEST_TOPIC_1, 'primed');
+
+      const promise = pubst.waitFor(TEST_TOPIC_1);
+      await clock.tickAsync(1);
+
+      expect(await promise).to.equal('primed');
+    });
+
+    it('only resolves with values that satisfy the predicate', async () => {
+      await pubst.publish(TEST_TOPIC_1, 1);
+
+      const predicate = sinon.spy((value, topic) => topic === TEST_TOPIC_1 && value > 2);
+      const promise = pubst.waitFor(TEST_TOPIC_1, {predicate});
+      await clock.tickAsync(1);
+
+      await pubst.publish(TEST_TOPIC_1, 2);
+      await clock.tickAsync(1);
+      await pubst.publish(TEST_TOPIC_1, 3);
+      await clock.tickAsync(1);
+
+      expect(await promise).to.equal(3);
+      expect(predicate).to.have.been.calledThrice;
+    });
+
+    it('supports matcher functions', async () => {
+      const promise = pubst.waitFor(t => t.startsWith('test.topic.'), {
+        predicate: (value, topic) => topic === TEST_TOPIC_2
+      });
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_2, 'two');
+      await clock.tickAsync(1);
+
+      expect(await promise).to.equal('two');
+    });
+
+    it('removes its subscription once resolved', async () => {
+      const predicate = sinon.spy(() => true);
+      const promise = pubst.waitFor(TEST_TOPIC_1, {predicate});
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await clock.tickAsync(1);
+      await promise;
+
+      await pubst.publish(TEST_TOPIC_1, 'two');
+      await clock.tickAsync(1);
+
+      expect(predicate).to.have.been.calledOnce;
+    });
+
+    it('rejects with a PubstTimeoutError when the timeout elapses', async () => {
+      const predicate = sinon.spy(() => false);
+      const promise = pubst.waitFor(TEST_TOPIC_1, {predicate, timeout: 100});
+      const outcome = promise.then(() => null, e => e);
+
+      await clock.tickAsync(100);
+      const error = await outcome;
+
+      expect(error).to.be.an.instanceOf(PubstTimeoutError);
+      expect(error.timeout).to.equal(100);
+      expect(error.message).to.contain(TEST_TOPIC_1);
+
+      await pubst.publish(TEST_TOPIC_1, 'late');
+      await clock.tickAsync(1);
+
+      expect(predicate).not.to.have.been.called;
+    });
+
+    it('clears the timeout once resolved', async () => {
+      const promise = pubst.waitFor(TEST_TOPIC_1, {timeout: 100});
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+
+      expect(await promise).to.equal('value');
+      expect(clock.countTimers()).to.equal(0);
+    });
+
+    it('rejects when the predicate throws', async () => {
+      const error = new Error('bad predicate');
+      const promise = pubst.waitFor(TEST_TOPIC_1, {predicate: () => { throw error; }});
+      const outcome = promise.then(() => null, e => e);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+
+      expect(await outcome).to.equal(error);
+    });
+
+    it('rejects with the reason when the signal aborts', async () => {
+      const controller = new AbortController();
+      const predicate = sinon.spy(() => true);
+      const promise = pubst.waitFor(TEST_TOPIC_1, {predicate, signal: controller.signal, timeout: 100});
+      const outcome = promise.then(() => null, e => e);
+
+      const reason = new Error('cancelled');
+      controller.abort(reason);
+
+      expect(await outcome).to.equal(reason);
+      expect(clock.countTimers()).to.equal(0);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+
+      expect(predicate).not.to.have.been.called;
+    });
+
+    it('rejects immediately when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      let error;
+      try {
+        await pubst.waitFor(TEST_TOPIC_1, {signal: controller.signal});
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.equal(controller.signal.reason);
+    });
+  });
+
+  describe('stream', () => {
+    it('yields published values with their topics', async () => {
+      const stream = pubst.stream(TEST_TOPIC_1);
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_1, 'two');
+      await clock.tickAsync(1);
+
+      expect((await stream.next()).value).to.deep.equal({value: 'one', topic: TEST_TOPIC_1});
+      expect((await stream.next()).value).to.deep.equal({value: 'two', topic: TEST_TOPIC_1});
+
+      await stream.return();
+    });
+
+    it('works with for await', async () => {
+      const seen = [];
+
+      const consumer = (async () => {
+        for await (const {value} of pubst.stream(TEST_TOPIC_1)) {
+          seen.push(value);
+          if (value === 3) {
+            break;
+          }
+        }
+      })();
+
+      for (const value of [1, 2, 3, 4]) {
+        await pubst.publish(TEST_TOPIC_1, value);
+        await clock.tickAsync(1);
+      }
+
+      await consumer;
+
+      expect(seen).to.deep.equal([1, 2, 3]);
+    });
+
+    it('unsubscribes when the loop exits', async () => {
+      const matcher = sinon.spy(() => true);
+      const stream = pubst.stream(matcher);
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await clock.tickAsync(1);
+
+      for await (const {value} of stream) {
+        expect(value).to.equal('one');
+        break;
+      }
+
+      matcher.resetHistory();
+      await pubst.publish(TEST_TOPIC_1, 'two');
+
+      expect(matcher).not.to.have.been.called;
+    });
+
+    it('is primed like subscribe', async () => {
+      await pubst.addTopic({name: TEST_TOPIC_1, default: 'def'});
+
+      const primed = pubst.stream(TEST_TOPIC_1);
+      const unprimed = pubst.stream(TEST_TOPIC_1, {doPrime: false});
+      await clock.tickAsync(1);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+
+      expect((await primed.next()).value.value).to.equal('def');
+      expect((await primed.next()).value.value).to.equal('value');
+      expect((await unprimed.next()).value.value).to.equal('value');
+
+      await primed.return();
+      await unprimed.return();
+    });
+
+    it('streams every topic matched by a matcher function', async () => {
+      const stream = pubst.stream(t => t.startsWith('test.topic.'));
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_2, 'two');
+      await clock.tickAsync(1);
+
+      expect((await stream.next()).value).to.deep.equal({value: 'one', topic: TEST_TOPIC_1});
+      expect((await stream.next()).value).to.deep.equal({value: 'two', topic: TEST_TOPIC_2});
+
+      await stream.return();
+    });
+
+    it('applies the overflow policy', async () => {
+      const stream = pubst.stream(TEST_TOPIC_1, {bufferSize: 1, overflow: 'error', allowRepeats: true});
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_1, 'two');
+      await clock.tickAsync(1);
+
+      expect((await stream.next()).value.value).to.equal('one');
+
+      let error;
+      try {
+        await stream.next();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(PubstOverflowError);
+    });
+  });
+
+  describe('observe', () => {
+    it('can be converted with Symbol.observable', () => {
+      const observable = pubst.observe(TEST_TOPIC_1);
+
+      expect(observable[Symbol.observable || '@@observable']()).to.equal(observable);
+    });
+
+    it('delivers published values to observers', async () => {
+      const observer = {next: sinon.spy()};
+
+      pubst.observe(TEST_TOPIC_1).subscribe(observer);
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await clock.tickAsync(1);
+
+      expect(observer.next).to.have.been.calledOnceWith('one', TEST_TOPIC_1);
+    });
+
+    it('gives each observer its own subscription', async () => {
+      const observable = pubst.observe(TEST_TOPIC_1, {doPrime: false});
+      const first = sinon.spy();
+      const second = sinon.spy();
 
-      pubst.subscribe(TEST_TOPIC_1, handler);
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await clock.tickAsync(1);
 
-      clock.tick(1);
+      observable.subscribe(first);
+      const subscription = observable.subscribe(second);
 
-      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-      handler.resetHistory();
+      await pubst.publish(TEST_TOPIC_1, 'two');
+      await clock.tickAsync(1);
+      subscription.unsubscribe();
+      await pubst.publish(TEST_TOPIC_1, 'three');
+      await clock.tickAsync(1);
 
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+      expect(first.args).to.deep.equal([['two', TEST_TOPIC_1], ['three', TEST_TOPIC_1]]);
+      expect(second.args).to.deep.equal([['two', TEST_TOPIC_1]]);
+    });
 
-      clock.tick(1);
+    it('applies subscription options', async () => {
+      const handler = sinon.spy();
 
-      expect(handler).not.to.have.been.called;
+      await pubst.addTopic({name: TEST_TOPIC_1, default: 'def'});
+      pubst.observe(TEST_TOPIC_1).subscribe(handler);
+      pubst.observe(TEST_TOPIC_1, {doPrime: false}).subscribe(handler);
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledOnceWith('def', TEST_TOPIC_1);
     });
 
-    it('allows subscriptions to permit values to repeat', async () => {
-      const testPayload = 'test payload';
+    it('observes matcher functions', async () => {
       const handler = sinon.spy();
 
-      pubst.subscribe(TEST_TOPIC_1, {
-        allowRepeats: true,
-        handler
+      pubst.observe(t => t.startsWith('test.topic.')).subscribe(handler);
+
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_2, 'two');
+      await clock.tickAsync(1);
+
+      expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1], ['two', TEST_TOPIC_2]]);
+    });
+
+    it('sends subscribe errors to the observer', async () => {
+      const observer = {next: sinon.spy(), error: sinon.spy()};
+
+      await pubst.configure({strict: true});
+      pubst.observe('not.configured').subscribe(observer);
+
+      expect(observer.error).to.have.been.calledOnce;
+      expect(observer.error.firstCall.args[0]).to.be.an.instanceOf(PubstUnknownTopicError);
+    });
+  });
+
+  describe('request/reply', () => {
+    async function rejection(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        return e;
+      }
+      return null;
+    }
+
+    it('resolves with the responder\'s reply', async () => {
+      const responder = sinon.spy(({a, b}) => a + b);
+      await pubst.handle('math.add', responder);
+
+      const reply = pubst.request('math.add', {a: 1, b: 2});
+      await clock.tickAsync(1);
+
+      expect(await reply).to.equal(3);
+      expect(responder).to.have.been.calledOnceWith({a: 1, b: 2});
+    });
+
+    it('gives each of two overlapping requests its own reply', async () => {
+      await pubst.handle('double', async value => value * 2);
+
+      const replies = Promise.all([
+        pubst.request('double', 1, {timeout: 100}),
+        pubst.request('double', 2, {timeout: 100})
+      ]);
+      await clock.tickAsync(100);
+
+      expect(await replies).to.deep.equal([2, 4]);
+    });
+
+    it('waits for async responders', async () => {
+      await pubst.handle('slow', async value => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return value * 2;
       });
-      await pubst.publish(TEST_TOPIC_1, testPayload);
 
-      clock.tick(1);
+      const reply = pubst.request('slow', 21);
+      await clock.tickAsync(51);
 
-      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-      handler.resetHistory();
+      expect(await reply).to.equal(42);
+    });
 
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+    it('matches concurrent replies to their requests', async () => {
+      await pubst.handle('delay', async ms => {
+        await new Promise(resolve => setTimeout(resolve, ms));
+        return ms;
+      });
 
-      clock.tick(1);
+      const replies = [pubst.request('delay', 30), pubst.request('delay', 10), pubst.request('delay', 20)];
+      await clock.tickAsync(31);
 
-      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+      expect(await Promise.all(replies)).to.deep.equal([30, 10, 20]);
     });
 
-    it('calls the subscriber with the default value if the topic has been set with null', async () => {
-      const testPayload = 'test payload';
-      const defaultPayload = 'default payload';
+    it('publishes requests with generated correlation ids', async () => {
       const handler = sinon.spy();
+      pubst.subscribe('$pubst.rpc.request.echo', {handler, doPrime: false});
+      await pubst.handle('echo', value => value);
+
+      const replies = [pubst.request('echo', 'one'), pubst.request('echo', 'two')];
+      await clock.tickAsync(1);
+      await Promise.all(replies);
+
+      const [first, second] = handler.args.map(([request]) => request);
+      expect(first.payload).to.equal('one');
+      expect(second.payload).to.equal('two');
+      expect(first.id).to.be.a('string');
+      expect(first.id).not.to.equal(second.id);
+    });
 
-      pubst.subscribe(TEST_TOPIC_1, handler, defaultPayload);
+    it('rejects with the error thrown by the responder', async () => {
+      const error = new Error('out of stock');
+      await pubst.handle('order', () => {
+        throw error;
+      });
 
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+      const reply = pubst.request('order', {sku: 'abc'});
+      await clock.tickAsync(1);
 
-      clock.tick(1);
+      expect(await rejection(reply)).to.equal(error);
+    });
 
-      expect(handler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-      handler.resetHistory();
+    it('rejects with the reason a responder\'s promise rejects with', async () => {
+      const error = new Error('declined');
+      await pubst.handle('payment', async () => {
+        throw error;
+      });
 
-      await pubst.publish(TEST_TOPIC_1, null);
+      const reply = pubst.request('payment', 10);
+      await clock.tickAsync(1);
 
-      clock.tick(1);
+      expect(await rejection(reply)).to.equal(error);
+    });
 
-      expect(handler).to.have.been.calledWith(defaultPayload, TEST_TOPIC_1);
+    it('rejects with a PubstNoResponderError when nothing handles the request', async () => {
+      const error = await rejection(pubst.request('nobody.home', 'hello'));
+
+      expect(error).to.be.an.instanceOf(PubstNoResponderError);
+      expect(error).to.be.an.instanceOf(PubstError);
+      expect(error.message).to.equal('No responder is registered for \'nobody.home\'.');
+      expect(error.requestName).to.equal('nobody.home');
     });
 
-    it('allows subscriptions to be made with config objects', async () => {
-      const testPayload = 'test payload';
-      const defaultPayload = 'default payload';
-      const handler1 = sinon.spy();
-      const handler2 = sinon.spy();
+    it('rejects with a PubstTimeoutError when the reply takes too long', async () => {
+      await pubst.handle('stuck', () => new Promise(() => {}));
 
-      pubst.subscribe(TEST_TOPIC_1, {
-        handler: handler1,
-        default: defaultPayload
-      });
+      const reply = pubst.request('stuck', null, {timeout: 100});
+      await clock.tickAsync(100);
 
-      pubst.subscribe(TEST_TOPIC_1, handler2, defaultPayload);
+      const error = await rejection(reply);
+      expect(error).to.be.an.instanceOf(PubstTimeoutError);
+      expect(error.message).to.equal('Timed out after 100ms waiting for a reply to \'stuck\'.');
+      expect(error.timeout).to.equal(100);
+    });
 
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+    it('rejects with the signal\'s reason when aborted', async () => {
+      const controller = new AbortController();
+      const reason = new Error('navigated away');
+      await pubst.handle('stuck', () => new Promise(() => {}));
 
-      clock.tick(1);
+      const reply = pubst.request('stuck', null, {signal: controller.signal});
+      await clock.tickAsync(1);
+      controller.abort(reason);
 
-      expect(handler1).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-      expect(handler2).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-      handler1.resetHistory();
-      handler2.resetHistory();
+      expect(await rejection(reply)).to.equal(reason);
+    });
 
-      await pubst.publish(TEST_TOPIC_1, null);
+    it('rejects when the request can not be published', async () => {
+      const error = new Error('vetoed');
+      await pubst.handle('echo', value => value);
+      pubst.use(() => {
+        throw error;
+      });
 
-      clock.tick(1);
+      expect(await rejection(pubst.request('echo', 'value'))).to.equal(error);
+    });
 
-      expect(handler1).to.have.been.calledWith(defaultPayload, TEST_TOPIC_1);
-      expect(handler2).to.have.been.calledWith(defaultPayload, TEST_TOPIC_1);
+    it('stops answering once the responder is removed', async () => {
+      const unregister = await pubst.handle('echo', value => value);
+
+      unregister();
+
+      expect(await rejection(pubst.request('echo', 'value'))).to.be.an.instanceOf(PubstNoResponderError);
     });
 
-    it('calls all the subscribers for a topic', async () => {
-      const testPayload = 'test payload';
+    it('allows only one responder per name', async () => {
+      await pubst.handle('echo', value => value);
 
-      const topic1Handler1 = sinon.spy();
-      const topic1Handler2 = sinon.spy();
-      const topic2Handler1 = sinon.spy();
-      const topic2Handler2 = sinon.spy();
+      const error = await rejection(pubst.handle('echo', value => value));
 
-      pubst.subscribe(TEST_TOPIC_1, topic1Handler1);
-      pubst.subscribe(TEST_TOPIC_1, topic1Handler2);
-      pubst.subscribe(TEST_TOPIC_2, topic2Handler1);
-      pubst.subscribe(TEST_TOPIC_2, topic2Handler2);
+      expect(error.message).to.equal('A responder is already registered for \'echo\'.');
+    });
 
-      await pubst.publish(TEST_TOPIC_1, testPayload);
+    it('allows a new responder after the previous one is removed', async () => {
+      const unregister = await pubst.handle('echo', value => value);
+      unregister();
+      await pubst.handle('echo', value => value.toUpperCase());
 
-      clock.tick(1);
+      const reply = pubst.request('echo', 'value');
+      await clock.tickAsync(1);
 
-      expect(topic1Handler1).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-      expect(topic1Handler2).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
+      expect(await reply).to.equal('VALUE');
+    });
 
-      expect(topic2Handler1).not.to.have.been.called;
-      expect(topic2Handler2).not.to.have.been.called;
+    it('works in strict mode', async () => {
+      await pubst.configure({strict: true});
+      await pubst.handle('echo', value => value);
 
-      topic1Handler1.resetHistory();
-      topic1Handler2.resetHistory();
-      topic2Handler1.resetHistory();
-      topic2Handler2.resetHistory();
+      const reply = pubst.request('echo', 'value');
+      await clock.tickAsync(1);
 
-      await pubst.publish(TEST_TOPIC_2, testPayload);
+      expect(await reply).to.equal('value');
+    });
 
-      clock.tick(1);
+    it('validates names and responders', async () => {
+      expect((await rejection(pubst.handle('', () => {}))).message).to.equal('A request name must be a non-empty string.');
+      expect((await rejection(pubst.handle('user.+', () => {}))).message).to.equal('A request name can not contain wildcards: \'user.+\'.');
+      expect((await rejection(pubst.handle('echo', 'nope'))).message).to.equal('A responder must be a function.');
+      expect((await rejection(pubst.request('user.#', null))).message).to.equal('A request name can not contain wildcards: \'user.#\'.');
+    });
 
-      expect(topic1Handler1).not.to.have.been.called;
-      expect(topic1Handler2).not.to.have.been.called;
+    it('rejects pending requests when the instance is disposed', async () => {
+      await pubst.handle('stuck', () => new Promise(() => {}));
 
-      expect(topic2Handler1).to.have.been.calledWith(testPayload, TEST_TOPIC_2);
-      expect(topic2Handler2).to.have.been.calledWith(testPayload, TEST_TOPIC_2);
+      const reply = pubst.request('stuck', null);
+      await clock.tickAsync(1);
+      await pubst.dispose();
+
+      expect(await rejection(reply)).to.be.an.instanceOf(PubstDisposedError);
     });
+  });
 
-    it('allows subscribers to unsunscribe', async () => {
-      const testPayload1 = 'test payload 1';
-      const testPayload2 = 'test payload 2';
-      const testPayload3 = 'test payload 3';
+  describe('handler errors', () => {
+    it('does not let a throwing handler escape the timer', async () => {
+      const throwingHandler = sinon.spy(() => { throw new Error('boom'); });
+      const workingHandler = sinon.spy();
 
-      const handler1 = sinon.spy();
-      const handler2 = sinon.spy();
+      pubst.subscribe(TEST_TOPIC_1, throwingHandler);
+      pubst.subscribe(TEST_TOPIC_1, workingHandler);
 
-      const unsub1 = pubst.subscribe(TEST_TOPIC_1, handler1);
-      const unsub2 = pubst.subscribe(TEST_TOPIC_1, handler2);
+      await pubst.publish(TEST_TOPIC_1, 'value');
 
-      await pubst.publish(TEST_TOPIC_1, testPayload1);
+      expect(() => clock.tick(1)).not.to.throw();
+
+      expect(throwingHandler).to.have.been.calledWith('value', TEST_TOPIC_1);
+      expect(workingHandler).to.have.been.calledWith('value', TEST_TOPIC_1);
+    });
+
+    it('tracks the last value even when the handler throws', async () => {
+      const handler = sinon.spy(() => { throw new Error('boom'); });
 
+      pubst.subscribe(TEST_TOPIC_1, handler);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
       clock.tick(1);
 
-      expect(handler1).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
-      expect(handler2).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      clock.tick(1);
 
-      handler1.resetHistory();
-      handler2.resetHistory();
+      expect(handler).to.have.been.calledOnce;
+    });
 
-      unsub1();
+    it('routes sync errors to onHandlerError', async () => {
+      const error = new Error('boom');
+      const onHandlerError = sinon.spy();
+      const handler = () => { throw error; };
 
-      await pubst.publish(TEST_TOPIC_1, testPayload2);
+      await pubst.configure({onHandlerError});
 
+      pubst.subscribe(TEST_TOPIC_1, {handler, allowRepeats: true});
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
       clock.tick(1);
 
-      expect(handler1).not.to.have.been.called;
-      expect(handler2).to.have.been.calledWith(testPayload2, TEST_TOPIC_1);
+      expect(onHandlerError).to.have.been.calledOnce;
 
-      handler1.resetHistory();
-      handler2.resetHistory();
+      const [reportedError, context] = onHandlerError.firstCall.args;
+      expect(reportedError).to.equal(error);
+      expect(context.topic).to.equal(TEST_TOPIC_1);
+      expect(context.value).to.equal('value');
+      expect(context.subscription.handler).to.equal(handler);
+      expect(context.subscription.allowRepeats).to.be.true;
+      expect(Object.isFrozen(context.subscription)).to.be.true;
+    });
 
-      unsub2();
+    it('routes rejected promises to onHandlerError', async () => {
+      const error = new Error('async boom');
+      const onHandlerError = sinon.spy();
 
-      await pubst.publish(TEST_TOPIC_1, testPayload3);
+      await pubst.configure({onHandlerError});
 
+      pubst.subscribe(TEST_TOPIC_1, async () => { throw error; });
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
       clock.tick(1);
+      await flushPromises();
 
-      expect(handler1).not.to.have.been.called;
-      expect(handler2).not.to.have.been.called;
+      expect(onHandlerError).to.have.been.calledOnceWith(error);
+      expect(onHandlerError.firstCall.args[1].topic).to.equal(TEST_TOPIC_1);
     });
 
-    it('sends null if no default was provided and a null was published', async () => {
-      const originalPayload = 'the original payload';
-      const handler = sinon.spy();
+    it('logs a warning when no onHandlerError is configured', async () => {
+      const customLogger = { warn: sinon.spy() };
+      const p = new Pubst();
+      await p.configure({logger: customLogger});
 
-      await pubst.publish(TEST_TOPIC_1, originalPayload);
+      p.subscribe(TEST_TOPIC_1, () => { throw new Error('boom'); });
+      await p.publish(TEST_TOPIC_1, 'value');
+      customLogger.warn.resetHistory();
 
-      await flushPromises();
       clock.tick(1);
 
-      expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal(originalPayload);
+      expect(customLogger.warn).to.have.been.calledWith('Pubst.deliver', sinon.match('boom'));
+    });
 
-      pubst.subscribe(TEST_TOPIC_1, handler);
+    it('logs a warning when onHandlerError throws', async () => {
+      const customLogger = { warn: sinon.spy() };
+      const p = new Pubst();
+      await p.configure({
+        logger: customLogger,
+        onHandlerError: () => { throw new Error('reporter failed'); }
+      });
 
+      p.subscribe(TEST_TOPIC_1, () => { throw new Error('boom'); });
+      await p.publish(TEST_TOPIC_1, 'value');
+
+      expect(() => clock.tick(1)).not.to.throw();
+      expect(customLogger.warn).to.have.been.calledWith('Pubst.deliver', sinon.match('reporter failed'));
+    });
+
+    it('publishes errors on the handler error topic when enabled', async () => {
+      const error = new Error('boom');
+      const errorHandler = sinon.spy();
+
+      await pubst.configure({publishHandlerErrors: true});
+
+      pubst.subscribe(Pubst.HANDLER_ERROR_TOPIC, errorHandler);
+      pubst.subscribe(TEST_TOPIC_1, () => { throw error; });
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      clock.tick(1);
       await flushPromises();
       clock.tick(1);
 
-      expect(handler).to.have.been.calledWith(originalPayload, TEST_TOPIC_1);
-      handler.resetHistory();
+      expect(errorHandler).to.have.been.calledOnce;
 
-      await pubst.publish(TEST_TOPIC_1, null);
-      clock.tick(1);
+      const [payload, topic] = errorHandler.firstCall.args;
+      expect(topic).to.equal(Pubst.HANDLER_ERROR_TOPIC);
+      expect(payload.error).to.equal(error);
+      expect(payload.topic).to.equal(TEST_TOPIC_1);
+      expect(payload.value).to.equal('value');
+    });
 
-      expect(handler).to.have.been.calledWith(null, TEST_TOPIC_1);
+    it('does not persist the handler error topic', async () => {
+      const store = new InMemoryStore();
+      sinon.spy(store, 'registerTopic');
+
+      await pubst.configure({store, publishHandlerErrors: true});
+
+      expect(store.registerTopic).to.have.been.calledWith(Pubst.HANDLER_ERROR_TOPIC, null, {persist: false});
     });
 
-    it('maintains the payload for each scheduled call when changed before the call is made', async () => {
-      const payloads = [1, 2, 3, 4, 5];
+    it('does not republish errors thrown by handler error topic subscribers', async () => {
+      const errorHandler = sinon.spy(() => { throw new Error('reporter boom'); });
 
-      const handler = sinon.spy();
+      await pubst.configure({publishHandlerErrors: true});
 
-      pubst.subscribe(TEST_TOPIC_1, handler);
+      pubst.subscribe(Pubst.HANDLER_ERROR_TOPIC, errorHandler);
+      pubst.subscribe(TEST_TOPIC_1, () => { throw new Error('boom'); });
 
-      for (const payload of payloads) {
-        await pubst.publish(TEST_TOPIC_1, payload);
+      await pubst.publish(TEST_TOPIC_1, 'value');
+
+      for (let i = 0; i < 5; i++) {
+        clock.tick(1);
+        await flushPromises();
       }
 
-      clock.tick(1);
+      expect(errorHandler).to.have.been.calledOnce;
+    });
+  });
 
-      expect(handler).to.have.callCount(payloads.length);
-      payloads.forEach(payload => {
-        expect(handler).to.have.been.calledWith(payload, TEST_TOPIC_1);
-      });
+  describe('dead letters', () => {
+    beforeEach(async () => {
+      await pubst.configure({deadLetters: true});
     });
 
-    describe('function matcher subscribers', () => {
+    it('are not kept by default', async () => {
+      const p = new Pubst();
+      await p.configure({showWarnings: false});
 
-      it('allows a subscriber to use a matcher function for a topic', async () => {
-        const specificHandler = sinon.spy();
-        const allTestTopicHandler = sinon.spy();
-        const anythingHandler = sinon.spy();
+      await p.publish(TEST_TOPIC_1, 'lost');
 
-        const otherTopic = 'ANOTHER_TOPIC!';
+      expect(p.deadLetters()).to.deep.equal([]);
+    });
 
-        const testPayload1 = 'one';
-        const testPayload2 = 'two';
-        const testPayload3 = 'something else';
+    it('keeps publishes that no subscriber received', async () => {
+      clock.tick(1000);
+      await pubst.publish(TEST_TOPIC_1, 'lost');
 
-        pubst.subscribe(t => t === TEST_TOPIC_1, specificHandler);
-        pubst.subscribe(t => t.startsWith('test.topic.'), allTestTopicHandler);
-        pubst.subscribe(() => true, anythingHandler);
+      expect(pubst.deadLetters()).to.deep.equal([{topic: TEST_TOPIC_1, payload: 'lost', timestamp: 1000}]);
+    });
 
-        await pubst.publish(TEST_TOPIC_1, testPayload1);
-        await pubst.publish(TEST_TOPIC_2, testPayload2);
-        await pubst.publish(otherTopic, testPayload3);
+    it('does not keep publishes that a subscriber received', async () => {
+      pubst.subscribe(TEST_TOPIC_1, () => {});
 
-        clock.tick(1);
+      await pubst.publish(TEST_TOPIC_1, 'received');
 
-        expect(specificHandler).to.have.callCount(1);
-        expect(allTestTopicHandler).to.have.callCount(2);
-        expect(anythingHandler).to.have.callCount(3);
+      expect(pubst.deadLetters()).to.deep.equal([]);
+    });
 
-        expect(specificHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+    it('does not keep vetoed publishes', async () => {
+      pubst.use(() => {});
 
-        expect(allTestTopicHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
-        expect(allTestTopicHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+      await pubst.publish(TEST_TOPIC_1, 'vetoed');
 
-        expect(anythingHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
-        expect(anythingHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
-        expect(anythingHandler).to.have.been.calledWith(testPayload3, otherTopic);
+      expect(pubst.deadLetters()).to.deep.equal([]);
+    });
+
+    it('does not keep recomputed derived values', async () => {
+      pubst.subscribe('input', () => {});
+      await pubst.addTopic({name: 'input', default: 1});
+      await pubst.addTopic({name: 'doubled', derive: {from: ['input'], compute: input => input * 2}});
+
+      await pubst.publish('input', 2);
+
+      expect(pubst.deadLetters()).to.deep.equal([]);
+    });
+
+    it('keeps the payload after middleware', async () => {
+      pubst.use((context, next) => {
+        context.payload = context.payload.toUpperCase();
+        return next();
       });
 
-      it('are primed with ALL existing topics that match', async () => {
-        const specificHandler = sinon.spy();
-        const allTestTopicHandler = sinon.spy();
-        const anythingHandler = sinon.spy();
+      await pubst.publish(TEST_TOPIC_1, 'lost');
 
-        const otherTopic = 'ANOTHER_TOPIC!';
+      expect(pubst.deadLetters()[0].payload).to.equal('LOST');
+    });
 
-        const testPayload1 = 'one';
-        const testPayload2 = 'two';
-        const testPayload3 = 'something else';
+    it('drops the oldest dead letters beyond the configured size', async () => {
+      await pubst.configure({deadLetters: {size: 2}});
 
-        await pubst.publish(TEST_TOPIC_1, testPayload1);
-        await pubst.publish(TEST_TOPIC_2, testPayload2);
-        await pubst.publish(otherTopic, testPayload3);
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_1, 'two');
+      await pubst.publish(TEST_TOPIC_1, 'three');
+
+      expect(pubst.deadLetters().map(({payload}) => payload)).to.deep.equal(['two', 'three']);
+    });
+
+    it('trims the queue when the size is reduced and empties it when disabled', async () => {
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_1, 'two');
+
+      await pubst.configure({deadLetters: {size: 1}});
+      expect(pubst.deadLetters().map(({payload}) => payload)).to.deep.equal(['two']);
+
+      await pubst.configure({deadLetters: false});
+      await pubst.publish(TEST_TOPIC_1, 'three');
+      expect(pubst.deadLetters()).to.deep.equal([]);
+    });
+
+    it('requires a boolean or a positive integer size', async () => {
+      for (const deadLetters of [0, 'yes', {size: 0}, {size: 1.5}, null]) {
+        try {
+          await pubst.configure({deadLetters});
+          expect.fail(`Expected ${JSON.stringify(deadLetters)} to be rejected`);
+        } catch (e) {
+          expect(e.message).to.equal('The \'deadLetters\' option must be a boolean or an object with a positive integer \'size\'.');
+        }
+      }
+    });
 
-        await flushPromises();
-        clock.tick(1);
+    it('returns copies of the queue', async () => {
+      await pubst.publish(TEST_TOPIC_1, 'lost');
 
-        pubst.subscribe(t => t === TEST_TOPIC_1, specificHandler);
-        pubst.subscribe(t => t.startsWith('test.topic.'), allTestTopicHandler);
-        pubst.subscribe(() => true, anythingHandler);
+      pubst.deadLetters()[0].payload = 'changed';
+      pubst.deadLetters().pop();
 
-        await flushPromises();
-        clock.tick(1);
+      expect(pubst.deadLetters()).to.have.length(1);
+      expect(pubst.deadLetters()[0].payload).to.equal('lost');
+    });
 
-        expect(specificHandler).to.have.callCount(1);
-        expect(allTestTopicHandler).to.have.callCount(2);
-        expect(anythingHandler).to.have.callCount(3);
+    it('publishes each dead letter to the dead letter topic', async () => {
+      const handler = sinon.spy();
+      pubst.subscribe(Pubst.DEAD_LETTER_TOPIC, handler);
 
-        expect(specificHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+      clock.tick(1000);
+      await pubst.publish(TEST_TOPIC_1, 'lost');
+      await clock.tickAsync(1);
 
-        expect(allTestTopicHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
-        expect(allTestTopicHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+      expect(Pubst.DEAD_LETTER_TOPIC).to.equal('$pubst.deadLetter');
+      expect(handler).to.have.been.calledOnceWith({topic: TEST_TOPIC_1, payload: 'lost', timestamp: 1000}, Pubst.DEAD_LETTER_TOPIC);
+    });
 
-        expect(anythingHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
-        expect(anythingHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
-        expect(anythingHandler).to.have.been.calledWith(testPayload3, otherTopic);
-      });
+    it('does not warn about the dead letter topic having no subscribers', async () => {
+      const logger = {warn: sinon.spy()};
+      await pubst.configure({logger});
 
-      it('can live side by side with string handlers', async () => {
-        const specificHandler = sinon.spy();
-        const allTestTopicHandler = sinon.spy();
-        const anythingHandler = sinon.spy();
+      await pubst.publish(TEST_TOPIC_1, 'lost');
+      await clock.tickAsync(1);
 
-        const otherTopic = 'ANOTHER_TOPIC!';
+      expect(logger.warn.args.map(([, message]) => message)).to.deep.equal([
+        `Received a publish for '${TEST_TOPIC_1}', but that topic has not been configured.`,
+        `There are no subscribers that match '${TEST_TOPIC_1}'!`
+      ]);
+    });
 
-        const testPayload1 = 'one';
-        const testPayload2 = 'two';
-        const testPayload3 = 'something else';
+    it('does not persist the dead letter topic', async () => {
+      const store = new InMemoryStore();
+      sinon.spy(store, 'registerTopic');
 
-        await pubst.publish(TEST_TOPIC_1, testPayload1);
-        await pubst.publish(TEST_TOPIC_2, testPayload2);
-        await pubst.publish(otherTopic, testPayload3);
+      const p = new Pubst();
+      await p.configure({showWarnings: false, store, deadLetters: true});
 
-        await flushPromises();
-        clock.tick(1);
+      expect(store.registerTopic).to.have.been.calledWith(Pubst.DEAD_LETTER_TOPIC, null, {persist: false});
+    });
 
-        pubst.subscribe(TEST_TOPIC_1, specificHandler);
-        pubst.subscribe(t => t.startsWith('test.topic.'), allTestTopicHandler);
-        pubst.subscribe(() => true, anythingHandler);
+    it('does not keep or warn about handler errors that nobody receives', async () => {
+      const logger = {warn: sinon.spy()};
+      await pubst.configure({logger, publishHandlerErrors: true, topics: [{name: TEST_TOPIC_1}]});
+      pubst.subscribe(TEST_TOPIC_1, () => { throw new Error('boom'); });
 
-        await flushPromises();
-        clock.tick(1);
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
 
-        expect(specificHandler).to.have.callCount(1);
-        expect(allTestTopicHandler).to.have.callCount(2);
-        expect(anythingHandler).to.have.callCount(3);
+      expect(pubst.deadLetters()).to.deep.equal([]);
+      expect(logger.warn).not.to.have.been.calledWith('Pubst.publish', sinon.match(Pubst.HANDLER_ERROR_TOPIC));
+    });
 
-        expect(specificHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
+    it('does not keep or warn about replies that arrive after a request timed out', async () => {
+      const logger = {warn: sinon.spy()};
+      await pubst.configure({logger});
+      await pubst.handle('slow', () => new Promise(resolve => setTimeout(() => resolve('late'), 200)));
 
-        expect(allTestTopicHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
-        expect(allTestTopicHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
+      const reply = pubst.request('slow', null, {timeout: 100});
+      reply.catch(() => {});
+      await clock.tickAsync(200);
 
-        expect(anythingHandler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
-        expect(anythingHandler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
-        expect(anythingHandler).to.have.been.calledWith(testPayload3, otherTopic);
-      });
+      expect(pubst.deadLetters()).to.deep.equal([]);
+      expect(logger.warn).not.to.have.been.calledWith('Pubst.publish', sinon.match('$pubst.rpc.reply.'));
+    });
 
-      it('can unsubscribe', async () => {
-        const anythingHandler = sinon.spy();
+    it('works in strict mode', async () => {
+      await pubst.configure({strict: true, topics: [{name: TEST_TOPIC_1}]});
 
-        const otherTopic = 'ANOTHER_TOPIC!';
+      await pubst.publish(TEST_TOPIC_1, 'lost');
 
-        const testPayload = 'something else';
+      expect(pubst.deadLetters()).to.have.length(1);
+    });
 
-        const unsub = pubst.subscribe(() => true, anythingHandler);
+    it('forgets the dead letters of a removed topic', async () => {
+      await pubst.publish(TEST_TOPIC_1, 'one');
+      await pubst.publish(TEST_TOPIC_2, 'two');
 
-        await pubst.publish(TEST_TOPIC_1, testPayload);
-        await pubst.publish(TEST_TOPIC_2, testPayload);
-        await pubst.publish(otherTopic, testPayload);
+      await pubst.removeTopic(TEST_TOPIC_1);
 
-        clock.tick(1);
+      expect(pubst.deadLetters().map(({topic}) => topic)).to.deep.equal([TEST_TOPIC_2]);
+    });
 
-        expect(anythingHandler).to.have.callCount(3);
+    describe('replayDeadLetters', () => {
+      it('delivers dead letters to subscribers that now match, oldest first', async () => {
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.publish(TEST_TOPIC_1, 'two');
 
-        expect(anythingHandler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-        expect(anythingHandler).to.have.been.calledWith(testPayload, TEST_TOPIC_2);
-        expect(anythingHandler).to.have.been.calledWith(testPayload, otherTopic);
+        const handler = sinon.spy();
+        pubst.subscribe(TEST_TOPIC_1, {handler, doPrime: false});
 
-        anythingHandler.resetHistory();
+        const replay = pubst.replayDeadLetters();
+        await clock.tickAsync(1);
 
-        unsub();
+        expect((await replay).map(({payload}) => payload)).to.deep.equal(['one', 'two']);
+        expect(handler.args).to.deep.equal([['one', TEST_TOPIC_1], ['two', TEST_TOPIC_1]]);
+        expect(pubst.deadLetters()).to.deep.equal([]);
+      });
 
-        await pubst.publish(otherTopic, testPayload);
+      it('keeps dead letters whose topic still has no subscribers', async () => {
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.publish(TEST_TOPIC_2, 'two');
+        pubst.subscribe('test.+.one', {handler: () => {}, doPrime: false});
 
-        clock.tick(1);
+        const replay = pubst.replayDeadLetters();
+        await clock.tickAsync(1);
 
-        expect(anythingHandler).not.to.have.been.called;
+        expect((await replay).map(({topic}) => topic)).to.deep.equal([TEST_TOPIC_1]);
+        expect(pubst.deadLetters().map(({topic}) => topic)).to.deep.equal([TEST_TOPIC_2]);
       });
 
-      it('receive the same default for all topics', async () => {
-        const anythingHandler = sinon.spy();
+      it('only replays the given topic', async () => {
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        await pubst.publish(TEST_TOPIC_2, 'two');
+        const handler = sinon.spy();
+        pubst.subscribe(topic => topic.startsWith('test.'), {handler, doPrime: false});
 
-        const otherTopic = 'ANOTHER_TOPIC!';
+        const replay = pubst.replayDeadLetters(TEST_TOPIC_2);
+        await clock.tickAsync(1);
+        await replay;
 
-        const testPayload = 'something else';
-        const testDefault = 'some default';
+        expect(handler.args).to.deep.equal([['two', TEST_TOPIC_2]]);
+        expect(pubst.deadLetters().map(({topic}) => topic)).to.deep.equal([TEST_TOPIC_1]);
+      });
 
-        pubst.subscribe(() => true, anythingHandler, testDefault);
+      it('does not write to the store or history', async () => {
+        await pubst.addTopic({name: TEST_TOPIC_1, history: 5});
+        await pubst.publish(TEST_TOPIC_1, 'old');
 
-        await flushPromises();
-        clock.tick(1);
+        const handler = sinon.spy();
+        pubst.subscribe(TEST_TOPIC_1, {handler, doPrime: false});
 
-        expect(anythingHandler).not.to.have.been.called;
+        const replay = pubst.replayDeadLetters();
+        await clock.tickAsync(1);
+        await replay;
 
-        await pubst.publish(TEST_TOPIC_1, testPayload);
-        await pubst.publish(TEST_TOPIC_2, testPayload);
-        await pubst.publish(otherTopic, testPayload);
+        expect(handler.args).to.deep.equal([['old', TEST_TOPIC_1]]);
+        expect(await pubst.currentVal(TEST_TOPIC_1)).to.equal('old');
+        expect(pubst.history(TEST_TOPIC_1).map(({value}) => value)).to.deep.equal(['old']);
+      });
 
-        clock.tick(1);
+      it('discards dead letters replaced by a newer publish', async () => {
+        await pubst.publish(TEST_TOPIC_1, 'old');
+        await pubst.publish(TEST_TOPIC_2, 'kept');
 
-        expect(anythingHandler).to.have.callCount(3);
+        const handler = sinon.spy();
+        pubst.subscribe(topic => topic.startsWith('test.'), {handler, doPrime: false});
+        await pubst.publish(TEST_TOPIC_1, 'new');
+        await clock.tickAsync(1);
 
-        expect(anythingHandler).to.have.been.calledWith(testPayload, TEST_TOPIC_1);
-        expect(anythingHandler).to.have.been.calledWith(testPayload, TEST_TOPIC_2);
-        expect(anythingHandler).to.have.been.calledWith(testPayload, otherTopic);
+        expect(pubst.deadLetters().map(({payload}) => payload)).to.deep.equal(['old', 'kept']);
 
-        anythingHandler.resetHistory();
+        const replay = pubst.replayDeadLetters();
+        await clock.tickAsync(1);
 
-        await pubst.publish(TEST_TOPIC_1);
-        await pubst.publish(TEST_TOPIC_2);
-        await pubst.publish(otherTopic);
+        expect((await replay).map(({payload}) => payload)).to.deep.equal(['kept']);
+        expect(handler.args).to.deep.equal([['new', TEST_TOPIC_1], ['kept', TEST_TOPIC_2]]);
+        expect(pubst.deadLetters()).to.deep.equal([]);
+      });
 
-        clock.tick(1);
+      it('resolves once the deliveries have settled', async () => {
+        await pubst.publish(TEST_TOPIC_1, 'one');
+        let finished = false;
+        pubst.subscribe(TEST_TOPIC_1, {
+          handler: async () => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            finished = true;
+          },
+          doPrime: false
+        });
 
-        expect(anythingHandler).to.have.callCount(3);
+        const replay = pubst.replayDeadLetters();
+        await clock.tickAsync(51);
+        await replay;
 
-        expect(anythingHandler).to.have.been.calledWith(testDefault, TEST_TOPIC_1);
-        expect(anythingHandler).to.have.been.calledWith(testDefault, TEST_TOPIC_2);
-        expect(anythingHandler).to.have.been.calledWith(testDefault, otherTopic);
+        expect(finished).to.equal(true);
+      });
+    });
+  });
 
-        anythingHandler.resetHistory();
+  describe('removeTopic', () => {
+    let store;
+    let logger;
 
-        const newOtherTopic = 'another.new.topic';
+    beforeEach(async () => {
+      store = new InMemoryStore();
+      logger = {warn: sinon.spy()};
+      await pubst.configure({store, logger, topics: [{name: TEST_TOPIC_1, default: 'default'}, {name: TEST_TOPIC_2}]});
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await clock.tickAsync(1);
+    });
 
-        await pubst.publish(newOtherTopic, testPayload);
+    it('unregisters the topic from the store', async () => {
+      await pubst.removeTopic(TEST_TOPIC_1);
 
-        clock.tick(1);
+      expect(await store.getTopicNames()).to.deep.equal([TEST_TOPIC_2]);
+      expect(await pubst.currentVal(TEST_TOPIC_1)).to.be.undefined;
+    });
 
-        expect(anythingHandler).to.have.callCount(1);
-        expect(anythingHandler).to.have.been.calledWith(testPayload, newOtherTopic);
+    it('forgets the topic configuration and history', async () => {
+      await pubst.addTopic({name: TEST_TOPIC_2, history: 5});
+      await pubst.publish(TEST_TOPIC_2, 'kept');
 
-        anythingHandler.resetHistory();
+      await pubst.removeTopic(TEST_TOPIC_2);
+      expect(pubst.history(TEST_TOPIC_2)).to.deep.equal([]);
 
-        await pubst.clearAll();
+      await pubst.addTopic({name: TEST_TOPIC_2});
+      await pubst.publish(TEST_TOPIC_2, 'new');
+      expect(pubst.history(TEST_TOPIC_2)).to.deep.equal([]);
+    });
 
-        clock.tick(1);
+    it('clears the value in stores without unregisterTopic', async () => {
+      const values = {};
+      const basicStore = {
+        registerTopic: async (name, value = null) => {
+          values[name] = value;
+        },
+        getValue: async name => values[name],
+        setValue: async (name, value = null) => {
+          values[name] = value;
+          return value;
+        },
+        clearValue: sinon.spy(async name => {
+          values[name] = null;
+          return null;
+        }),
+        getTopicNames: async () => Object.keys(values)
+      };
+      await pubst.configure({store: basicStore});
+      await pubst.publish(TEST_TOPIC_1, 'value');
 
-        expect(anythingHandler).to.have.callCount(4);
-        expect(anythingHandler).to.have.been.calledWith(testDefault, newOtherTopic);
-        expect(anythingHandler).to.have.been.calledWith(testDefault, TEST_TOPIC_1);
-        expect(anythingHandler).to.have.been.calledWith(testDefault, TEST_TOPIC_2);
-        expect(anythingHandler).to.have.been.calledWith(testDefault, otherTopic);
+      await pubst.removeTopic(TEST_TOPIC_1);
 
-      });
+      expect(basicStore.clearValue).to.have.been.calledWith(TEST_TOPIC_1);
+      expect(values[TEST_TOPIC_1]).to.equal(null);
+    });
 
-      it('supports regex matching inside a function', async () => {
-        const handler = sinon.spy();
+    it('does not send subscribers a value', async () => {
+      const handler = sinon.spy();
+      pubst.subscribe(TEST_TOPIC_1, handler);
+      await clock.tickAsync(1);
+      handler.resetHistory();
 
-        const otherTopic = 'ANOTHER_TOPIC!';
+      await pubst.removeTopic(TEST_TOPIC_1);
+      await clock.tickAsync(1);
 
-        const testPayload1 = 'one';
-        const testPayload2 = 'two';
-        const testPayload3 = 'something else';
+      expect(handler).not.to.have.been.called;
+    });
 
-        pubst.subscribe(t => /test\.topic\..*/.test(t), handler);
+    it('leaves subscribers attached and warns', async () => {
+      const handler = sinon.spy();
+      pubst.subscribe(TEST_TOPIC_1, {handler, doPrime: false});
 
-        await pubst.publish(TEST_TOPIC_1, testPayload1);
-        await pubst.publish(TEST_TOPIC_2, testPayload2);
-        await pubst.publish(otherTopic, testPayload3);
+      await pubst.removeTopic(TEST_TOPIC_1);
+      await pubst.publish(TEST_TOPIC_1, 'again');
+      await clock.tickAsync(1);
 
-        clock.tick(1);
+      expect(logger.warn).to.have.been.calledWith('Pubst.removeTopic', sinon.match(/1 subscriber/));
+      expect(handler).to.have.been.calledWith('again', TEST_TOPIC_1);
+    });
 
-        expect(handler).to.have.callCount(2);
-        expect(handler).to.have.been.calledWith(testPayload1, TEST_TOPIC_1);
-        expect(handler).to.have.been.calledWith(testPayload2, TEST_TOPIC_2);
-      });
+    it('drops subscribers and calls onComplete when asked', async () => {
+      const handler = sinon.spy();
+      const onComplete = sinon.spy();
+      pubst.subscribe(TEST_TOPIC_1, {handler, onComplete, doPrime: false});
 
-      it('passes the topic name to the matcher function', async () => {
-        const matcher = sinon.spy(() => true);
-        const handler = sinon.spy();
+      await pubst.removeTopic(TEST_TOPIC_1, {dropSubscribers: true});
+      await pubst.publish(TEST_TOPIC_1, 'again');
+      await clock.tickAsync(1);
 
-        pubst.subscribe(matcher, handler);
+      expect(onComplete).to.have.been.calledOnceWith(TEST_TOPIC_1);
+      expect(handler).not.to.have.been.called;
+      expect(logger.warn).not.to.have.been.calledWith('Pubst.removeTopic');
+    });
 
-        await pubst.publish(TEST_TOPIC_1, 'value');
+    it('keeps wildcard and matcher function subscriptions', async () => {
+      const pattern = sinon.spy();
+      const matcher = sinon.spy();
+      const onComplete = sinon.spy();
+      pubst.subscribe('test.#', {handler: pattern, onComplete, doPrime: false});
+      pubst.subscribe(t => t.startsWith('test.'), {handler: matcher, onComplete, doPrime: false});
 
-        clock.tick(1);
+      await pubst.removeTopic(TEST_TOPIC_1, {dropSubscribers: true});
+      await pubst.publish(TEST_TOPIC_2, 'other');
+      await clock.tickAsync(1);
 
-        expect(matcher).to.have.been.calledWith(TEST_TOPIC_1);
-        expect(handler).to.have.been.calledWith('value', TEST_TOPIC_1);
-      });
+      expect(onComplete).not.to.have.been.called;
+      expect(pattern).to.have.been.calledWith('other', TEST_TOPIC_2);
+      expect(matcher).to.have.been.calledWith('other', TEST_TOPIC_2);
+    });
 
-      it('logs a warning and skips the match when the matcher throws', async () => {
-        const handler = sinon.spy();
-        const customLogger = { warn: sinon.spy() };
+    it('reports onComplete errors like handler errors', async () => {
+      const onHandlerError = sinon.spy();
+      const error = new Error('boom');
+      await pubst.configure({onHandlerError});
+      pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, onComplete: () => {
+        throw error;
+      }});
 
-        const p = new Pubst();
-        await p.configure({logger: customLogger});
+      await pubst.removeTopic(TEST_TOPIC_1, {dropSubscribers: true});
 
-        pubst.subscribe(() => { throw new Error('boom'); }, handler);
+      expect(onHandlerError).to.have.been.calledWith(error, sinon.match({topic: TEST_TOPIC_1}));
+    });
 
-        await pubst.publish(TEST_TOPIC_1, 'value');
+    it('ends streams for the topic', async () => {
+      const stream = pubst.stream(TEST_TOPIC_1);
+      await clock.tickAsync(1);
 
-        clock.tick(1);
+      await pubst.removeTopic(TEST_TOPIC_1, {dropSubscribers: true});
 
-        expect(handler).not.to.have.been.called;
-      });
+      expect(await stream.next()).to.deep.equal({value: {value: 'value', topic: TEST_TOPIC_1}, done: false});
+      expect(await stream.next()).to.deep.equal({value: undefined, done: true});
+    });
 
-      it('does not block other subscribers when a matcher throws', async () => {
-        const throwingHandler = sinon.spy();
-        const workingHandler = sinon.spy();
+    it('completes observers of the topic', async () => {
+      const observer = {next: sinon.spy(), complete: sinon.spy()};
+      const subscription = pubst.observe(TEST_TOPIC_1, {doPrime: false}).subscribe(observer);
 
-        pubst.subscribe(() => { throw new Error('boom'); }, throwingHandler);
-        pubst.subscribe(() => true, workingHandler);
+      await pubst.removeTopic(TEST_TOPIC_1, {dropSubscribers: true});
 
-        await pubst.publish(TEST_TOPIC_1, 'value');
+      expect(observer.complete).to.have.been.calledOnce;
+      expect(subscription.closed).to.be.true;
+    });
 
-        clock.tick(1);
+    it('rejects waitFor for the topic', async () => {
+      const waiting = pubst.waitFor(TEST_TOPIC_2);
 
-        expect(throwingHandler).not.to.have.been.called;
-        expect(workingHandler).to.have.been.calledWith('value', TEST_TOPIC_1);
-      });
+      await pubst.removeTopic(TEST_TOPIC_2, {dropSubscribers: true});
 
-      it('excludes subscriber when matcher returns falsy', async () => {
-        const handler = sinon.spy();
+      let error;
+      try {
+        await waiting;
+      } catch (e) {
+        error = e;
+      }
 
-        pubst.subscribe(t => t === TEST_TOPIC_1, handler);
+      expect(error).to.be.an.instanceOf(PubstError);
+      expect(error.message).to.match(/removed/);
+    });
 
-        await pubst.publish(TEST_TOPIC_1, 'match');
-        await pubst.publish(TEST_TOPIC_2, 'no match');
+    it('refuses to remove an input of a derived topic', async () => {
+      await pubst.addTopic({name: 'derived', derive: {from: [TEST_TOPIC_1], compute: value => value}});
 
-        clock.tick(1);
+      let error;
+      try {
+        await pubst.removeTopic(TEST_TOPIC_1);
+      } catch (e) {
+        error = e;
+      }
 
-        expect(handler).to.have.callCount(1);
-        expect(handler).to.have.been.calledWith('match', TEST_TOPIC_1);
-      });
+      expect(error.message).to.match(/derived/);
+      expect(await store.getTopicNames()).to.include(TEST_TOPIC_1);
 
-      it('accepts truthy non-boolean return values from matcher', async () => {
-        const handlerOne = sinon.spy();
-        const handlerStr = sinon.spy();
-        const handlerObj = sinon.spy();
+      await pubst.removeTopic('derived');
+      await pubst.removeTopic(TEST_TOPIC_1);
+      expect(await store.getTopicNames()).to.deep.equal([TEST_TOPIC_2]);
+    });
 
-        pubst.subscribe(() => 1, handlerOne);
-        pubst.subscribe(() => 'yes', handlerStr);
-        pubst.subscribe(() => ({}), handlerObj);
+    it('warns when the topic has not been configured', async () => {
+      await pubst.removeTopic('unknown.topic');
 
-        await pubst.publish(TEST_TOPIC_1, 'value');
+      expect(logger.warn).to.have.been.calledWith('Pubst.removeTopic', sinon.match(/not been configured/));
+    });
 
-        clock.tick(1);
+    it('throws for unconfigured topics in strict mode', async () => {
+      await pubst.configure({strict: true});
+      await pubst.removeTopic(TEST_TOPIC_1);
 
-        expect(handlerOne).to.have.been.calledWith('value', TEST_TOPIC_1);
-        expect(handlerStr).to.have.been.calledWith('value', TEST_TOPIC_1);
-        expect(handlerObj).to.have.been.calledWith('value', TEST_TOPIC_1);
-      });
+      let error;
+      try {
+        await pubst.removeTopic(TEST_TOPIC_1);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(PubstUnknownTopicError);
     });
 
+    it('requires onComplete to be a function', () => {
+      expect(() => pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, onComplete: 'done'})).to.throw(/onComplete/);
+    });
   });
 
   describe('clear', () => {
@@ -1463,4 +4655,110 @@ describe('Pubst', () => {
       expect(sub3).not.to.have.been.called;
     });
   });
+
+  describe('dispose', () => {
+    async function rejection(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        return e;
+      }
+      return null;
+    }
+
+    it('cancels pending deliveries and drops every subscription', async () => {
+      const string = sinon.spy();
+      const pattern = sinon.spy();
+      const matcher = sinon.spy();
+      pubst.subscribe(TEST_TOPIC_1, string);
+      pubst.subscribe('test.#', pattern);
+      pubst.subscribe(() => true, matcher);
+
+      await pubst.publish(TEST_TOPIC_1, 'value');
+      await pubst.dispose();
+      await clock.tickAsync(1);
+
+      expect(string).not.to.have.been.called;
+      expect(pattern).not.to.have.been.called;
+      expect(matcher).not.to.have.been.called;
+    });
+
+    it('calls onComplete for each subscription', async () => {
+      const onComplete = sinon.spy();
+      const matcher = () => true;
+      pubst.subscribe(TEST_TOPIC_1, {handler: () => {}, onComplete});
+      pubst.subscribe(matcher, {handler: () => {}, onComplete});
+
+      await pubst.dispose();
+
+      expect(onComplete.args).to.deep.equal([[TEST_TOPIC_1], [matcher]]);
+    });
+
+    it('ends streams, completes observers, and rejects waitFor', async () => {
+      const stream = pubst.stream(TEST_TOPIC_1);
+      const observer = {complete: sinon.spy()};
+      pubst.observe(TEST_TOPIC_1).subscribe(observer);
+      const waiting = pubst.waitFor(TEST_TOPIC_1);
+
+      await pubst.dispose();
+
+      expect(await stream.next()).to.deep.equal({value: undefined, done: true});
+      expect(observer.complete).to.have.been.calledOnce;
+      expect(await rejection(waiting)).to.be.an.instanceOf(PubstDisposedError);
+    });
+
+    it('closes the store', async () => {
+      const store = new InMemoryStore();
+      store.close = sinon.spy(async () => {});
+      await pubst.configure({store});
+
+      await pubst.dispose();
+      await pubst.dispose();
+
+      expect(store.close).to.have.been.calledOnce;
+    });
+
+    it('stops listening for external changes', async () => {
+      const store = new InMemoryStore();
+      const detach = sinon.spy();
+      store.onExternalChange = () => detach;
+      await pubst.configure({store});
+
+      await pubst.dispose();
+
+      expect(detach).to.have.been.calledOnce;
+    });
+
+    it('makes further calls fail', async () => {
+      await pubst.dispose();
+
+      const error = await rejection(pubst.publish(TEST_TOPIC_1, 'value'));
+      expect(error).to.be.an.instanceOf(PubstDisposedError);
+      expect(error).to.be.an.instanceOf(PubstError);
+
+      expect(await rejection(pubst.configure({}))).to.be.an.instanceOf(PubstDisposedError);
+      expect(await rejection(pubst.addTopic({name: TEST_TOPIC_1}))).to.be.an.instanceOf(PubstDisposedError);
+      expect(await rejection(pubst.removeTopic(TEST_TOPIC_1))).to.be.an.instanceOf(PubstDisposedError);
+      expect(await rejection(pubst.publishAndWait(TEST_TOPIC_1, 'value'))).to.be.an.instanceOf(PubstDisposedError);
+      expect(await rejection(pubst.currentVal(TEST_TOPIC_1))).to.be.an.instanceOf(PubstDisposedError);
+      expect(await rejection(pubst.clear(TEST_TOPIC_1))).to.be.an.instanceOf(PubstDisposedError);
+      expect(await rejection(pubst.clearAll())).to.be.an.instanceOf(PubstDisposedError);
+      expect(await rejection(pubst.waitFor(TEST_TOPIC_1))).to.be.an.instanceOf(PubstDisposedError);
+
+      expect(() => pubst.subscribe(TEST_TOPIC_1, () => {})).to.throw(PubstDisposedError);
+      expect(() => pubst.stream(TEST_TOPIC_1)).to.throw(PubstDisposedError);
+      expect(() => pubst.use(() => {})).to.throw(PubstDisposedError);
+      expect(() => pubst.history(TEST_TOPIC_1)).to.throw(PubstDisposedError);
+      expect(() => pubst.patterns()).to.throw(PubstDisposedError);
+    });
+
+    it('sends observe errors to the observer', async () => {
+      const observer = {error: sinon.spy()};
+      await pubst.dispose();
+
+      pubst.observe(TEST_TOPIC_1).subscribe(observer);
+
+      expect(observer.error).to.have.been.calledWith(sinon.match.instanceOf(PubstDisposedError));
+    });
+  });
 });
@@ -0,0 +1,41 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @summary Base class for errors raised by Pubst.
+ *
+ * @description
+ * The errors Pubst raises while it runs, such as rejected payloads,
+ * unknown topics in strict mode, timeouts, and use after disposal, extend
+ * this class, so callers can distinguish them from errors thrown by their
+ * own code with `error instanceof PubstError`.  Invalid arguments and
+ * configuration, such as a topic without a name or an unknown scheduler,
+ * throw a plain `Error` instead.
+ */
+class PubstError extends Error {
+
+  /**
+   * @param {string} message - A description of the error.
+   * @param {Object} [options] - Standard `Error` options (e.g. `cause`).
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PubstError';
+  }
+
+}
+
+export default PubstError;
@@ -0,0 +1,46 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import PubstError from './PubstError.js';
+
+/**
+ * @summary Raised by `Pubst#request` when no responder is registered.
+ *
+ * @description
+ * A request can only be answered by a responder registered with
+ * `Pubst#handle` on the same instance.  If there isn't one, the request
+ * is rejected with this error instead of waiting for a reply that can
+ * never come.
+ */
+class PubstNoResponderError extends PubstError {
+
+  /**
+   * @param {string} requestName - The name of the request.
+   */
+  constructor(requestName) {
+    super(`No responder is registered for '${requestName}'.`);
+    this.name = 'PubstNoResponderError';
+
+    /**
+     * @summary The name of the request.
+     * @type {string}
+     */
+    this.requestName = requestName;
+  }
+
+}
+
+export default PubstNoResponderError;
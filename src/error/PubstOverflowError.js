@@ -0,0 +1,42 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import PubstError from './PubstError.js';
+
+/**
+ * @summary Raised when a bounded buffer overflows and its overflow policy
+ *   is `'error'`.
+ */
+class PubstOverflowError extends PubstError {
+
+  /**
+   * @param {string} message - A description of the error.
+   * @param {number} bufferSize - The size of the buffer that overflowed.
+   */
+  constructor(message, bufferSize) {
+    super(message);
+    this.name = 'PubstOverflowError';
+
+    /**
+     * @summary The size of the buffer that overflowed.
+     * @type {number}
+     */
+    this.bufferSize = bufferSize;
+  }
+
+}
+
+export default PubstOverflowError;
@@ -0,0 +1,41 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import PubstError from './PubstError.js';
+
+/**
+ * @summary Raised when an operation does not complete within its timeout.
+ */
+class PubstTimeoutError extends PubstError {
+
+  /**
+   * @param {string} message - A description of the error.
+   * @param {number} timeout - The timeout that elapsed, in milliseconds.
+   */
+  constructor(message, timeout) {
+    super(message);
+    this.name = 'PubstTimeoutError';
+
+    /**
+     * @summary The timeout that elapsed, in milliseconds.
+     * @type {number}
+     */
+    this.timeout = timeout;
+  }
+
+}
+
+export default PubstTimeoutError;
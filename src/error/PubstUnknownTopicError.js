@@ -0,0 +1,54 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import PubstError from './PubstError.js';
+
+/**
+ * @summary Raised in strict mode when a topic has not been configured.
+ *
+ * @description
+ * When `strict: true` is set with `configure()`, publishing to,
+ * subscribing to, or reading a topic that was never added with
+ * `addTopic` raises this error.  If a configured topic has a similar
+ * name, it is provided as `suggestion`.
+ */
+class PubstUnknownTopicError extends PubstError {
+
+  /**
+   * @param {string} topic - The topic that has not been configured.
+   * @param {string} [suggestion] - A configured topic with a similar name.
+   */
+  constructor(topic, suggestion) {
+    const hint = suggestion ? `  Did you mean '${suggestion}'?` : '';
+    super(`The '${topic}' topic has not been configured.${hint}`);
+    this.name = 'PubstUnknownTopicError';
+
+    /**
+     * @summary The topic that has not been configured.
+     * @type {string}
+     */
+    this.topic = topic;
+
+    /**
+     * @summary A configured topic with a similar name, if there is one.
+     * @type {string|undefined}
+     */
+    this.suggestion = suggestion;
+  }
+
+}
+
+export default PubstUnknownTopicError;
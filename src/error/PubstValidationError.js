@@ -0,0 +1,58 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import PubstError from './PubstError.js';
+
+function describeFailure({path, message}) {
+  return `${path}: ${message}`;
+}
+
+/**
+ * @summary Raised when a published payload fails its topic's validation.
+ *
+ * @description
+ * The publish promise is rejected with this error and the payload is
+ * neither stored nor delivered to subscribers.  The `errors` property lists
+ * each failing path (e.g. `$.address.zip`) with a description of the
+ * failure.
+ */
+class PubstValidationError extends PubstError {
+
+  /**
+   * @param {string} topic - The topic that was published to.
+   * @param {Array<{path: string, message: string}>} errors - The validation failures.
+   * @param {Object} [options] - Standard `Error` options (e.g. `cause`).
+   */
+  constructor(topic, errors, options) {
+    super(`Payload for '${topic}' failed validation: ${errors.map(describeFailure).join('; ')}`, options);
+    this.name = 'PubstValidationError';
+
+    /**
+     * @summary The topic that was published to.
+     * @type {string}
+     */
+    this.topic = topic;
+
+    /**
+     * @summary The validation failures.
+     * @type {Array<{path: string, message: string}>}
+     */
+    this.errors = errors;
+  }
+
+}
+
+export default PubstValidationError;
@@ -0,0 +1,411 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import PubstDisposedError from '../error/PubstDisposedError.js';
+import TopicObservable from '../stream/TopicObservable.js';
+import TopicStream from '../stream/TopicStream.js';
+import TopicTrie from '../util/TopicTrie.js';
+import { anySignal } from '../util/utils.js';
+
+/**
+ * @summary A view of a Pubst instance whose topic names share a prefix.
+ *
+ * @description
+ * <p>
+ * PubstScope is returned by `Pubst#scope`.  It has the same topic API as
+ * the instance it came from, but every topic name passed to it is prefixed
+ * with the scope's name, so `scope.publish('total', 10)` publishes to
+ * `'checkout.total'`.  Handlers, matcher functions, and `onComplete`
+ * callbacks see names without the prefix, and so do the values delivered
+ * for `eventOnly` topics.  The scope's prefix is not itself a topic in the
+ * scope, so `scope.subscribe('#')` does not receive values published to
+ * `'checkout'`.
+ * </p>
+ *
+ * <p>
+ * Every subscription made through the scope (including streams,
+ * observables, and `waitFor`) is removed by `dispose()`.  Subscriptions
+ * made on the parent instance are not affected, so other code can still
+ * subscribe to the scope's topics by their full names.
+ * </p>
+ */
+class PubstScope {
+
+  #pubst;
+  #prefix;
+  #separator;
+  #isEventOnly;
+  #controller = new AbortController();
+  #children = new Set();
+
+  /**
+   * @param {Object} pubst - The Pubst instance to publish and subscribe through.
+   * @param {string} prefix - The prefix for every topic name.
+   * @param {string} separator - The instance's topic separator.
+   * @param {Function} [isEventOnly] - Called with a full topic name.
+   *   Returns true if the topic is configured as `eventOnly`.
+   */
+  constructor(pubst, prefix, separator, isEventOnly = () => false) {
+    if (typeof prefix !== 'string' || prefix.length === 0) {
+      throw new Error('A scope name must be a non-empty string.');
+    }
+
+    if (TopicTrie.isPattern(prefix, separator)) {
+      throw new Error(`A scope name can not contain wildcards: '${prefix}'.`);
+    }
+
+    this.#pubst = pubst;
+    this.#prefix = prefix;
+    this.#separator = separator;
+    this.#isEventOnly = isEventOnly;
+  }
+
+  /**
+   * @summary The prefix added to every topic name.
+   * @type {string}
+   */
+  get prefix() {
+    return this.#prefix;
+  }
+
+  /**
+   * @summary Whether `dispose` has been called.
+   * @type {boolean}
+   */
+  get disposed() {
+    return this.#controller.signal.aborted;
+  }
+
+  #assertNotDisposed() {
+    if (this.disposed) {
+      throw new PubstDisposedError('This scope has been disposed.');
+    }
+  }
+
+  #qualify(topic) {
+    return `${this.#prefix}${this.#separator}${topic}`;
+  }
+
+  #unqualify(topic) {
+    return typeof topic === 'string' ? topic.slice(this.#prefix.length + this.#separator.length) : topic;
+  }
+
+  #qualifyMatcher(topic) {
+    if (typeof topic !== 'function') {
+      return this.#qualify(topic);
+    }
+
+    const start = `${this.#prefix}${this.#separator}`;
+    return name => name.startsWith(start) && topic(name.slice(start.length));
+  }
+
+  // A '#' pattern also matches the bare prefix, which is not in the scope.
+  #isOutside(topic) {
+    return topic === this.#prefix;
+  }
+
+  // Event-only deliveries carry the full topic name as their value.
+  #unqualifyValue(value, topic) {
+    return this.#isEventOnly(topic) ? this.#unqualify(topic) : value;
+  }
+
+  #signal(signal) {
+    return signal ? anySignal([this.#controller.signal, signal]) : this.#controller.signal;
+  }
+
+  #subscriptionConfig(options) {
+    const config = {...options, signal: this.#signal(options.signal)};
+
+    if (typeof options.handler === 'function') {
+      config.handler = (value, topic) => {
+        if (this.#isOutside(topic)) {
+          return;
+        }
+
+        return options.handler(this.#unqualifyValue(value, topic), this.#unqualify(topic));
+      };
+    }
+
+    if (typeof options.onComplete === 'function') {
+      config.onComplete = topic => options.onComplete(this.#unqualify(topic));
+    }
+
+    return config;
+  }
+
+  /**
+   * @summary Configure a new topic in this scope.
+   *
+   * @param {Object} topicConfig - See `Pubst#addTopic`.  The `name` and
+   *   any `derive.from` names are prefixed.
+   *
+   * @returns {Promise<Object>} Resolves with the store's registration result.
+   */
+  async addTopic(topicConfig) {
+    this.#assertNotDisposed();
+
+    const config = {...topicConfig, name: this.#qualify(topicConfig.name)};
+
+    if (topicConfig.derive && Array.isArray(topicConfig.derive.from)) {
+      config.derive = {...topicConfig.derive, from: topicConfig.derive.from.map(name => this.#qualify(name))};
+    }
+
+    return this.#pubst.addTopic(config);
+  }
+
+  /**
+   * @summary Configure new topics in this scope.
+   *
+   * @param {Array<Object>} topics - Topic configurations.  See `addTopic`.
+   *
+   * @returns {Promise<void>}
+   */
+  async addTopics(topics) {
+    for (const topic of topics) {
+      await this.addTopic(topic);
+    }
+  }
+
+  /**
+   * @summary Remove a topic in this scope.  See `Pubst#removeTopic`.
+   *
+   * @param {string} name - The topic to remove.
+   * @param {Object} [options] - Options
+   *
+   * @returns {Promise<void>}
+   */
+  async removeTopic(name, options) {
+    this.#assertNotDisposed();
+    return this.#pubst.removeTopic(this.#qualify(name), options);
+  }
+
+  /**
+   * @summary Publish to a topic in this scope.  See `Pubst#publish`.
+   *
+   * @param {string} topic - The topic to publish to.
+   * @param {*} payload - The payload to publish.
+   * @param {Object} [options] - Options
+   *
+   * @returns {Promise<void>}
+   */
+  async publish(topic, payload, options) {
+    this.#assertNotDisposed();
+    return this.#pubst.publish(this.#qualify(topic), payload, options);
+  }
+
+  /**
+   * @summary Publish to a topic in this scope and wait for every
+   *   subscriber to run.  See `Pubst#publishAndWait`.
+   *
+   * @param {string} topic - The topic to publish to.
+   * @param {*} payload - The payload to publish.
+   * @param {Object} [options] - Options
+   *
+   * @returns {Promise<Array<Object>>} Resolves with one result per subscriber.
+   */
+  async publishAndWait(topic, payload, options) {
+    this.#assertNotDisposed();
+    return this.#pubst.publishAndWait(this.#qualify(topic), payload, options);
+  }
+
+  /**
+   * @summary Subscribe to topics in this scope.  See `Pubst#subscribe`.
+   *
+   * @description
+   * A string topic (including a wildcard pattern) is prefixed.  A matcher
+   * function only sees topics in this scope, without the prefix.  The
+   * subscription is removed when the scope is disposed.
+   *
+   * @param {string|Function} topic - The topic, pattern, or matcher function.
+   * @param {Function|Object} handler - A handler function or subscription configuration.
+   * @param {*} [def] - Value to send when the topic is empty.
+   *
+   * @returns {Function} A function that removes the subscription.
+   */
+  subscribe(topic, handler, def) {
+    this.#assertNotDisposed();
+
+    const options = typeof handler === 'function' ? {handler, default: def} : handler;
+    return this.#pubst.subscribe(this.#qualifyMatcher(topic), this.#subscriptionConfig(options), def);
+  }
+
+  /**
+   * @summary Wait for the next value on a topic in this scope.  See
+   *   `Pubst#waitFor`.
+   *
+   * @description
+   * Rejects with a `PubstDisposedError` if the scope is disposed first.
+   *
+   * @param {string|Function} topic - The topic or matcher function.
+   * @param {Object} [options] - Options
+   *
+   * @returns {Promise<*>} Resolves with the first matching value.
+   */
+  waitFor(topic, options = {}) {
+    try {
+      this.#assertNotDisposed();
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    let delivered;
+
+    const predicate = (value, name) => {
+      if (this.#isOutside(name)) {
+        return false;
+      }
+
+      const scopedValue = this.#unqualifyValue(value, name);
+
+      if (options.predicate && !options.predicate(scopedValue, this.#unqualify(name))) {
+        return false;
+      }
+
+      delivered = scopedValue;
+      return true;
+    };
+
+    return this.#pubst.waitFor(this.#qualifyMatcher(topic), {...options, predicate, signal: this.#signal(options.signal)})
+      .then(() => delivered);
+  }
+
+  /**
+   * @summary Iterate over the values published to topics in this scope.
+   *   See `Pubst#stream`.
+   *
+   * @description
+   * Each delivery's `topic` is given without the prefix.  The stream ends
+   * when the scope is disposed.
+   *
+   * @param {string|Function} topic - The topic or matcher function.
+   * @param {Object} [options] - Options
+   *
+   * @returns {TopicStream} An `AsyncIterable` of `{value, topic}`.
+   */
+  stream(topic, options = {}) {
+    this.#assertNotDisposed();
+
+    const {bufferSize, overflow, ...subscriptionConfig} = options;
+
+    return new TopicStream(
+      (handler, onComplete) => this.subscribe(topic, {...subscriptionConfig, handler, onComplete}),
+      {bufferSize, overflow}
+    );
+  }
+
+  /**
+   * @summary Observe the values published to topics in this scope.  See
+   *   `Pubst#observe`.
+   *
+   * @description
+   * Observers are completed when the scope is disposed.
+   *
+   * @param {string|Function} topic - The topic or matcher function.
+   * @param {Object} [options] - Options
+   *
+   * @returns {TopicObservable} An Observable of topic values.
+   */
+  observe(topic, options = {}) {
+    this.#assertNotDisposed();
+
+    return new TopicObservable((next, complete) => this.subscribe(topic, {...options, handler: next, onComplete: complete}));
+  }
+
+  /**
+   * @summary Get the current value of a topic in this scope.  See
+   *   `Pubst#currentVal`.
+   *
+   * @param {string} topic - The topic to read.
+   * @param {*} [def] - A value to return if the topic is empty.
+   * @param {Object} [options] - Options
+   *
+   * @returns {Promise<*>} Resolves with the current value or the default.
+   */
+  async currentVal(topic, def, options) {
+    this.#assertNotDisposed();
+    return this.#pubst.currentVal(this.#qualify(topic), def, options);
+  }
+
+  /**
+   * @summary Get the recent values of a topic in this scope.  See
+   *   `Pubst#history`.
+   *
+   * @param {string} topic - The topic to read.
+   *
+   * @returns {Array<Object>} The topic's history, oldest first.
+   */
+  history(topic) {
+    this.#assertNotDisposed();
+    return this.#pubst.history(this.#qualify(topic));
+  }
+
+  /**
+   * @summary Clear a topic in this scope.  See `Pubst#clear`.
+   *
+   * @param {string} topic - The topic to clear.
+   * @param {Object} [options] - Options
+   *
+   * @returns {Promise<void>}
+   */
+  async clear(topic, options) {
+    this.#assertNotDisposed();
+    return this.#pubst.clear(this.#qualify(topic), options);
+  }
+
+  /**
+   * @summary Create a scope nested inside this one.
+   *
+   * @param {string} name - The nested scope's name, added to this scope's
+   *   prefix.
+   *
+   * @returns {PubstScope} The nested scope.  It is disposed along with
+   *   this one.
+   */
+  scope(name) {
+    this.#assertNotDisposed();
+
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('A scope name must be a non-empty string.');
+    }
+
+    const child = new PubstScope(this.#pubst, this.#qualify(name), this.#separator, this.#isEventOnly);
+    this.#children.add(child);
+    return child;
+  }
+
+  /**
+   * @summary Remove every subscription made through this scope.
+   *
+   * @description
+   * Subscriptions are removed as if by their `signal`: pending deliveries
+   * are cancelled, `onComplete` callbacks are called, streams end,
+   * observers are completed, and `waitFor` promises reject with a
+   * `PubstDisposedError`.  Nested scopes are disposed too.  Topics and
+   * their values are left in place.  Every other method of the scope
+   * throws (or rejects with) a `PubstDisposedError` afterwards.
+   */
+  dispose() {
+    if (this.disposed) {
+      return;
+    }
+
+    this.#controller.abort(new PubstDisposedError('This scope has been disposed.'));
+    this.#children.forEach(child => child.dispose());
+    this.#children.clear();
+  }
+}
+
+export default PubstScope;
@@ -0,0 +1,436 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import Pubst from '../Pubst.js';
+import PubstScope from './PubstScope.js';
+import PubstDisposedError from '../error/PubstDisposedError.js';
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('PubstScope', () => {
+  let pubst;
+  let scope;
+  let clock;
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers();
+    pubst = new Pubst();
+    await pubst.configure({showWarnings: false});
+    scope = pubst.scope('checkout');
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('creation', () => {
+    it('is created by Pubst#scope', () => {
+      expect(scope).to.be.an.instanceOf(PubstScope);
+      expect(scope.prefix).to.equal('checkout');
+      expect(scope.disposed).to.equal(false);
+    });
+
+    it('rejects an empty or non-string name', () => {
+      expect(() => pubst.scope('')).to.throw('A scope name must be a non-empty string.');
+      expect(() => pubst.scope(42)).to.throw('A scope name must be a non-empty string.');
+    });
+
+    it('rejects a name containing wildcards', () => {
+      expect(() => pubst.scope('checkout.+')).to.throw('A scope name can not contain wildcards: \'checkout.+\'.');
+      expect(() => pubst.scope('#')).to.throw('A scope name can not contain wildcards: \'#\'.');
+    });
+
+    it('uses the configured topic separator', async () => {
+      await pubst.configure({topicSeparator: '/'});
+      const handler = sinon.spy();
+      pubst.subscribe('cart/total', handler);
+
+      await pubst.scope('cart').publish('total', 10);
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledWith(10, 'cart/total');
+    });
+
+    it('can not be created from a disposed instance', async () => {
+      await pubst.dispose();
+
+      expect(() => pubst.scope('checkout')).to.throw(PubstDisposedError);
+    });
+  });
+
+  describe('topics', () => {
+    it('publishes to prefixed topic names', async () => {
+      const handler = sinon.spy();
+      pubst.subscribe('checkout.total', handler);
+
+      await scope.publish('total', 42);
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledWith(42, 'checkout.total');
+      expect(await pubst.currentVal('checkout.total')).to.equal(42);
+    });
+
+    it('reads prefixed topic names', async () => {
+      await pubst.addTopic({name: 'checkout.total', history: 5});
+      await pubst.publish('checkout.total', 42);
+
+      expect(await scope.currentVal('total')).to.equal(42);
+      expect(await scope.currentVal('missing', 'none')).to.equal('none');
+      expect(scope.history('total').map(({value}) => value)).to.deep.equal([42]);
+    });
+
+    it('adds prefixed topics', async () => {
+      await scope.addTopics([{name: 'total', default: 0}, {name: 'tax', default: 0}]);
+
+      expect(await pubst.currentVal('checkout.total')).to.equal(0);
+      expect(await pubst.currentVal('checkout.tax')).to.equal(0);
+    });
+
+    it('prefixes the sources of a derived topic', async () => {
+      await scope.addTopic({name: 'subtotal', default: 10});
+      await scope.addTopic({name: 'total', derive: {from: ['subtotal'], compute: subtotal => subtotal * 2}});
+
+      await scope.publish('subtotal', 21);
+      await clock.tickAsync(0);
+
+      expect(await pubst.currentVal('checkout.total')).to.equal(42);
+    });
+
+    it('clears prefixed topics', async () => {
+      await scope.publish('total', 42);
+      await scope.clear('total');
+
+      expect(await pubst.currentVal('checkout.total')).to.equal(null);
+    });
+
+    it('removes prefixed topics', async () => {
+      await scope.addTopic({name: 'total', default: 0});
+      await scope.removeTopic('total');
+
+      expect(pubst.history('checkout.total')).to.deep.equal([]);
+      expect(await pubst.currentVal('checkout.total')).to.equal(undefined);
+    });
+
+    it('waits for every subscriber with publishAndWait', async () => {
+      pubst.subscribe('checkout.total', () => {});
+
+      const results = scope.publishAndWait('total', 42);
+      await clock.tickAsync(1);
+
+      expect((await results).map(({status}) => status)).to.deep.equal(['fulfilled']);
+    });
+  });
+
+  describe('subscribe', () => {
+    it('gives handlers topic names without the prefix', async () => {
+      const handler = sinon.spy();
+      scope.subscribe('total', handler);
+
+      await pubst.publish('checkout.total', 42);
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledWith(42, 'total');
+    });
+
+    it('accepts a subscription configuration', async () => {
+      const handler = sinon.spy();
+      scope.subscribe('total', {handler, doPrime: true}, 0);
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledWith(0, 'total');
+    });
+
+    it('passes a default value to a handler function', async () => {
+      const handler = sinon.spy();
+      scope.subscribe('total', handler, 0);
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledWith(0, 'total');
+    });
+
+    it('prefixes wildcard patterns', async () => {
+      const handler = sinon.spy();
+      scope.subscribe('#', handler);
+
+      await pubst.publish('checkout.total', 1);
+      await pubst.publish('cart.total', 2);
+      await clock.tickAsync(1);
+
+      expect(handler.args).to.deep.equal([[1, 'total']]);
+      expect(pubst.patterns()).to.deep.equal(['checkout.#']);
+    });
+
+    it('does not match the bare prefix with #', async () => {
+      const handler = sinon.spy();
+      scope.subscribe('#', handler);
+
+      await pubst.publish('checkout', 1);
+      await pubst.publish('checkout.total', 2);
+      await clock.tickAsync(1);
+
+      expect(handler.args).to.deep.equal([[2, 'total']]);
+    });
+
+    it('gives eventOnly values without the prefix', async () => {
+      const handler = sinon.spy();
+      await scope.addTopic({name: 'submitted', eventOnly: true});
+      scope.subscribe('submitted', {handler, doPrime: false});
+
+      await scope.publish('submitted');
+      await clock.tickAsync(1);
+
+      expect(handler.args).to.deep.equal([['submitted', 'submitted']]);
+    });
+
+    it('only treats topics configured as eventOnly as event-only', async () => {
+      const handler = sinon.spy();
+      scope.subscribe('total', {handler, doPrime: false, eventOnly: true});
+
+      await scope.publish('total', 42);
+      await clock.tickAsync(1);
+
+      expect(handler.args).to.deep.equal([[42, 'total']]);
+    });
+
+    it('only offers topics in the scope to matcher functions', async () => {
+      const matcher = sinon.spy(name => name.endsWith('total'));
+      const handler = sinon.spy();
+      scope.subscribe(matcher, handler);
+
+      await pubst.publish('cart.total', 1);
+      await pubst.publish('checkout.total', 2);
+      await clock.tickAsync(1);
+
+      expect(matcher).to.have.been.calledWith('total');
+      expect(matcher).not.to.have.been.calledWith('cart.total');
+      expect(handler.args).to.deep.equal([[2, 'total']]);
+    });
+
+    it('gives onComplete topic names without the prefix', async () => {
+      const onComplete = sinon.spy();
+      scope.subscribe('total', {handler: () => {}, onComplete});
+
+      await scope.removeTopic('total', {dropSubscribers: true});
+
+      expect(onComplete).to.have.been.calledWith('total');
+    });
+
+    it('returns a function that removes the subscription', async () => {
+      const handler = sinon.spy();
+      const unsubscribe = scope.subscribe('total', handler);
+
+      unsubscribe();
+      await scope.publish('total', 42);
+      await clock.tickAsync(1);
+
+      expect(handler).not.to.have.been.called;
+    });
+
+    it('honours a subscription signal as well as the scope', async () => {
+      const controller = new AbortController();
+      const handler = sinon.spy();
+      scope.subscribe('total', {handler, signal: controller.signal});
+
+      controller.abort();
+      await scope.publish('total', 42);
+      await clock.tickAsync(1);
+
+      expect(handler).not.to.have.been.called;
+      expect(scope.disposed).to.equal(false);
+    });
+
+    it('does not affect subscriptions on the parent instance', async () => {
+      const handler = sinon.spy();
+      pubst.subscribe('checkout.total', handler);
+
+      scope.dispose();
+      await pubst.publish('checkout.total', 42);
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledWith(42, 'checkout.total');
+    });
+  });
+
+  describe('waitFor', () => {
+    it('resolves with the next value in the scope', async () => {
+      const predicate = sinon.spy(value => value > 1);
+      const waiting = scope.waitFor('total', {predicate});
+
+      await pubst.publish('checkout.total', 1);
+      await pubst.publish('checkout.total', 2);
+      await clock.tickAsync(1);
+
+      expect(await waiting).to.equal(2);
+      expect(predicate).to.have.been.calledWith(1, 'total');
+    });
+
+    it('ignores the bare prefix', async () => {
+      const waiting = scope.waitFor('#');
+
+      await pubst.publish('checkout', 1);
+      await pubst.publish('checkout.total', 2);
+      await clock.tickAsync(1);
+
+      expect(await waiting).to.equal(2);
+    });
+
+    it('resolves with eventOnly values without the prefix', async () => {
+      await scope.addTopic({name: 'submitted', eventOnly: true});
+      const waiting = scope.waitFor('submitted');
+
+      await scope.publish('submitted');
+      await clock.tickAsync(1);
+
+      expect(await waiting).to.equal('submitted');
+    });
+
+    it('rejects with a PubstDisposedError when the scope is disposed', async () => {
+      const waiting = scope.waitFor('total');
+
+      scope.dispose();
+
+      try {
+        await waiting;
+        expect.fail('Expected waitFor to reject');
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(PubstDisposedError);
+        expect(e.message).to.equal('This scope has been disposed.');
+      }
+    });
+  });
+
+  describe('stream', () => {
+    it('yields deliveries with topic names without the prefix', async () => {
+      const stream = scope.stream('#');
+
+      await pubst.publish('checkout.total', 42);
+      await clock.tickAsync(1);
+
+      expect(await stream.next()).to.deep.equal({value: {value: 42, topic: 'total'}, done: false});
+      await stream.return();
+    });
+
+    it('ends when the scope is disposed', async () => {
+      const stream = scope.stream('total');
+
+      await scope.publish('total', 42);
+      await clock.tickAsync(1);
+      scope.dispose();
+
+      expect((await stream.next()).value.value).to.equal(42);
+      expect(await stream.next()).to.deep.equal({value: undefined, done: true});
+    });
+  });
+
+  describe('observe', () => {
+    it('calls next with topic names without the prefix and completes on dispose', async () => {
+      const observer = {next: sinon.spy(), complete: sinon.spy()};
+      scope.observe('total').subscribe(observer);
+
+      await scope.publish('total', 42);
+      await clock.tickAsync(1);
+      scope.dispose();
+
+      expect(observer.next).to.have.been.calledWith(42, 'total');
+      expect(observer.complete).to.have.been.calledOnce;
+    });
+  });
+
+  describe('scope', () => {
+    it('nests prefixes', async () => {
+      const handler = sinon.spy();
+      pubst.subscribe('checkout.payment.status', handler);
+
+      await scope.scope('payment').publish('status', 'paid');
+      await clock.tickAsync(1);
+
+      expect(handler).to.have.been.calledWith('paid', 'checkout.payment.status');
+    });
+
+    it('disposes nested scopes along with their parent', () => {
+      const child = scope.scope('payment');
+
+      scope.dispose();
+
+      expect(child.disposed).to.equal(true);
+    });
+  });
+
+  describe('dispose', () => {
+    it('removes every subscription made through the scope', async () => {
+      const handler = sinon.spy();
+      scope.subscribe('total', handler);
+      scope.subscribe('#', handler);
+      scope.subscribe(() => true, handler);
+
+      scope.dispose();
+      await pubst.publish('checkout.total', 42);
+      await clock.tickAsync(1);
+
+      expect(handler).not.to.have.been.called;
+      expect(pubst.patterns()).to.deep.equal([]);
+    });
+
+    it('cancels pending deliveries and calls onComplete', async () => {
+      const handler = sinon.spy();
+      const onComplete = sinon.spy();
+      scope.subscribe('total', {handler, onComplete});
+
+      await scope.publish('total', 42);
+      scope.dispose();
+      await clock.tickAsync(1);
+
+      expect(handler).not.to.have.been.called;
+      expect(onComplete).to.have.been.calledOnceWith('total');
+    });
+
+    it('leaves topics and values in place', async () => {
+      await scope.publish('total', 42);
+
+      scope.dispose();
+
+      expect(await pubst.currentVal('checkout.total')).to.equal(42);
+    });
+
+    it('is idempotent', () => {
+      scope.dispose();
+
+      expect(() => scope.dispose()).not.to.throw();
+    });
+
+    it('makes the other methods throw a PubstDisposedError', async () => {
+      scope.dispose();
+
+      expect(() => scope.subscribe('total', () => {})).to.throw(PubstDisposedError);
+      expect(() => scope.scope('payment')).to.throw(PubstDisposedError);
+      expect(() => scope.history('total')).to.throw(PubstDisposedError);
+
+      for (const call of [() => scope.publish('total', 1), () => scope.currentVal('total'), () => scope.waitFor('total')]) {
+        try {
+          await call();
+          expect.fail('Expected a PubstDisposedError');
+        } catch (e) {
+          expect(e).to.be.an.instanceOf(PubstDisposedError);
+        }
+      }
+    });
+  });
+});
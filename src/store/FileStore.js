@@ -0,0 +1,384 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import { mkdir, open, readFile, rename } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+import { hasOwnProperty } from '../util/utils.js';
+
+const FILE_VERSION = 1;
+
+async function readSnapshot(path) {
+  let text;
+
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'ENOTDIR') {
+      return null;
+    }
+    throw e;
+  }
+
+  try {
+    const data = JSON.parse(text);
+
+    if (data && typeof data.topics === 'object' && data.topics !== null && !Array.isArray(data.topics)) {
+      return data.topics;
+    }
+  } catch {
+    // Fall through and treat the file as unusable.
+  }
+
+  return null;
+}
+
+/**
+ * @summary A store that persists topic values to a JSON file.  (Node.js only)
+ *
+ * @description
+ * <p>
+ * FileStore implements the same interface as InMemoryStore.  Values are
+ * kept in memory and written to a JSON file shortly after they change, so
+ * a new FileStore pointed at the same file picks up where the last one
+ * left off.  Values must be JSON-serializable.
+ * </p>
+ *
+ * <p>
+ * Changes are batched: the file is written once no value has changed for
+ * `flushDelay` milliseconds.  The pending write does not keep the process
+ * alive, so call `flush()` to write immediately and `close()` before the
+ * process exits.
+ * </p>
+ *
+ * <p>
+ * Each write goes to a temporary file that is renamed over the data file,
+ * so the data file is never partially written.  The previous data file is
+ * kept as `<filePath>.bak`.  If the data file can not be read or parsed,
+ * the backup is used instead (and the data file is rewritten on the next
+ * flush).  If neither can be used, the store starts empty.
+ * </p>
+ *
+ * <p>
+ * A topic registered with `storeConfig: {persist: false}` is kept in memory
+ * only.  It is not written to the file and does not restore a value from it.
+ * </p>
+ */
+class FileStore {
+
+  #filePath;
+  #backupPath;
+  #tempPath;
+  #flushDelay;
+  #onError;
+
+  #values = {};
+  #transient = new Set();
+  #loading = null;
+  #timer = null;
+  #dirty = false;
+  #writing = Promise.resolve();
+  #fileIsGood = false;
+  #closed = false;
+
+  /**
+   * @param {string} filePath - The JSON file to persist to.  Its directory
+   *   is created if needed.
+   * @param {Object} [options] - Options
+   * @param {number} [options.flushDelay=100] - Milliseconds to wait after
+   *   the last change before writing the file.
+   * @param {Function} [options.onError] - Called with the error if a
+   *   scheduled write fails.  The changes are written with the next flush.
+   *   Without it, the error is logged with `console.warn`.
+   */
+  constructor(filePath, {flushDelay = 100, onError = null} = {}) {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new Error('FileStore requires a file path.');
+    }
+
+    if (!Number.isFinite(flushDelay) || flushDelay < 0) {
+      throw new Error('FileStore flushDelay must be a non-negative number.');
+    }
+
+    this.#filePath = filePath;
+    this.#backupPath = `${filePath}.bak`;
+    this.#tempPath = `${filePath}.tmp`;
+    this.#flushDelay = flushDelay;
+    this.#onError = typeof onError === 'function' ? onError : null;
+  }
+
+  #load() {
+    if (!this.#loading) {
+      this.#loading = this.#readFiles();
+    }
+
+    return this.#loading;
+  }
+
+  async #readFiles() {
+    const topics = await readSnapshot(this.#filePath);
+
+    if (topics) {
+      this.#values = topics;
+      this.#fileIsGood = true;
+      return;
+    }
+
+    const backup = await readSnapshot(this.#backupPath);
+
+    if (backup) {
+      this.#values = backup;
+      this.#markDirty();
+    }
+  }
+
+  #assertOpen() {
+    if (this.#closed) {
+      throw new Error(`FileStore for '${this.#filePath}' has been closed.`);
+    }
+  }
+
+  #markDirty() {
+    this.#dirty = true;
+
+    if (this.#timer !== null) {
+      clearTimeout(this.#timer);
+    }
+
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.flush().catch(e => this.#reportError(e));
+    }, this.#flushDelay);
+
+    // A pending write should not keep the process alive.  Call close() to
+    // make sure it happens.
+    if (typeof this.#timer.unref === 'function') {
+      this.#timer.unref();
+    }
+  }
+
+  #reportError(error) {
+    if (this.#onError) {
+      this.#onError(error);
+    } else {
+      console.warn(`FileStore was unable to write '${this.#filePath}': ${error && error.message}`);
+    }
+  }
+
+  async #write() {
+    if (!this.#dirty) {
+      return;
+    }
+
+    this.#dirty = false;
+
+    const topics = {};
+    Object.keys(this.#values)
+      .filter(name => !this.#transient.has(name))
+      .forEach(name => {
+        topics[name] = this.#values[name];
+      });
+
+    try {
+      const data = JSON.stringify({version: FILE_VERSION, topics});
+
+      await mkdir(dirname(this.#filePath), {recursive: true});
+
+      const handle = await open(this.#tempPath, 'w');
+      try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      if (this.#fileIsGood) {
+        await rename(this.#filePath, this.#backupPath);
+      }
+
+      await rename(this.#tempPath, this.#filePath);
+      this.#fileIsGood = true;
+    } catch (e) {
+      this.#dirty = true;
+      throw e;
+    }
+  }
+
+  /**
+   * @summary Register a new topic in the store.
+   *
+   * @param {string} topicName - The name of the topic to register.
+   * @param {*} [initialVal=null] - The value for the topic if it does not
+   *   already have a persisted value.
+   * @param {Object} [storeConfig={}] - The topic's `storeConfig`.  Set
+   *   `persist` to `false` to keep the topic out of the file.
+   *
+   * @returns {Promise<Object>} Resolves with an object containing the
+   *   `topicName`, `initialVal`, and `storeConfig` that were registered.
+   */
+  async registerTopic(topicName, initialVal = null, storeConfig = {}) {
+    this.#assertOpen();
+    await this.#load();
+
+    const persist = !storeConfig || storeConfig.persist !== false;
+    const wasPersisted = hasOwnProperty(this.#values, topicName) && !this.#transient.has(topicName);
+
+    if (persist) {
+      this.#transient.delete(topicName);
+    } else {
+      this.#transient.add(topicName);
+    }
+
+    if (!persist || !wasPersisted) {
+      this.#values[topicName] = initialVal;
+    }
+
+    if (persist !== wasPersisted) {
+      this.#markDirty();
+    }
+
+    return {
+      topicName: topicName,
+      initialVal: initialVal,
+      storeConfig: storeConfig
+    };
+  }
+
+  /**
+   * @summary Forget a topic and remove its value from the file.
+   *
+   * @param {string} topicName - The name of the topic to unregister.
+   *
+   * @returns {Promise<boolean>} Resolves with `true` if the topic was known.
+   */
+  async unregisterTopic(topicName) {
+    this.#assertOpen();
+    await this.#load();
+
+    if (!hasOwnProperty(this.#values, topicName)) {
+      return false;
+    }
+
+    const wasPersisted = !this.#transient.has(topicName);
+
+    delete this.#values[topicName];
+    this.#transient.delete(topicName);
+
+    if (wasPersisted) {
+      this.#markDirty();
+    }
+
+    return true;
+  }
+
+  /**
+   * @summary Retrieve the current value for a topic.
+   *
+   * @param {string} topicName - The name of the topic.
+   *
+   * @returns {Promise<*>} Resolves with the current value, or `undefined`
+   *   if the topic has not been registered or set.
+   */
+  async getValue(topicName) {
+    await this.#load();
+    return this.#values[topicName];
+  }
+
+  /**
+   * @summary Store a new value for a topic.
+   *
+   * @param {string} topicName - The name of the topic.
+   * @param {*} [value=null] - The value to store.
+   *
+   * @returns {Promise<*>} Resolves with the value that was stored.  Rejects
+   *   if the value can not be serialized as JSON, unless the topic is not
+   *   persisted.
+   */
+  async setValue(topicName, value = null) {
+    this.#assertOpen();
+    await this.#load();
+
+    if (!this.#transient.has(topicName)) {
+      // Fail the publish now rather than the next write.
+      JSON.stringify(value);
+    }
+
+    this.#values[topicName] = value;
+
+    if (!this.#transient.has(topicName)) {
+      this.#markDirty();
+    }
+
+    return value;
+  }
+
+  /**
+   * @summary Clear the value for a topic by setting it to null.
+   *
+   * @param {string} topicName - The name of the topic to clear.
+   *
+   * @returns {Promise<null>} Resolves with `null`.
+   */
+  async clearValue(topicName) {
+    return this.setValue(topicName, null);
+  }
+
+  /**
+   * @summary Get the names of all known topics.
+   *
+   * @returns {Promise<string[]>} Resolves with the names of registered
+   *   topics and topics restored from the file.
+   */
+  async getTopicNames() {
+    await this.#load();
+    return Object.keys(this.#values);
+  }
+
+  /**
+   * @summary Write unsaved changes to the file now.
+   *
+   * @returns {Promise<void>} Resolves once the file (and any write already
+   *   in progress) has been written.
+   */
+  async flush() {
+    if (this.#timer !== null) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+
+    await this.#load();
+
+    this.#writing = this.#writing.catch(() => {}).then(() => this.#write());
+    await this.#writing;
+  }
+
+  /**
+   * @summary Write unsaved changes and stop accepting new ones.
+   *
+   * @description
+   * After `close()`, values can still be read, but `registerTopic`,
+   * `setValue`, and `clearValue` reject.
+   *
+   * @returns {Promise<void>} Rejects if unsaved changes could not be
+   *   written.
+   */
+  async close() {
+    this.#closed = true;
+    await this.flush();
+  }
+}
+
+export default FileStore;
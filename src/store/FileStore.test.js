@@ -0,0 +1,400 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Pubst from '../Pubst.js';
+import FileStore from './FileStore.js';
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('FileStore', () => {
+  let dir;
+  let filePath;
+  let store;
+
+  const readData = async path => JSON.parse(await readFile(path || filePath, 'utf8'));
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pubst-filestore-'));
+    filePath = join(dir, 'state.json');
+    store = new FileStore(filePath, {flushDelay: 10});
+  });
+
+  afterEach(async () => {
+    await store.close().catch(() => {});
+    await rm(dir, {recursive: true, force: true});
+  });
+
+  describe('store interface', () => {
+    it('stores the initial value for a new topic', async () => {
+      await store.registerTopic('my.topic', 'initial');
+
+      expect(await store.getValue('my.topic')).to.equal('initial');
+    });
+
+    it('returns an object with topicName, initialVal, and storeConfig', async () => {
+      const storeConfig = {persist: true};
+
+      expect(await store.registerTopic('my.topic', 'initial', storeConfig)).to.deep.equal({
+        topicName: 'my.topic',
+        initialVal: 'initial',
+        storeConfig
+      });
+    });
+
+    it('sets, clears, and lists values', async () => {
+      await store.registerTopic('my.topic');
+
+      expect(await store.setValue('my.topic', 'value')).to.equal('value');
+      expect(await store.getValue('my.topic')).to.equal('value');
+      expect(await store.clearValue('my.topic')).to.equal(null);
+      expect(await store.getValue('my.topic')).to.equal(null);
+      expect(await store.getValue('other.topic')).to.be.undefined;
+      expect(await store.getTopicNames()).to.deep.equal(['my.topic']);
+    });
+
+    it('unregisters topics', async () => {
+      await store.registerTopic('my.topic', 'value');
+      await store.registerTopic('temp.topic', 'value', {persist: false});
+
+      expect(await store.unregisterTopic('my.topic')).to.be.true;
+      expect(await store.unregisterTopic('temp.topic')).to.be.true;
+      expect(await store.unregisterTopic('other.topic')).to.be.false;
+      expect(await store.getValue('my.topic')).to.be.undefined;
+      expect(await store.getTopicNames()).to.deep.equal([]);
+    });
+
+    it('rejects values that can not be serialized', async () => {
+      const cyclic = {};
+      cyclic.self = cyclic;
+
+      let error;
+      try {
+        await store.setValue('a', cyclic);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(TypeError);
+      expect(await store.getValue('a')).to.equal(undefined);
+
+      await store.setValue('a', 2);
+      await store.flush();
+
+      expect((await readData()).topics).to.deep.equal({a: 2});
+    });
+
+    it('requires a file path and a valid flushDelay', () => {
+      expect(() => new FileStore()).to.throw(/file path/);
+      expect(() => new FileStore(filePath, {flushDelay: -1})).to.throw(/flushDelay/);
+    });
+  });
+
+  describe('persistence', () => {
+    it('restores values in a new store', async () => {
+      await store.registerTopic('my.topic');
+      await store.setValue('my.topic', {nested: [1, 2]});
+      await store.close();
+
+      store = new FileStore(filePath);
+
+      expect(await store.getValue('my.topic')).to.deep.equal({nested: [1, 2]});
+      expect(await store.getTopicNames()).to.deep.equal(['my.topic']);
+    });
+
+    it('removes unregistered topics from the file', async () => {
+      await store.setValue('my.topic', 'saved');
+      await store.setValue('other.topic', 'kept');
+      await store.flush();
+
+      await store.unregisterTopic('my.topic');
+      await store.close();
+
+      expect((await readData()).topics).to.deep.equal({'other.topic': 'kept'});
+    });
+
+    it('does not overwrite restored values when a topic is registered', async () => {
+      await store.setValue('my.topic', 'saved');
+      await store.close();
+
+      store = new FileStore(filePath);
+      await store.registerTopic('my.topic', null);
+
+      expect(await store.getValue('my.topic')).to.equal('saved');
+    });
+
+    it('writes a versioned JSON file', async () => {
+      await store.setValue('my.topic', 'value');
+      await store.flush();
+
+      expect(await readData()).to.deep.equal({version: 1, topics: {'my.topic': 'value'}});
+    });
+
+    it('creates missing directories', async () => {
+      store = new FileStore(join(dir, 'nested', 'deeper', 'state.json'));
+      await store.setValue('my.topic', 'value');
+      await store.flush();
+
+      expect(await readData(join(dir, 'nested', 'deeper', 'state.json'))).to.have.nested.property('topics.my\\.topic', 'value');
+    });
+
+    it('does not leave temporary files behind', async () => {
+      await store.setValue('my.topic', 'one');
+      await store.flush();
+      await store.setValue('my.topic', 'two');
+      await store.flush();
+
+      expect((await readdir(dir)).sort()).to.deep.equal(['state.json', 'state.json.bak']);
+    });
+
+    it('keeps the previous file as a backup', async () => {
+      await store.setValue('my.topic', 'one');
+      await store.flush();
+      await store.setValue('my.topic', 'two');
+      await store.flush();
+
+      expect((await readData(`${filePath}.bak`)).topics['my.topic']).to.equal('one');
+      expect((await readData()).topics['my.topic']).to.equal('two');
+    });
+  });
+
+  describe('flushing', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({toFake: ['setTimeout', 'clearTimeout']});
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('batches changes into one write after flushDelay', async () => {
+      await store.setValue('a', 1);
+      clock.tick(5);
+      await store.setValue('b', 2);
+
+      expect(await readdir(dir)).to.deep.equal([]);
+
+      clock.tick(5);
+      await store.flush();
+
+      expect((await readData()).topics).to.deep.equal({a: 1, b: 2});
+      expect(await readdir(dir)).to.deep.equal(['state.json']);
+    });
+
+    it('waits flushDelay after the last change before writing', async () => {
+      const flush = sinon.spy(store, 'flush');
+
+      await store.setValue('a', 1);
+      clock.tick(5);
+      await store.setValue('b', 2);
+      clock.tick(5);
+
+      expect(flush).not.to.have.been.called;
+
+      clock.tick(5);
+      await flush.firstCall.returnValue;
+
+      expect(flush).to.have.been.calledOnce;
+      expect((await readData()).topics).to.deep.equal({a: 1, b: 2});
+    });
+
+    it('does not keep the process alive for a pending write', async () => {
+      const setTimeoutSpy = sinon.spy(globalThis, 'setTimeout');
+
+      try {
+        await store.setValue('a', 1);
+      } finally {
+        setTimeoutSpy.restore();
+      }
+
+      expect(setTimeoutSpy).to.have.been.calledOnce;
+      expect(setTimeoutSpy.firstCall.returnValue.hasRef()).to.equal(false);
+    });
+
+    it('flushes immediately when asked', async () => {
+      await store.setValue('a', 1);
+      await store.flush();
+
+      expect((await readData()).topics).to.deep.equal({a: 1});
+      expect(clock.countTimers()).to.equal(0);
+    });
+
+    it('does not write when nothing changed', async () => {
+      await store.flush();
+
+      expect(await readdir(dir)).to.deep.equal([]);
+    });
+
+    it('reports scheduled write failures to onError and retries on the next flush', async () => {
+      const onError = sinon.spy();
+      const blocker = join(dir, 'blocker');
+      await writeFile(blocker, 'not a directory');
+
+      store = new FileStore(join(blocker, 'state.json'), {flushDelay: 10, onError});
+      await store.setValue('a', 1);
+      clock.tick(10);
+      await store.flush().catch(() => {});
+
+      expect(onError).to.have.been.calledOnce;
+
+      await rm(blocker);
+      await store.flush();
+
+      expect((await readData(join(blocker, 'state.json'))).topics).to.deep.equal({a: 1});
+    });
+
+    it('logs scheduled write failures without onError', async () => {
+      const warn = sinon.stub(console, 'warn');
+      const blocker = join(dir, 'blocker');
+      await writeFile(blocker, 'not a directory');
+
+      try {
+        store = new FileStore(join(blocker, 'state.json'), {flushDelay: 10});
+        await store.setValue('a', 1);
+        clock.tick(10);
+        await store.flush().catch(() => {});
+      } finally {
+        warn.restore();
+      }
+
+      expect(warn).to.have.been.calledWith(sinon.match(/unable to write/));
+    });
+
+    it('keeps changes after a scheduled write fails, and close rejects', async () => {
+      const blocker = join(dir, 'blocker');
+      await writeFile(blocker, 'not a directory');
+
+      store = new FileStore(join(blocker, 'state.json'), {flushDelay: 10});
+      await store.setValue('a', 1);
+      clock.tick(10);
+
+      let error;
+      try {
+        await store.close();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(Error);
+    });
+  });
+
+  describe('close', () => {
+    it('flushes and rejects further writes', async () => {
+      await store.setValue('a', 1);
+      await store.close();
+
+      expect((await readData()).topics).to.deep.equal({a: 1});
+      expect(await store.getValue('a')).to.equal(1);
+
+      let error;
+      try {
+        await store.setValue('a', 2);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an('error');
+      expect(error.message).to.contain('closed');
+    });
+  });
+
+  describe('corruption recovery', () => {
+    it('falls back to the backup when the file is corrupt', async () => {
+      await store.setValue('a', 1);
+      await store.flush();
+      await store.setValue('a', 2);
+      await store.close();
+      await writeFile(filePath, '{"version": 1, "topi');
+
+      store = new FileStore(filePath);
+
+      expect(await store.getValue('a')).to.equal(1);
+
+      await store.flush();
+
+      expect((await readData()).topics).to.deep.equal({a: 1});
+      expect((await readData(`${filePath}.bak`)).topics).to.deep.equal({a: 1});
+    });
+
+    it('falls back to the backup when the file is missing', async () => {
+      await writeFile(`${filePath}.bak`, JSON.stringify({version: 1, topics: {a: 1}}));
+
+      expect(await store.getValue('a')).to.equal(1);
+    });
+
+    it('starts empty when neither file can be used', async () => {
+      await writeFile(filePath, 'nope');
+      await writeFile(`${filePath}.bak`, JSON.stringify({version: 1, topics: []}));
+
+      expect(await store.getTopicNames()).to.deep.equal([]);
+
+      await store.setValue('a', 1);
+      await store.flush();
+
+      expect((await readData()).topics).to.deep.equal({a: 1});
+    });
+  });
+
+  describe('storeConfig', () => {
+    it('keeps topics with persist: false out of the file', async () => {
+      await store.registerTopic('saved');
+      await store.registerTopic('session.token', null, {persist: false});
+      await store.setValue('saved', 1);
+      await store.setValue('session.token', 'secret');
+      await store.flush();
+
+      expect(await store.getValue('session.token')).to.equal('secret');
+      expect((await readData()).topics).to.deep.equal({saved: 1});
+    });
+
+    it('does not restore topics with persist: false', async () => {
+      await store.setValue('session.token', 'old');
+      await store.close();
+
+      store = new FileStore(filePath);
+      await store.registerTopic('session.token', null, {persist: false});
+      await store.flush();
+
+      expect(await store.getValue('session.token')).to.equal(null);
+      expect((await readData()).topics).to.deep.equal({});
+    });
+  });
+
+  describe('with Pubst', () => {
+    it('restores topic values after a restart', async () => {
+      const first = new Pubst();
+      await first.configure({showWarnings: false, store, topics: [{name: 'player.name', default: 'Player 1'}]});
+      await first.publish('player.name', 'Ada');
+      await store.close();
+
+      store = new FileStore(filePath);
+      const second = new Pubst();
+      await second.configure({showWarnings: false, store, topics: [{name: 'player.name', default: 'Player 1'}]});
+
+      expect(await second.currentVal('player.name')).to.equal('Ada');
+    });
+  });
+});
@@ -14,6 +14,8 @@
  *  limitations under the License.
  */
 
+import { hasOwnProperty } from '../util/utils.js';
+
 /**
  * @summary Default in-memory store implementation for Pubst.
  *
@@ -38,8 +40,21 @@
  * </p>
  *
  * <p>
+ * A store may also implement `unregisterTopic(topicName)`, called by
+ * `Pubst#removeTopic`, to forget a topic's value and remove it from
+ * `getTopicNames()`.  Without it, the removed topic's value is cleared.
+ * </p>
+ *
+ * <p>
  * All methods must return a Promise (or be declared async).
  * </p>
+ *
+ * <p>
+ * A store whose values can change outside of Pubst (e.g. shared storage)
+ * may also implement `onExternalChange(callback)`, calling
+ * `callback(topicName, value)` for each change and returning a function
+ * that stops the callbacks.  InMemoryStore does not need it.
+ * </p>
  */
 class InMemoryStore {
 
@@ -68,6 +83,19 @@ class InMemoryStore {
     });
   }
 
+  /**
+   * @summary Forget a topic and its value.
+   *
+   * @param {string} topicName - The name of the topic to unregister.
+   *
+   * @returns {Promise<boolean>} Resolves with `true` if the topic was known.
+   */
+  async unregisterTopic(topicName) {
+    const known = hasOwnProperty(this.#store, topicName);
+    delete this.#store[topicName];
+    return Promise.resolve(known);
+  }
+
   /**
    * @summary Retrieve the current value for a topic.
    *
@@ -143,4 +143,19 @@ describe('InMemoryStore', () => {
       expect(names).to.include('direct.topic');
     });
   });
+
+  describe('unregisterTopic', () => {
+    it('removes the topic and its value', async () => {
+      await store.registerTopic('topic.one', 'val1');
+      await store.registerTopic('topic.two', 'val2');
+
+      expect(await store.unregisterTopic('topic.one')).to.be.true;
+      expect(await store.getValue('topic.one')).to.be.undefined;
+      expect(await store.getTopicNames()).to.deep.equal(['topic.two']);
+    });
+
+    it('resolves with false for unknown topics', async () => {
+      expect(await store.unregisterTopic('unknown.topic')).to.be.false;
+    });
+  });
 });
@@ -0,0 +1,264 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import { DatabaseSync } from 'node:sqlite';
+
+const SCHEMA_TABLE = 'pubst_schema';
+
+// Each entry upgrades the database by one schema version.  Append new
+// migrations to the end; never edit one that has been released.
+const MIGRATIONS = [
+  `CREATE TABLE pubst_topics (
+    name TEXT PRIMARY KEY NOT NULL,
+    value TEXT,
+    updated_at INTEGER
+  )`
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * @summary A store that persists topic values to SQLite.  (Node.js 22+ only)
+ *
+ * @description
+ * <p>
+ * SqliteStore implements the same interface as InMemoryStore on top of the
+ * built-in `node:sqlite` module, so it has no native dependencies.  Each
+ * topic is one row of the `pubst_topics` table with its value serialized
+ * as JSON.  Values must be JSON-serializable.
+ * </p>
+ *
+ * <p>
+ * The database is opened in WAL mode and every query uses a prepared
+ * statement.  The `pubst_schema` table records the schema version so that
+ * later releases can migrate existing databases.  Opening a database with
+ * a newer schema than this release understands throws.
+ * </p>
+ *
+ * <p>
+ * Registering a topic keeps any value already in the database.  A topic
+ * registered with `storeConfig: {persist: false}` is kept in memory only.
+ * </p>
+ */
+class SqliteStore {
+
+  /**
+   * @summary The schema version this release creates and understands.
+   * @type {number}
+   */
+  static SCHEMA_VERSION = SCHEMA_VERSION;
+
+  #db;
+  #trackUpdatedAt;
+  #statements;
+  #transient = new Map();
+  #closed = false;
+
+  /**
+   * @param {string} [location=':memory:'] - The database file to open (or
+   *   create).
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.trackUpdatedAt=false] - Record when each topic
+   *   was last written.  See `getUpdatedAt`.
+   */
+  constructor(location = ':memory:', {trackUpdatedAt = false} = {}) {
+    this.#db = new DatabaseSync(location);
+    this.#trackUpdatedAt = Boolean(trackUpdatedAt);
+
+    try {
+      this.#db.exec('PRAGMA journal_mode = WAL');
+      this.#migrate();
+    } catch (e) {
+      this.#db.close();
+      throw e;
+    }
+
+    this.#statements = {
+      select: this.#db.prepare('SELECT value, updated_at AS updatedAt FROM pubst_topics WHERE name = ?'),
+      insert: this.#db.prepare('INSERT INTO pubst_topics (name, value, updated_at) VALUES (?, ?, ?) ON CONFLICT (name) DO NOTHING'),
+      upsert: this.#db.prepare(
+        'INSERT INTO pubst_topics (name, value, updated_at) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+      ),
+      remove: this.#db.prepare('DELETE FROM pubst_topics WHERE name = ?'),
+      names: this.#db.prepare('SELECT name FROM pubst_topics ORDER BY rowid')
+    };
+  }
+
+  #migrate() {
+    this.#db.exec(`CREATE TABLE IF NOT EXISTS ${SCHEMA_TABLE} (version INTEGER NOT NULL)`);
+
+    const row = this.#db.prepare(`SELECT version FROM ${SCHEMA_TABLE}`).get();
+    const version = row ? row.version : 0;
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`The database schema (version ${version}) is newer than this SqliteStore supports (version ${SCHEMA_VERSION}).`);
+    }
+
+    if (version === SCHEMA_VERSION) {
+      return;
+    }
+
+    this.#db.exec('BEGIN');
+
+    try {
+      MIGRATIONS.slice(version).forEach(migration => this.#db.exec(migration));
+
+      if (row) {
+        this.#db.prepare(`UPDATE ${SCHEMA_TABLE} SET version = ?`).run(SCHEMA_VERSION);
+      } else {
+        this.#db.prepare(`INSERT INTO ${SCHEMA_TABLE} (version) VALUES (?)`).run(SCHEMA_VERSION);
+      }
+
+      this.#db.exec('COMMIT');
+    } catch (e) {
+      this.#db.exec('ROLLBACK');
+      throw e;
+    }
+  }
+
+  #timestamp() {
+    return this.#trackUpdatedAt ? Date.now() : null;
+  }
+
+  /**
+   * @summary Register a new topic in the store.
+   *
+   * @param {string} topicName - The name of the topic to register.
+   * @param {*} [initialVal=null] - The value for the topic if it does not
+   *   already have a saved value.
+   * @param {Object} [storeConfig={}] - The topic's `storeConfig`.  Set
+   *   `persist` to `false` to keep the topic out of the database.
+   *
+   * @returns {Promise<Object>} Resolves with an object containing the
+   *   `topicName`, `initialVal`, and `storeConfig` that were registered.
+   */
+  async registerTopic(topicName, initialVal = null, storeConfig = {}) {
+    if (storeConfig && storeConfig.persist === false) {
+      this.#transient.set(topicName, initialVal);
+      this.#statements.remove.run(topicName);
+    } else {
+      this.#transient.delete(topicName);
+      this.#statements.insert.run(topicName, JSON.stringify(initialVal), this.#timestamp());
+    }
+
+    return {
+      topicName: topicName,
+      initialVal: initialVal,
+      storeConfig: storeConfig
+    };
+  }
+
+  /**
+   * @summary Forget a topic and delete its row.
+   *
+   * @param {string} topicName - The name of the topic to unregister.
+   *
+   * @returns {Promise<boolean>} Resolves with `true` if the topic was known.
+   */
+  async unregisterTopic(topicName) {
+    const wasTransient = this.#transient.delete(topicName);
+    const {changes} = this.#statements.remove.run(topicName);
+
+    return wasTransient || changes > 0;
+  }
+
+  /**
+   * @summary Retrieve the current value for a topic.
+   *
+   * @param {string} topicName - The name of the topic.
+   *
+   * @returns {Promise<*>} Resolves with the current value, or `undefined`
+   *   if the topic has not been registered or set.
+   */
+  async getValue(topicName) {
+    if (this.#transient.has(topicName)) {
+      return this.#transient.get(topicName);
+    }
+
+    const row = this.#statements.select.get(topicName);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  /**
+   * @summary Store a new value for a topic.
+   *
+   * @param {string} topicName - The name of the topic.
+   * @param {*} [value=null] - The value to store.
+   *
+   * @returns {Promise<*>} Resolves with the value that was stored.
+   */
+  async setValue(topicName, value = null) {
+    if (this.#transient.has(topicName)) {
+      this.#transient.set(topicName, value);
+    } else {
+      this.#statements.upsert.run(topicName, JSON.stringify(value), this.#timestamp());
+    }
+
+    return value;
+  }
+
+  /**
+   * @summary Clear the value for a topic by setting it to null.
+   *
+   * @param {string} topicName - The name of the topic to clear.
+   *
+   * @returns {Promise<null>} Resolves with `null`.
+   */
+  async clearValue(topicName) {
+    return this.setValue(topicName, null);
+  }
+
+  /**
+   * @summary Get the names of all known topics.
+   *
+   * @returns {Promise<string[]>} Resolves with the names of topics in the
+   *   database followed by topics kept in memory.
+   */
+  async getTopicNames() {
+    return this.#statements.names.all()
+      .map(row => row.name)
+      .concat(Array.from(this.#transient.keys()));
+  }
+
+  /**
+   * @summary When a topic was last written.
+   *
+   * @param {string} topicName - The name of the topic.
+   *
+   * @returns {Promise<number|undefined>} Resolves with the time of the last
+   *   write in milliseconds since the epoch, or `undefined` if the topic is
+   *   not in the database or `trackUpdatedAt` was off when it was written.
+   */
+  async getUpdatedAt(topicName) {
+    const row = this.#statements.select.get(topicName);
+    return row && row.updatedAt !== null ? row.updatedAt : undefined;
+  }
+
+  /**
+   * @summary Close the database.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.#closed) {
+      this.#closed = true;
+      this.#db.close();
+    }
+  }
+}
+
+export default SqliteStore;
@@ -0,0 +1,224 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Pubst from '../Pubst.js';
+
+const expect = chai.expect;
+
+// node:sqlite is only available in Node.js 22 and later.
+describe('SqliteStore', function () {
+  let SqliteStore;
+  let DatabaseSync;
+  let dir;
+  let location;
+  let store;
+
+  before(async function () {
+    try {
+      ({ DatabaseSync } = await import('node:sqlite'));
+      ({ default: SqliteStore } = await import('./SqliteStore.js'));
+    // eslint-disable-next-line no-unused-vars
+    } catch (e) {
+      this.skip();
+    }
+  });
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pubst-sqlitestore-'));
+    location = join(dir, 'state.db');
+    store = new SqliteStore(location);
+  });
+
+  afterEach(async () => {
+    if (store) {
+      await store.close();
+    }
+    await rm(dir, {recursive: true, force: true});
+  });
+
+  describe('store interface', () => {
+    it('stores the initial value for a new topic', async () => {
+      await store.registerTopic('my.topic', 'initial');
+
+      expect(await store.getValue('my.topic')).to.equal('initial');
+    });
+
+    it('returns an object with topicName, initialVal, and storeConfig', async () => {
+      expect(await store.registerTopic('my.topic', 'initial')).to.deep.equal({
+        topicName: 'my.topic',
+        initialVal: 'initial',
+        storeConfig: {}
+      });
+    });
+
+    it('sets, clears, and lists values', async () => {
+      await store.registerTopic('my.topic');
+
+      expect(await store.setValue('my.topic', {a: [1, 'two']})).to.deep.equal({a: [1, 'two']});
+      expect(await store.getValue('my.topic')).to.deep.equal({a: [1, 'two']});
+      expect(await store.clearValue('my.topic')).to.equal(null);
+      expect(await store.getValue('my.topic')).to.equal(null);
+      expect(await store.getValue('other.topic')).to.be.undefined;
+      expect(await store.getTopicNames()).to.deep.equal(['my.topic']);
+    });
+
+    it('unregisters topics', async () => {
+      await store.registerTopic('my.topic', 'value');
+      await store.registerTopic('temp.topic', 'value', {persist: false});
+
+      expect(await store.unregisterTopic('my.topic')).to.be.true;
+      expect(await store.unregisterTopic('temp.topic')).to.be.true;
+      expect(await store.unregisterTopic('my.topic')).to.be.false;
+      expect(await store.getValue('my.topic')).to.be.undefined;
+      expect(await store.getTopicNames()).to.deep.equal([]);
+    });
+
+    it('defaults to an in-memory database', async () => {
+      const memory = new SqliteStore();
+
+      await memory.setValue('my.topic', 1);
+
+      expect(await memory.getValue('my.topic')).to.equal(1);
+      await memory.close();
+    });
+  });
+
+  describe('persistence', () => {
+    it('restores values when the database is reopened', async () => {
+      await store.registerTopic('my.topic');
+      await store.setValue('my.topic', 'saved');
+      await store.close();
+
+      store = new SqliteStore(location);
+      await store.registerTopic('my.topic', null);
+
+      expect(await store.getValue('my.topic')).to.equal('saved');
+    });
+
+    it('stores one JSON row per topic', async () => {
+      await store.setValue('a', {b: 1});
+      await store.setValue('a', {b: 2});
+      await store.close();
+
+      const db = new DatabaseSync(location);
+      const rows = db.prepare('SELECT name, value FROM pubst_topics').all();
+      db.close();
+
+      expect(rows.map(row => ({...row}))).to.deep.equal([{name: 'a', value: '{"b":2}'}]);
+    });
+
+    it('uses WAL mode', async () => {
+      await store.close();
+
+      const db = new DatabaseSync(location);
+      const {journal_mode: mode} = db.prepare('PRAGMA journal_mode').get();
+      db.close();
+
+      expect(mode).to.equal('wal');
+    });
+  });
+
+  describe('updated_at', () => {
+    it('is not tracked by default', async () => {
+      await store.setValue('a', 1);
+
+      expect(await store.getUpdatedAt('a')).to.be.undefined;
+    });
+
+    it('records when each topic was written', async () => {
+      await store.close();
+      store = new SqliteStore(location, {trackUpdatedAt: true});
+
+      const before = Date.now();
+      await store.registerTopic('a');
+      await store.setValue('b', 1);
+      const after = Date.now();
+
+      for (const topic of ['a', 'b']) {
+        const updatedAt = await store.getUpdatedAt(topic);
+        expect(updatedAt).to.be.within(before, after);
+      }
+      expect(await store.getUpdatedAt('missing')).to.be.undefined;
+    });
+  });
+
+  describe('schema', () => {
+    it('records the schema version', async () => {
+      await store.close();
+
+      const db = new DatabaseSync(location);
+      const {version} = db.prepare('SELECT version FROM pubst_schema').get();
+      db.close();
+
+      expect(version).to.equal(SqliteStore.SCHEMA_VERSION);
+    });
+
+    it('does not migrate a database twice', async () => {
+      await store.setValue('a', 1);
+      await store.close();
+
+      store = new SqliteStore(location);
+
+      expect(await store.getValue('a')).to.equal(1);
+    });
+
+    it('refuses databases with a newer schema', async () => {
+      await store.close();
+      store = null;
+
+      const db = new DatabaseSync(location);
+      db.prepare('UPDATE pubst_schema SET version = ?').run(SqliteStore.SCHEMA_VERSION + 1);
+      db.close();
+
+      expect(() => new SqliteStore(location)).to.throw(/newer/);
+    });
+  });
+
+  describe('storeConfig', () => {
+    it('keeps topics with persist: false out of the database', async () => {
+      await store.setValue('session.token', 'old');
+      await store.registerTopic('session.token', null, {persist: false});
+      await store.setValue('session.token', 'secret');
+
+      expect(await store.getValue('session.token')).to.equal('secret');
+      expect(await store.getTopicNames()).to.deep.equal(['session.token']);
+
+      await store.close();
+      store = new SqliteStore(location);
+
+      expect(await store.getValue('session.token')).to.be.undefined;
+    });
+  });
+
+  describe('with Pubst', () => {
+    it('restores topic values after a restart', async () => {
+      const first = new Pubst();
+      await first.configure({showWarnings: false, store, topics: [{name: 'player.name', default: 'Player 1'}]});
+      await first.publish('player.name', 'Ada');
+      await store.close();
+
+      store = new SqliteStore(location);
+      const second = new Pubst();
+      await second.configure({showWarnings: false, store, topics: [{name: 'player.name', default: 'Player 1'}]});
+
+      expect(await second.currentVal('player.name')).to.equal('Ada');
+    });
+  });
+});
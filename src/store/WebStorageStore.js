@@ -0,0 +1,301 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import { hasOwnProperty } from '../util/utils.js';
+
+/**
+ * @summary A store that persists topic values to Web Storage
+ *   (`localStorage` or `sessionStorage`).
+ *
+ * @description
+ * <p>
+ * WebStorageStore implements the same interface as InMemoryStore.  Each
+ * topic is saved as JSON under `<prefix><topicName>`.  Values saved by an
+ * earlier page load are restored when the store is created, and
+ * registering a topic keeps its restored value.
+ * </p>
+ *
+ * <p>
+ * The store listens for `storage` events, which browsers fire when another
+ * tab changes the same storage.  Changed topics are reported to
+ * `onExternalChange` callbacks, which Pubst uses to deliver the new value
+ * to its subscribers.
+ * </p>
+ *
+ * <p>
+ * If a value can not be saved (e.g. the storage quota is exceeded), it is
+ * still kept in memory for this page and `onError` is called.  A topic
+ * registered with `storeConfig: {persist: false}` is kept in memory only.
+ * </p>
+ */
+class WebStorageStore {
+
+  #storage;
+  #prefix;
+  #eventTarget;
+  #onError;
+
+  #values = {};
+  #transient = new Set();
+  #listeners = [];
+  #onStorage = event => this.#handleStorageEvent(event);
+
+  /**
+   * @param {Object} [options] - Options
+   * @param {Storage} [options.storage=localStorage] - A Storage-compatible
+   *   object (`getItem`, `setItem`, `removeItem`, `key`, and `length`).
+   * @param {string} [options.prefix='pubst:'] - Prepended to each topic name
+   *   to form its storage key.
+   * @param {EventTarget} [options.eventTarget=window] - Where to listen for
+   *   `storage` events.  Pass `null` to disable cross-tab updates.
+   * @param {Function} [options.onError] - Called with `(error, topicName)`
+   *   when a value can not be saved or a stored value can not be parsed.
+   */
+  constructor({storage = globalThis.localStorage, prefix = 'pubst:', eventTarget = globalThis.window, onError = null} = {}) {
+    if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function') {
+      throw new Error('WebStorageStore requires a Storage object.');
+    }
+
+    if (typeof prefix !== 'string') {
+      throw new Error('WebStorageStore prefix must be a string.');
+    }
+
+    this.#storage = storage;
+    this.#prefix = prefix;
+    this.#eventTarget = eventTarget && typeof eventTarget.addEventListener === 'function' ? eventTarget : null;
+    this.#onError = typeof onError === 'function' ? onError : null;
+
+    this.#restore();
+
+    if (this.#eventTarget) {
+      this.#eventTarget.addEventListener('storage', this.#onStorage);
+    }
+  }
+
+  #reportError(error, topicName) {
+    if (this.#onError) {
+      this.#onError(error, topicName);
+    }
+  }
+
+  #parse(text, topicName) {
+    try {
+      return {value: JSON.parse(text)};
+    } catch (e) {
+      this.#reportError(e, topicName);
+      return null;
+    }
+  }
+
+  #restore() {
+    for (let i = 0; i < this.#storage.length; i++) {
+      const key = this.#storage.key(i);
+
+      if (typeof key === 'string' && key.startsWith(this.#prefix)) {
+        const topicName = key.slice(this.#prefix.length);
+        const parsed = this.#parse(this.#storage.getItem(key), topicName);
+
+        if (parsed) {
+          this.#values[topicName] = parsed.value;
+        }
+      }
+    }
+  }
+
+  #save(topicName, value) {
+    try {
+      this.#storage.setItem(this.#prefix + topicName, JSON.stringify(value));
+    } catch (e) {
+      this.#reportError(e, topicName);
+    }
+  }
+
+  #handleStorageEvent(event) {
+    if (event.storageArea && event.storageArea !== this.#storage) {
+      return;
+    }
+
+    if (event.key === null) {
+      Object.keys(this.#values)
+        .filter(topicName => !this.#transient.has(topicName))
+        .forEach(topicName => this.#externalChange(topicName, null));
+      return;
+    }
+
+    if (typeof event.key !== 'string' || !event.key.startsWith(this.#prefix)) {
+      return;
+    }
+
+    const topicName = event.key.slice(this.#prefix.length);
+
+    if (this.#transient.has(topicName)) {
+      return;
+    }
+
+    if (event.newValue === null) {
+      this.#externalChange(topicName, null);
+      return;
+    }
+
+    const parsed = this.#parse(event.newValue, topicName);
+
+    if (parsed) {
+      this.#externalChange(topicName, parsed.value);
+    }
+  }
+
+  #externalChange(topicName, value) {
+    this.#values[topicName] = value;
+    this.#listeners.forEach(listener => listener(topicName, value));
+  }
+
+  /**
+   * @summary Register a new topic in the store.
+   *
+   * @param {string} topicName - The name of the topic to register.
+   * @param {*} [initialVal=null] - The value for the topic if it does not
+   *   already have a saved value.
+   * @param {Object} [storeConfig={}] - The topic's `storeConfig`.  Set
+   *   `persist` to `false` to keep the topic out of storage.
+   *
+   * @returns {Promise<Object>} Resolves with an object containing the
+   *   `topicName`, `initialVal`, and `storeConfig` that were registered.
+   */
+  async registerTopic(topicName, initialVal = null, storeConfig = {}) {
+    const persist = !storeConfig || storeConfig.persist !== false;
+
+    if (persist) {
+      const wasPersisted = hasOwnProperty(this.#values, topicName) && !this.#transient.has(topicName);
+      this.#transient.delete(topicName);
+
+      if (!wasPersisted) {
+        this.#values[topicName] = initialVal;
+      }
+    } else {
+      this.#transient.add(topicName);
+      this.#values[topicName] = initialVal;
+      this.#storage.removeItem(this.#prefix + topicName);
+    }
+
+    return {
+      topicName: topicName,
+      initialVal: initialVal,
+      storeConfig: storeConfig
+    };
+  }
+
+  /**
+   * @summary Forget a topic and remove its value from storage.
+   *
+   * @param {string} topicName - The name of the topic to unregister.
+   *
+   * @returns {Promise<boolean>} Resolves with `true` if the topic was known.
+   */
+  async unregisterTopic(topicName) {
+    if (!hasOwnProperty(this.#values, topicName)) {
+      return false;
+    }
+
+    if (!this.#transient.has(topicName)) {
+      this.#storage.removeItem(this.#prefix + topicName);
+    }
+
+    delete this.#values[topicName];
+    this.#transient.delete(topicName);
+
+    return true;
+  }
+
+  /**
+   * @summary Retrieve the current value for a topic.
+   *
+   * @param {string} topicName - The name of the topic.
+   *
+   * @returns {Promise<*>} Resolves with the current value, or `undefined`
+   *   if the topic has not been registered or set.
+   */
+  async getValue(topicName) {
+    return this.#values[topicName];
+  }
+
+  /**
+   * @summary Store a new value for a topic.
+   *
+   * @param {string} topicName - The name of the topic.
+   * @param {*} [value=null] - The value to store.
+   *
+   * @returns {Promise<*>} Resolves with the value that was stored.  Resolves
+   *   even if the value could not be saved to storage.
+   */
+  async setValue(topicName, value = null) {
+    this.#values[topicName] = value;
+
+    if (!this.#transient.has(topicName)) {
+      this.#save(topicName, value);
+    }
+
+    return value;
+  }
+
+  /**
+   * @summary Clear the value for a topic by setting it to null.
+   *
+   * @param {string} topicName - The name of the topic to clear.
+   *
+   * @returns {Promise<null>} Resolves with `null`.
+   */
+  async clearValue(topicName) {
+    return this.setValue(topicName, null);
+  }
+
+  /**
+   * @summary Get the names of all known topics.
+   *
+   * @returns {Promise<string[]>} Resolves with the names of registered
+   *   topics and topics restored from storage.
+   */
+  async getTopicNames() {
+    return Object.keys(this.#values);
+  }
+
+  /**
+   * @summary Listen for values changed by another tab.
+   *
+   * @param {Function} callback - Called with `(topicName, value)`.
+   *
+   * @returns {Function} A function that removes the callback.
+   */
+  onExternalChange(callback) {
+    this.#listeners = this.#listeners.concat(callback);
+
+    return () => {
+      this.#listeners = this.#listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  /**
+   * @summary Stop listening for `storage` events.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.#eventTarget) {
+      this.#eventTarget.removeEventListener('storage', this.#onStorage);
+    }
+  }
+}
+
+export default WebStorageStore;
@@ -0,0 +1,327 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import Pubst from '../Pubst.js';
+import WebStorageStore from './WebStorageStore.js';
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+// A Storage-compatible object shared by several simulated tabs.  Like a
+// browser, a change made through one tab fires a 'storage' event in every
+// other tab.
+class FakeStorage {
+  #items = new Map();
+  #tabs = [];
+
+  tab() {
+    const tab = {eventTarget: new EventTarget()};
+    tab.storage = this.#proxyFor(tab);
+    this.#tabs.push(tab);
+    return tab;
+  }
+
+  get length() {
+    return this.#items.size;
+  }
+
+  key(index) {
+    const keys = Array.from(this.#items.keys());
+    return index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+
+  #proxyFor(source) {
+    const notify = (key, newValue) => {
+      this.#tabs.filter(tab => tab !== source).forEach(tab => {
+        const event = new Event('storage');
+        Object.assign(event, {key, newValue, storageArea: tab.storage});
+        tab.eventTarget.dispatchEvent(event);
+      });
+    };
+
+    const proxy = {
+      get length() {
+        return storage.length;
+      },
+      key: index => storage.key(index),
+      getItem: key => storage.getItem(key),
+      setItem: (key, value) => {
+        storage.setItem(key, value);
+        notify(key, String(value));
+      },
+      removeItem: key => {
+        storage.removeItem(key);
+        notify(key, null);
+      },
+      clear: () => {
+        storage.clear();
+        notify(null, null);
+      }
+    };
+
+    const storage = this;
+    return proxy;
+  }
+}
+
+describe('WebStorageStore', () => {
+  let shared;
+  let tab;
+  let store;
+
+  beforeEach(() => {
+    shared = new FakeStorage();
+    tab = shared.tab();
+    store = new WebStorageStore(tab);
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  describe('store interface', () => {
+    it('stores the initial value for a new topic', async () => {
+      await store.registerTopic('my.topic', 'initial');
+
+      expect(await store.getValue('my.topic')).to.equal('initial');
+    });
+
+    it('returns an object with topicName, initialVal, and storeConfig', async () => {
+      expect(await store.registerTopic('my.topic', 'initial')).to.deep.equal({
+        topicName: 'my.topic',
+        initialVal: 'initial',
+        storeConfig: {}
+      });
+    });
+
+    it('sets, clears, and lists values', async () => {
+      await store.registerTopic('my.topic');
+
+      expect(await store.setValue('my.topic', 'value')).to.equal('value');
+      expect(await store.getValue('my.topic')).to.equal('value');
+      expect(await store.clearValue('my.topic')).to.equal(null);
+      expect(await store.getValue('my.topic')).to.equal(null);
+      expect(await store.getValue('other.topic')).to.be.undefined;
+      expect(await store.getTopicNames()).to.deep.equal(['my.topic']);
+    });
+
+    it('unregisters topics and removes their keys', async () => {
+      await store.setValue('my.topic', 'value');
+      await store.setValue('other.topic', 'kept');
+
+      expect(await store.unregisterTopic('my.topic')).to.be.true;
+      expect(await store.unregisterTopic('my.topic')).to.be.false;
+      expect(await store.getValue('my.topic')).to.be.undefined;
+      expect(await store.getTopicNames()).to.deep.equal(['other.topic']);
+      expect(shared.getItem('pubst:my.topic')).to.equal(null);
+      expect(shared.getItem('pubst:other.topic')).to.equal('"kept"');
+    });
+
+    it('requires a storage object', () => {
+      expect(() => new WebStorageStore({storage: {}})).to.throw(/Storage/);
+    });
+  });
+
+  describe('persistence', () => {
+    it('saves values as JSON under the prefix', async () => {
+      await store.setValue('my.topic', {a: [1]});
+
+      expect(shared.getItem('pubst:my.topic')).to.equal('{"a":[1]}');
+    });
+
+    it('uses a configurable prefix', async () => {
+      store = new WebStorageStore({...tab, prefix: 'app.'});
+      await store.setValue('my.topic', 1);
+
+      expect(shared.getItem('app.my.topic')).to.equal('1');
+    });
+
+    it('restores saved values and keeps them when topics are registered', async () => {
+      await store.setValue('my.topic', 'saved');
+      shared.setItem('other.key', 'not ours');
+
+      const restored = new WebStorageStore(shared.tab());
+      await restored.registerTopic('my.topic', null);
+
+      expect(await restored.getValue('my.topic')).to.equal('saved');
+      expect(await restored.getTopicNames()).to.deep.equal(['my.topic']);
+    });
+
+    it('reports and skips values that can not be parsed', () => {
+      const onError = sinon.spy();
+      shared.setItem('pubst:broken', '{nope');
+
+      const restored = new WebStorageStore({...shared.tab(), onError});
+
+      expect(onError).to.have.been.calledOnceWith(sinon.match.instanceOf(SyntaxError), 'broken');
+      return restored.getTopicNames().then(names => expect(names).to.deep.equal([]));
+    });
+  });
+
+  describe('quota errors', () => {
+    it('keeps the value in memory and reports the error', async () => {
+      const onError = sinon.spy();
+      const quotaError = new DOMException('Quota exceeded', 'QuotaExceededError');
+      const storage = shared.tab().storage;
+      storage.setItem = () => {
+        throw quotaError;
+      };
+
+      store = new WebStorageStore({storage, eventTarget: null, onError});
+
+      expect(await store.setValue('big.topic', 'x'.repeat(10))).to.equal('x'.repeat(10));
+      expect(await store.getValue('big.topic')).to.equal('x'.repeat(10));
+      expect(onError).to.have.been.calledOnceWith(quotaError, 'big.topic');
+    });
+
+    it('reports values that can not be serialized', async () => {
+      const onError = sinon.spy();
+      store = new WebStorageStore({...tab, onError});
+
+      await store.setValue('big.topic', 10n);
+
+      expect(onError).to.have.been.calledOnceWith(sinon.match.instanceOf(TypeError), 'big.topic');
+    });
+  });
+
+  describe('storeConfig', () => {
+    it('keeps topics with persist: false out of storage', async () => {
+      shared.setItem('pubst:session.token', '"old"');
+      store = new WebStorageStore(shared.tab());
+
+      await store.registerTopic('session.token', null, {persist: false});
+      await store.setValue('session.token', 'secret');
+
+      expect(await store.getValue('session.token')).to.equal('secret');
+      expect(shared.getItem('pubst:session.token')).to.equal(null);
+    });
+  });
+
+  describe('cross-tab changes', () => {
+    let other;
+
+    beforeEach(() => {
+      other = new WebStorageStore(shared.tab());
+    });
+
+    afterEach(async () => {
+      await other.close();
+    });
+
+    it('reports values set in another tab', async () => {
+      const callback = sinon.spy();
+      store.onExternalChange(callback);
+
+      await other.setValue('my.topic', {a: 1});
+
+      expect(callback).to.have.been.calledOnceWith('my.topic', {a: 1});
+      expect(await store.getValue('my.topic')).to.deep.equal({a: 1});
+    });
+
+    it('does not report its own changes', async () => {
+      const callback = sinon.spy();
+      store.onExternalChange(callback);
+
+      await store.setValue('my.topic', 1);
+
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('reports removed keys and cleared storage as null', async () => {
+      const callback = sinon.spy();
+      await store.setValue('a', 1);
+      await store.setValue('b', 2);
+      store.onExternalChange(callback);
+
+      const storage = shared.tab().storage;
+      storage.removeItem('pubst:a');
+      storage.clear();
+
+      expect(callback.args).to.deep.equal([['a', null], ['a', null], ['b', null]]);
+    });
+
+    it('ignores other keys, other storage areas, and transient topics', async () => {
+      const callback = sinon.spy();
+      store.onExternalChange(callback);
+      await store.registerTopic('session.token', null, {persist: false});
+
+      const storage = shared.tab().storage;
+      storage.setItem('unrelated', '1');
+      storage.setItem('pubst:session.token', '"from another tab"');
+
+      const event = new Event('storage');
+      Object.assign(event, {key: 'pubst:my.topic', newValue: '1', storageArea: {}});
+      tab.eventTarget.dispatchEvent(event);
+
+      expect(callback).not.to.have.been.called;
+      expect(await store.getValue('session.token')).to.equal(null);
+    });
+
+    it('can remove a callback', async () => {
+      const callback = sinon.spy();
+      const remove = store.onExternalChange(callback);
+
+      remove();
+      await other.setValue('my.topic', 1);
+
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('stops listening when closed', async () => {
+      const callback = sinon.spy();
+      store.onExternalChange(callback);
+
+      await store.close();
+      await other.setValue('my.topic', 1);
+
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('delivers values published in another tab to subscribers', async () => {
+      const handler = sinon.spy();
+      const first = new Pubst();
+      const second = new Pubst();
+      await first.configure({showWarnings: false, store, scheduler: 'sync', topics: [{name: 'SELECTED.COLOR'}]});
+      await second.configure({showWarnings: false, store: other, scheduler: 'sync', topics: [{name: 'SELECTED.COLOR'}]});
+
+      second.subscribe('SELECTED.COLOR', handler);
+      await first.publish('SELECTED.COLOR', 'blue');
+
+      expect(handler).to.have.been.calledOnceWith('blue', 'SELECTED.COLOR');
+      expect(await second.currentVal('SELECTED.COLOR')).to.equal('blue');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+const OBSERVABLE = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+function toObserver(observerOrNext, error, complete) {
+  if (typeof observerOrNext === 'function') {
+    return {next: observerOrNext, error, complete};
+  }
+
+  return observerOrNext || {};
+}
+
+/**
+ * @summary An Observable over the values delivered to a subscription.
+ *
+ * @description
+ * <p>
+ * TopicObservable is returned by `Pubst#observe`.  It implements the TC39
+ * Observable shape, so it can be passed to RxJS's `from()` or any other
+ * library that understands `Symbol.observable`.
+ * </p>
+ *
+ * <p>
+ * Every call to `subscribe` creates its own Pubst subscription.  Calling
+ * `unsubscribe()` on the returned subscription removes it.
+ * </p>
+ */
+class TopicObservable {
+
+  #subscribe;
+
+  /**
+   * @param {Function} subscribe - Called with `(next, complete)` for each
+   *   observer.  Must subscribe `next` and return an unsubscribe function.
+   *   `complete` may be called once no more values will be delivered.
+   */
+  constructor(subscribe) {
+    this.#subscribe = subscribe;
+  }
+
+  /**
+   * @summary Start observing.
+   *
+   * @description
+   * Accepts either an observer object with optional `next`, `error`, and
+   * `complete` methods, or those three callbacks as arguments.
+   *
+   * @param {Object|Function} [observerOrNext] - Observer or `next` callback
+   * @param {Function} [error] - Called if the subscription can not be made
+   * @param {Function} [complete] - Called when no more values will be delivered
+   *
+   * @returns {{unsubscribe: Function, closed: boolean}} The subscription.
+   */
+  subscribe(observerOrNext, error, complete) {
+    const observer = toObserver(observerOrNext, error, complete);
+    let closed = false;
+    let unsubscribe = null;
+
+    const close = () => {
+      if (closed) {
+        return false;
+      }
+
+      closed = true;
+
+      if (unsubscribe) {
+        unsubscribe();
+      }
+
+      return true;
+    };
+
+    const subscription = {
+      unsubscribe: () => {
+        close();
+      },
+      get closed() {
+        return closed;
+      }
+    };
+
+    if (typeof observer.start === 'function') {
+      observer.start(subscription);
+
+      if (closed) {
+        return subscription;
+      }
+    }
+
+    try {
+      unsubscribe = this.#subscribe(
+        (value, topic) => {
+          if (!closed && typeof observer.next === 'function') {
+            observer.next(value, topic);
+          }
+        },
+        () => {
+          if (close() && typeof observer.complete === 'function') {
+            observer.complete();
+          }
+        }
+      );
+    } catch (e) {
+      closed = true;
+
+      if (typeof observer.error !== 'function') {
+        throw e;
+      }
+
+      observer.error(e);
+      return subscription;
+    }
+
+    if (closed) {
+      unsubscribe();
+    }
+
+    return subscription;
+  }
+
+  /**
+   * @returns {TopicObservable} This observable.
+   */
+  [OBSERVABLE]() {
+    return this;
+  }
+
+}
+
+if (OBSERVABLE !== '@@observable') {
+  TopicObservable.prototype['@@observable'] = TopicObservable.prototype[OBSERVABLE];
+}
+
+export default TopicObservable;
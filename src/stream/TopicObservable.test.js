@@ -0,0 +1,139 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import TopicObservable from './TopicObservable.js';
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('TopicObservable', () => {
+  let next;
+  let complete;
+  let unsubscribe;
+  let observable;
+
+  beforeEach(() => {
+    unsubscribe = sinon.spy();
+    observable = new TopicObservable((n, c) => {
+      next = n;
+      complete = c;
+      return unsubscribe;
+    });
+  });
+
+  it('returns itself from Symbol.observable and @@observable', () => {
+    const key = Symbol.observable || '@@observable';
+
+    expect(observable[key]()).to.equal(observable);
+    expect(observable['@@observable']()).to.equal(observable);
+  });
+
+  it('passes values to an observer object', () => {
+    const observer = {next: sinon.spy()};
+
+    observable.subscribe(observer);
+    next('value', 'my.topic');
+
+    expect(observer.next).to.have.been.calledWith('value', 'my.topic');
+  });
+
+  it('accepts callbacks in place of an observer object', () => {
+    const onNext = sinon.spy();
+    const onComplete = sinon.spy();
+
+    observable.subscribe(onNext, undefined, onComplete);
+    next('value', 'my.topic');
+    complete();
+
+    expect(onNext).to.have.been.calledWith('value', 'my.topic');
+    expect(onComplete).to.have.been.calledOnce;
+  });
+
+  it('unsubscribes once', () => {
+    const subscription = observable.subscribe(() => {});
+
+    expect(subscription.closed).to.be.false;
+
+    subscription.unsubscribe();
+    subscription.unsubscribe();
+
+    expect(subscription.closed).to.be.true;
+    expect(unsubscribe).to.have.been.calledOnce;
+  });
+
+  it('stops delivering after unsubscribe', () => {
+    const onNext = sinon.spy();
+
+    observable.subscribe(onNext).unsubscribe();
+    next('value', 'my.topic');
+
+    expect(onNext).not.to.have.been.called;
+  });
+
+  it('unsubscribes and closes on complete', () => {
+    const observer = {next: sinon.spy(), complete: sinon.spy()};
+    const subscription = observable.subscribe(observer);
+
+    complete();
+    complete();
+    next('value', 'my.topic');
+
+    expect(observer.complete).to.have.been.calledOnce;
+    expect(observer.next).not.to.have.been.called;
+    expect(subscription.closed).to.be.true;
+    expect(unsubscribe).to.have.been.calledOnce;
+  });
+
+  it('calls start with the subscription', () => {
+    let started;
+    const subscription = observable.subscribe({start: s => {
+      started = s;
+    }});
+
+    expect(started).to.equal(subscription);
+  });
+
+  it('does not subscribe when start unsubscribes', () => {
+    const subscribe = sinon.spy();
+    const subscription = new TopicObservable(subscribe).subscribe({start: s => s.unsubscribe()});
+
+    expect(subscribe).not.to.have.been.called;
+    expect(subscription.closed).to.be.true;
+  });
+
+  it('sends subscribe errors to the observer', () => {
+    const failure = new Error('nope');
+    const observer = {error: sinon.spy()};
+    const subscription = new TopicObservable(() => {
+      throw failure;
+    }).subscribe(observer);
+
+    expect(observer.error).to.have.been.calledWith(failure);
+    expect(subscription.closed).to.be.true;
+  });
+
+  it('throws subscribe errors when the observer has no error callback', () => {
+    const observable = new TopicObservable(() => {
+      throw new Error('nope');
+    });
+
+    expect(() => observable.subscribe(() => {})).to.throw('nope');
+  });
+});
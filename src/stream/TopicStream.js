@@ -0,0 +1,169 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import PubstOverflowError from '../error/PubstOverflowError.js';
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error'];
+
+const DONE = Object.freeze({value: undefined, done: true});
+
+/**
+ * @summary An async iterator over the values delivered to a subscription.
+ *
+ * @description
+ * <p>
+ * TopicStream is returned by `Pubst#stream`.  It subscribes as soon as it
+ * is created and buffers each delivery as `{value, topic}` until it is
+ * read.  The subscription is removed when the consumer stops iterating
+ * (e.g. `break` out of a `for await` loop) or calls `return()`.  If the
+ * subscription ends first, the stream finishes once its buffer is read.
+ * </p>
+ *
+ * <p>
+ * The buffer holds at most `bufferSize` unread deliveries.  When it is
+ * full, the `overflow` policy decides what happens to a new delivery:
+ *  <ul>
+ *    <li>`'drop-oldest'` - The oldest unread delivery is discarded.</li>
+ *    <li>`'drop-newest'` - The new delivery is discarded.</li>
+ *    <li>`'error'` - The stream ends.  Once the buffered deliveries have been
+ *        read, the next read rejects with a `PubstOverflowError`.</li>
+ *  </ul>
+ * </p>
+ */
+class TopicStream {
+
+  #buffer = [];
+  #readers = [];
+  #bufferSize;
+  #overflow;
+  #error = null;
+  #done = false;
+  #unsubscribe = null;
+
+  /**
+   * @param {Function} subscribe - Called with a handler function and an
+   *   end function.  Must subscribe the handler and return an unsubscribe
+   *   function.  The end function may be called once no more values will be
+   *   delivered.
+   * @param {Object} [options] - Options
+   * @param {number} [options.bufferSize=100] - Maximum number of unread deliveries.
+   * @param {string} [options.overflow='drop-oldest'] - One of `'drop-oldest'`,
+   *   `'drop-newest'`, or `'error'`.
+   */
+  constructor(subscribe, {bufferSize = 100, overflow = 'drop-oldest'} = {}) {
+    if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+      throw new Error('Stream bufferSize must be a positive integer.');
+    }
+
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new Error(`Unknown overflow policy '${overflow}'.  Expected one of ${OVERFLOW_POLICIES.join(', ')}.`);
+    }
+
+    this.#bufferSize = bufferSize;
+    this.#overflow = overflow;
+    this.#unsubscribe = subscribe((value, topic) => this.#push({value, topic}), () => this.#end());
+
+    if (this.#done) {
+      this.#unsubscribe();
+    }
+  }
+
+  #push(item) {
+    if (this.#done) {
+      return;
+    }
+
+    if (this.#readers.length > 0) {
+      this.#readers.shift().resolve({value: item, done: false});
+      return;
+    }
+
+    if (this.#buffer.length < this.#bufferSize) {
+      this.#buffer.push(item);
+    } else if (this.#overflow === 'drop-oldest') {
+      this.#buffer.shift();
+      this.#buffer.push(item);
+    } else if (this.#overflow === 'error') {
+      this.#error = new PubstOverflowError(`Stream buffer of ${this.#bufferSize} overflowed.`, this.#bufferSize);
+      this.#end();
+    }
+  }
+
+  #end() {
+    if (this.#done) {
+      return;
+    }
+
+    this.#done = true;
+
+    if (this.#unsubscribe) {
+      this.#unsubscribe();
+    }
+
+    this.#readers.splice(0).forEach(reader => reader.resolve(DONE));
+  }
+
+  /**
+   * @summary Read the next delivery.
+   *
+   * @returns {Promise<{value: {value: *, topic: string}, done: boolean}>}
+   */
+  next() {
+    if (this.#buffer.length > 0) {
+      return Promise.resolve({value: this.#buffer.shift(), done: false});
+    }
+
+    if (this.#error) {
+      const error = this.#error;
+      this.#error = null;
+      return Promise.reject(error);
+    }
+
+    if (this.#done) {
+      return Promise.resolve(DONE);
+    }
+
+    return new Promise(resolve => {
+      this.#readers.push({resolve});
+    });
+  }
+
+  /**
+   * @summary Stop the stream and remove its subscription.
+   *
+   * @description
+   * Called automatically when a `for await` loop exits early.  Unread
+   * deliveries are discarded.
+   *
+   * @returns {Promise<{value: undefined, done: boolean}>}
+   */
+  return() {
+    this.#buffer = [];
+    this.#error = null;
+    this.#end();
+    return Promise.resolve(DONE);
+  }
+
+  /**
+   * @returns {TopicStream} This stream.
+   */
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+}
+
+export default TopicStream;
@@ -0,0 +1,173 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import TopicStream from './TopicStream.js';
+import PubstOverflowError from '../error/PubstOverflowError.js';
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('TopicStream', () => {
+  let deliver;
+  let end;
+  let unsubscribe;
+
+  function createStream(options) {
+    unsubscribe = sinon.spy();
+    return new TopicStream((handler, onEnd) => {
+      deliver = handler;
+      end = onEnd;
+      return unsubscribe;
+    }, options);
+  }
+
+  it('yields buffered deliveries in order', async () => {
+    const stream = createStream();
+
+    deliver('one', 'my.topic');
+    deliver('two', 'my.topic');
+
+    expect(await stream.next()).to.deep.equal({value: {value: 'one', topic: 'my.topic'}, done: false});
+    expect(await stream.next()).to.deep.equal({value: {value: 'two', topic: 'my.topic'}, done: false});
+  });
+
+  it('resolves pending reads with later deliveries', async () => {
+    const stream = createStream();
+
+    const first = stream.next();
+    const second = stream.next();
+
+    deliver('one', 'my.topic');
+    deliver('two', 'my.topic');
+
+    expect((await first).value.value).to.equal('one');
+    expect((await second).value.value).to.equal('two');
+  });
+
+  it('drops the oldest delivery by default when the buffer is full', async () => {
+    const stream = createStream({bufferSize: 2});
+
+    deliver(1, 't');
+    deliver(2, 't');
+    deliver(3, 't');
+
+    expect((await stream.next()).value.value).to.equal(2);
+    expect((await stream.next()).value.value).to.equal(3);
+  });
+
+  it('can drop the newest delivery when the buffer is full', async () => {
+    const stream = createStream({bufferSize: 2, overflow: 'drop-newest'});
+
+    deliver(1, 't');
+    deliver(2, 't');
+    deliver(3, 't');
+
+    expect((await stream.next()).value.value).to.equal(1);
+    expect((await stream.next()).value.value).to.equal(2);
+
+    deliver(4, 't');
+
+    expect((await stream.next()).value.value).to.equal(4);
+  });
+
+  it('can end with an error when the buffer overflows', async () => {
+    const stream = createStream({bufferSize: 2, overflow: 'error'});
+
+    deliver(1, 't');
+    deliver(2, 't');
+    deliver(3, 't');
+
+    expect(unsubscribe).to.have.been.calledOnce;
+    expect((await stream.next()).value.value).to.equal(1);
+    expect((await stream.next()).value.value).to.equal(2);
+
+    let error;
+    try {
+      await stream.next();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an.instanceOf(PubstOverflowError);
+    expect(error.bufferSize).to.equal(2);
+    expect(await stream.next()).to.deep.equal({value: undefined, done: true});
+  });
+
+  it('unsubscribes and finishes pending reads on return', async () => {
+    const stream = createStream();
+    const pending = stream.next();
+
+    expect(await stream.return()).to.deep.equal({value: undefined, done: true});
+    expect(await pending).to.deep.equal({value: undefined, done: true});
+    expect(unsubscribe).to.have.been.calledOnce;
+
+    deliver('ignored', 't');
+
+    expect(await stream.next()).to.deep.equal({value: undefined, done: true});
+
+    await stream.return();
+    expect(unsubscribe).to.have.been.calledOnce;
+  });
+
+  it('ends after the buffered deliveries when the subscription ends', async () => {
+    const stream = createStream();
+
+    deliver('one', 'my.topic');
+    end();
+    deliver('ignored', 'my.topic');
+
+    expect(await stream.next()).to.deep.equal({value: {value: 'one', topic: 'my.topic'}, done: false});
+    expect(await stream.next()).to.deep.equal({value: undefined, done: true});
+  });
+
+  it('finishes pending reads when the subscription ends', async () => {
+    const stream = createStream();
+    const pending = stream.next();
+
+    end();
+
+    expect(await pending).to.deep.equal({value: undefined, done: true});
+  });
+
+  it('unsubscribes when a for await loop exits early', async () => {
+    const stream = createStream();
+    const seen = [];
+
+    deliver(1, 't');
+    deliver(2, 't');
+    deliver(3, 't');
+
+    for await (const {value} of stream) {
+      seen.push(value);
+      if (value === 2) {
+        break;
+      }
+    }
+
+    expect(seen).to.deep.equal([1, 2]);
+    expect(unsubscribe).to.have.been.calledOnce;
+  });
+
+  it('validates its options', () => {
+    expect(() => createStream({bufferSize: 0})).to.throw(/bufferSize/);
+    expect(() => createStream({bufferSize: 1.5})).to.throw(/bufferSize/);
+    expect(() => createStream({overflow: 'explode'})).to.throw(/Unknown overflow policy 'explode'/);
+  });
+});
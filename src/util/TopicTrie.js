@@ -0,0 +1,222 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+const SINGLE_LEVEL = '+';
+const MULTI_LEVEL = '#';
+
+function createNode() {
+  return {children: new Map(), values: new Set()};
+}
+
+/**
+ * @summary An index of MQTT-style topic patterns.
+ *
+ * @description
+ * <p>
+ * Patterns are topic names split into levels by a separator.  A level of
+ * `+` matches exactly one level of a topic, and a final level of `#`
+ * matches any number of remaining levels (including none, so `'user.#'`
+ * matches `'user'`).  As in MQTT, a wildcard in the first level does not
+ * match a topic whose first level starts with `$`.
+ * </p>
+ *
+ * <p>
+ * Each pattern is stored as a path of levels, so finding the values whose
+ * patterns match a topic takes time proportional to the topic's depth
+ * rather than to the number of patterns.
+ * </p>
+ */
+class TopicTrie {
+
+  #separator;
+  #root = createNode();
+  #patterns = new Map();
+
+  /**
+   * @param {string} [separator='.'] - The string that separates levels.
+   */
+  constructor(separator = '.') {
+    if (typeof separator !== 'string' || separator.length === 0) {
+      throw new Error('The topic separator must be a non-empty string.');
+    }
+
+    this.#separator = separator;
+  }
+
+  /**
+   * @summary Check if a topic string contains wildcard levels.
+   *
+   * @param {string} topic - The topic or pattern.
+   * @param {string} [separator='.'] - The string that separates levels.
+   * @returns {boolean} `true` if any level is `+` or `#`.
+   */
+  static isPattern(topic, separator = '.') {
+    return topic.split(separator).some(level => level === SINGLE_LEVEL || level === MULTI_LEVEL);
+  }
+
+  /**
+   * @summary The string that separates levels.
+   * @type {string}
+   */
+  get separator() {
+    return this.#separator;
+  }
+
+  #levels(pattern) {
+    const levels = pattern.split(this.#separator);
+    const multiLevel = levels.indexOf(MULTI_LEVEL);
+
+    if (multiLevel !== -1 && multiLevel !== levels.length - 1) {
+      throw new Error(`'${MULTI_LEVEL}' must be the last level of a pattern: '${pattern}'.`);
+    }
+
+    return levels;
+  }
+
+  /**
+   * @summary Add a value under a pattern.
+   *
+   * @param {string} pattern - The pattern.
+   * @param {*} value - The value to return for matching topics.
+   *
+   * @throws {Error} If `#` is used anywhere but the last level.
+   */
+  add(pattern, value) {
+    let node = this.#root;
+
+    for (const level of this.#levels(pattern)) {
+      if (!node.children.has(level)) {
+        node.children.set(level, createNode());
+      }
+      node = node.children.get(level);
+    }
+
+    if (!node.values.has(value)) {
+      node.values.add(value);
+      this.#patterns.set(pattern, (this.#patterns.get(pattern) || 0) + 1);
+    }
+  }
+
+  /**
+   * @summary Remove a value from a pattern.
+   *
+   * @param {string} pattern - The pattern it was added under.
+   * @param {*} value - The value to remove.
+   *
+   * @returns {boolean} `true` if the value was found and removed.
+   */
+  remove(pattern, value) {
+    const path = [this.#root];
+
+    for (const level of pattern.split(this.#separator)) {
+      const next = path[path.length - 1].children.get(level);
+      if (!next) {
+        return false;
+      }
+      path.push(next);
+    }
+
+    if (!path[path.length - 1].values.delete(value)) {
+      return false;
+    }
+
+    const count = this.#patterns.get(pattern) - 1;
+    if (count > 0) {
+      this.#patterns.set(pattern, count);
+    } else {
+      this.#patterns.delete(pattern);
+    }
+
+    const levels = pattern.split(this.#separator);
+    for (let i = path.length - 1; i > 0; i--) {
+      const node = path[i];
+      if (node.values.size > 0 || node.children.size > 0) {
+        break;
+      }
+      path[i - 1].children.delete(levels[i - 1]);
+    }
+
+    return true;
+  }
+
+  /**
+   * @summary Find the values whose patterns match a topic.
+   *
+   * @param {string} topic - A topic name.
+   *
+   * @returns {Array<*>} The matching values.
+   */
+  match(topic) {
+    const levels = topic.split(this.#separator);
+    const results = new Set();
+
+    const visit = (node, index) => {
+      const wildcardAllowed = index > 0 || !levels[0].startsWith('$');
+      const multiLevel = node.children.get(MULTI_LEVEL);
+
+      if (multiLevel && wildcardAllowed) {
+        multiLevel.values.forEach(value => results.add(value));
+      }
+
+      if (index === levels.length) {
+        node.values.forEach(value => results.add(value));
+        return;
+      }
+
+      const exact = node.children.get(levels[index]);
+      if (exact) {
+        visit(exact, index + 1);
+      }
+
+      const singleLevel = node.children.get(SINGLE_LEVEL);
+      if (singleLevel && singleLevel !== exact && wildcardAllowed) {
+        visit(singleLevel, index + 1);
+      }
+    };
+
+    visit(this.#root, 0);
+
+    return Array.from(results);
+  }
+
+  /**
+   * @summary List the patterns that currently have values.
+   *
+   * @returns {Array<string>} Patterns in the order they were first added.
+   */
+  patterns() {
+    return Array.from(this.#patterns.keys());
+  }
+
+  /**
+   * @summary List every value in the index.
+   *
+   * @returns {Array<*>} All values.
+   */
+  values() {
+    const results = [];
+    const visit = node => {
+      node.values.forEach(value => results.push(value));
+      node.children.forEach(visit);
+    };
+
+    visit(this.#root);
+
+    return results;
+  }
+}
+
+export default TopicTrie;
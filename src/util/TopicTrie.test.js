@@ -0,0 +1,170 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import TopicTrie from './TopicTrie.js';
+
+const expect = chai.expect;
+
+describe('TopicTrie', () => {
+
+  let trie;
+
+  beforeEach(() => {
+    trie = new TopicTrie();
+  });
+
+  it('requires a non-empty separator', () => {
+    expect(() => new TopicTrie('')).to.throw(/separator/);
+    expect(() => new TopicTrie(null)).to.throw(/separator/);
+  });
+
+  describe('isPattern', () => {
+
+    it('detects wildcard levels', () => {
+      expect(TopicTrie.isPattern('user.+.updated')).to.be.true;
+      expect(TopicTrie.isPattern('user.#')).to.be.true;
+      expect(TopicTrie.isPattern('#')).to.be.true;
+      expect(TopicTrie.isPattern('user.updated')).to.be.false;
+    });
+
+    it('only treats whole levels as wildcards', () => {
+      expect(TopicTrie.isPattern('c++.news')).to.be.false;
+      expect(TopicTrie.isPattern('channel.#general')).to.be.false;
+    });
+
+    it('uses the given separator', () => {
+      expect(TopicTrie.isPattern('user/+', '/')).to.be.true;
+      expect(TopicTrie.isPattern('user.+', '/')).to.be.false;
+    });
+  });
+
+  describe('match', () => {
+
+    it('matches exact patterns', () => {
+      trie.add('user.updated', 'a');
+      expect(trie.match('user.updated')).to.deep.equal(['a']);
+      expect(trie.match('user')).to.deep.equal([]);
+      expect(trie.match('user.updated.name')).to.deep.equal([]);
+    });
+
+    it('matches one level with +', () => {
+      trie.add('user.+.updated', 'a');
+      expect(trie.match('user.42.updated')).to.deep.equal(['a']);
+      expect(trie.match('user.updated')).to.deep.equal([]);
+      expect(trie.match('user.42.7.updated')).to.deep.equal([]);
+    });
+
+    it('matches the parent and any number of levels with #', () => {
+      trie.add('user.#', 'a');
+      expect(trie.match('user')).to.deep.equal(['a']);
+      expect(trie.match('user.42')).to.deep.equal(['a']);
+      expect(trie.match('user.42.updated')).to.deep.equal(['a']);
+      expect(trie.match('account.42')).to.deep.equal([]);
+    });
+
+    it('matches everything with a lone #', () => {
+      trie.add('#', 'a');
+      expect(trie.match('user')).to.deep.equal(['a']);
+      expect(trie.match('user.42.updated')).to.deep.equal(['a']);
+    });
+
+    it('combines wildcards', () => {
+      trie.add('+.+.#', 'a');
+      expect(trie.match('user.42')).to.deep.equal(['a']);
+      expect(trie.match('user.42.updated')).to.deep.equal(['a']);
+      expect(trie.match('user')).to.deep.equal([]);
+    });
+
+    it('returns each value once', () => {
+      trie.add('user.+', 'a');
+      trie.add('user.#', 'a');
+      trie.add('user.42', 'b');
+      expect(trie.match('user.42')).to.have.members(['a', 'b']).and.have.length(2);
+    });
+
+    it('does not match topics starting with $ using a leading wildcard', () => {
+      trie.add('#', 'a');
+      trie.add('+.info', 'b');
+      trie.add('$sys.#', 'c');
+      expect(trie.match('$sys.info')).to.deep.equal(['c']);
+    });
+
+    it('uses the given separator', () => {
+      trie = new TopicTrie('/');
+      trie.add('user/+', 'a');
+      expect(trie.match('user/42')).to.deep.equal(['a']);
+      expect(trie.match('user.42')).to.deep.equal([]);
+    });
+  });
+
+  describe('add', () => {
+
+    it('rejects # anywhere but the last level', () => {
+      expect(() => trie.add('user.#.updated', 'a')).to.throw(/last level/);
+      expect(trie.patterns()).to.deep.equal([]);
+    });
+  });
+
+  describe('remove', () => {
+
+    it('removes a value', () => {
+      trie.add('user.+', 'a');
+      trie.add('user.+', 'b');
+      expect(trie.remove('user.+', 'a')).to.be.true;
+      expect(trie.match('user.42')).to.deep.equal(['b']);
+    });
+
+    it('returns false for unknown values', () => {
+      trie.add('user.+', 'a');
+      expect(trie.remove('user.+', 'b')).to.be.false;
+      expect(trie.remove('user.#', 'a')).to.be.false;
+    });
+
+    it('prunes empty levels', () => {
+      trie.add('user.+.updated', 'a');
+      trie.remove('user.+.updated', 'a');
+      expect(trie.values()).to.deep.equal([]);
+      expect(trie.match('user.42.updated')).to.deep.equal([]);
+    });
+  });
+
+  describe('patterns', () => {
+
+    it('lists each pattern with values once in the order added', () => {
+      trie.add('user.#', 'a');
+      trie.add('order.+', 'b');
+      trie.add('user.#', 'c');
+      expect(trie.patterns()).to.deep.equal(['user.#', 'order.+']);
+
+      trie.remove('user.#', 'a');
+      expect(trie.patterns()).to.deep.equal(['user.#', 'order.+']);
+
+      trie.remove('user.#', 'c');
+      expect(trie.patterns()).to.deep.equal(['order.+']);
+    });
+  });
+
+  describe('values', () => {
+
+    it('lists every value', () => {
+      trie.add('user.#', 'a');
+      trie.add('user.+', 'b');
+      trie.add('order', 'c');
+      expect(trie.values()).to.have.members(['a', 'b', 'c']);
+    });
+  });
+});
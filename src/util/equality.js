@@ -0,0 +1,236 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @module equality
+ * @summary Equality strategies used by Pubst for repeat suppression.
+ */
+
+function isObjectLike(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function sameValue(a, b) {
+  // Like `===`, but NaN is equal to itself.
+  return a === b || (a !== a && b !== b);
+}
+
+/**
+ * @summary Strict (`===`) equality.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} `true` if `a === b`.
+ */
+function strictEqual(a, b) {
+  return a === b;
+}
+
+/**
+ * @summary Shallow equality.
+ *
+ * @description
+ * Values are equal if they are strictly equal, or if they are objects of
+ * the same kind whose own entries are strictly equal.  Arrays, plain
+ * objects, Dates, Maps, and Sets are supported.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} `true` if the values are shallowly equal.
+ */
+function shallowEqual(a, b) {
+  return compare(a, b, sameValue, null);
+}
+
+/**
+ * @summary Deep (structural) equality.
+ *
+ * @description
+ * Values are equal if they are strictly equal, or if they are objects of
+ * the same kind whose contents are deeply equal.  Arrays, plain objects,
+ * Dates, RegExps, Maps, and Sets are supported.  Cyclic structures are
+ * handled.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} `true` if the values are deeply equal.
+ */
+function deepEqual(a, b) {
+  const seen = new Map();
+
+  const deep = (x, y) => {
+    if (!isObjectLike(x) || !isObjectLike(y)) {
+      return sameValue(x, y);
+    }
+
+    // A pair that is already being compared further up the stack is
+    // assumed equal so that cycles terminate.
+    let pairs = seen.get(x);
+    if (pairs && pairs.has(y)) {
+      return true;
+    }
+    if (!pairs) {
+      pairs = new Set();
+      seen.set(x, pairs);
+    }
+
+    pairs.add(y);
+    const result = compare(x, y, deep, deep);
+    pairs.delete(y);
+
+    return result;
+  };
+
+  return deep(a, b);
+}
+
+function compare(a, b, valuesEqual, keysEqual) {
+  if (sameValue(a, b)) {
+    return true;
+  }
+
+  if (!isObjectLike(a) || !isObjectLike(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false;
+  }
+
+  if (a instanceof Date) {
+    return sameValue(a.getTime(), b.getTime());
+  }
+
+  if (a instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags;
+  }
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+  }
+
+  if (a instanceof Map) {
+    return mapsEqual(a, b, valuesEqual, keysEqual);
+  }
+
+  if (a instanceof Set) {
+    return setsEqual(a, b, keysEqual);
+  }
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+
+  return aKeys.length === bKeys.length &&
+    aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && valuesEqual(a[key], b[key]));
+}
+
+// Entries are matched by key identity first.  When `keysEqual` is provided,
+// the remaining entries are paired with the remaining entries of `b` whose
+// keys are structurally equal.
+function mapsEqual(a, b, valuesEqual, keysEqual) {
+  if (a.size !== b.size) {
+    return false;
+  }
+
+  const unmatched = [];
+
+  for (const [key, value] of a) {
+    if (b.has(key)) {
+      if (!valuesEqual(value, b.get(key))) {
+        return false;
+      }
+    } else if (keysEqual) {
+      unmatched.push([key, value]);
+    } else {
+      return false;
+    }
+  }
+
+  const candidates = [...b].filter(([key]) => !a.has(key));
+
+  return unmatched.every(([key, value]) => takeMatch(candidates, ([otherKey, otherValue]) => {
+    return keysEqual(key, otherKey) && valuesEqual(value, otherValue);
+  }));
+}
+
+function setsEqual(a, b, keysEqual) {
+  if (a.size !== b.size) {
+    return false;
+  }
+
+  const unmatched = [...a].filter(value => !b.has(value));
+
+  if (unmatched.length > 0 && !keysEqual) {
+    return false;
+  }
+
+  const candidates = [...b].filter(value => !a.has(value));
+
+  return unmatched.every(value => takeMatch(candidates, other => keysEqual(value, other)));
+}
+
+function takeMatch(candidates, predicate) {
+  const index = candidates.findIndex(predicate);
+
+  if (index === -1) {
+    return false;
+  }
+
+  candidates.splice(index, 1);
+  return true;
+}
+
+/**
+ * @summary Built-in equality strategies, keyed by name.
+ * @type {Object<string, Function>}
+ */
+const EQUALITY_STRATEGIES = Object.freeze({
+  strict: strictEqual,
+  shallow: shallowEqual,
+  deep: deepEqual
+});
+
+/**
+ * @summary The name of the equality strategy used when none is configured.
+ * @type {string}
+ */
+const DEFAULT_EQUALITY = 'strict';
+
+/**
+ * @summary Resolve an equality strategy name or function to a comparator.
+ *
+ * @param {string|Function} equals - The name of a built-in strategy, or a
+ *   comparator function that receives `(previous, next)` and returns `true`
+ *   if they should be considered equal.
+ * @returns {Function} The comparator function.
+ * @throws {Error} If `equals` is not a function or a known strategy name.
+ */
+function resolveEquals(equals) {
+  if (typeof equals === 'function') {
+    return equals;
+  }
+
+  if (typeof equals === 'string' && Object.prototype.hasOwnProperty.call(EQUALITY_STRATEGIES, equals)) {
+    return EQUALITY_STRATEGIES[equals];
+  }
+
+  throw new Error(`Unknown equality strategy '${String(equals)}'.  Expected one of ${Object.keys(EQUALITY_STRATEGIES).join(', ')} or a function.`);
+}
+
+export {
+  EQUALITY_STRATEGIES,
+  DEFAULT_EQUALITY,
+  strictEqual,
+  shallowEqual,
+  deepEqual,
+  resolveEquals
+};
@@ -0,0 +1,152 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import {
+  EQUALITY_STRATEGIES,
+  deepEqual,
+  resolveEquals,
+  shallowEqual,
+  strictEqual
+} from './equality.js';
+
+const expect = chai.expect;
+
+describe('Pubst Equality', () => {
+
+  describe('strictEqual', () => {
+
+    it('compares with ===', () => {
+      const obj = {};
+      expect(strictEqual(1, 1)).to.be.true;
+      expect(strictEqual('a', 'a')).to.be.true;
+      expect(strictEqual(obj, obj)).to.be.true;
+      expect(strictEqual({}, {})).to.be.false;
+      expect(strictEqual(null, undefined)).to.be.false;
+    });
+  });
+
+  describe('shallowEqual', () => {
+
+    it('compares primitives', () => {
+      expect(shallowEqual(1, 1)).to.be.true;
+      expect(shallowEqual(NaN, NaN)).to.be.true;
+      expect(shallowEqual(1, '1')).to.be.false;
+      expect(shallowEqual(null, {})).to.be.false;
+    });
+
+    it('compares the own properties of objects', () => {
+      const inner = {a: 1};
+      expect(shallowEqual({a: 1, b: inner}, {a: 1, b: inner})).to.be.true;
+      expect(shallowEqual({a: 1, b: {a: 1}}, {a: 1, b: {a: 1}})).to.be.false;
+      expect(shallowEqual({a: 1}, {a: 1, b: 2})).to.be.false;
+      expect(shallowEqual({a: undefined}, {b: undefined})).to.be.false;
+    });
+
+    it('compares arrays', () => {
+      expect(shallowEqual([1, 2, 3], [1, 2, 3])).to.be.true;
+      expect(shallowEqual([1, 2], [1, 2, 3])).to.be.false;
+      expect(shallowEqual([[1]], [[1]])).to.be.false;
+      expect(shallowEqual([], {})).to.be.false;
+    });
+
+    it('compares dates', () => {
+      expect(shallowEqual(new Date(5), new Date(5))).to.be.true;
+      expect(shallowEqual(new Date(5), new Date(6))).to.be.false;
+    });
+
+    it('compares maps and sets by identity of their entries', () => {
+      const key = {};
+      expect(shallowEqual(new Map([[key, 1]]), new Map([[key, 1]]))).to.be.true;
+      expect(shallowEqual(new Map([[{}, 1]]), new Map([[{}, 1]]))).to.be.false;
+      expect(shallowEqual(new Set([1, key]), new Set([key, 1]))).to.be.true;
+      expect(shallowEqual(new Set([{}]), new Set([{}]))).to.be.false;
+    });
+  });
+
+  describe('deepEqual', () => {
+
+    it('compares nested objects and arrays', () => {
+      expect(deepEqual({a: [1, {b: 2}]}, {a: [1, {b: 2}]})).to.be.true;
+      expect(deepEqual({a: [1, {b: 2}]}, {a: [1, {b: 3}]})).to.be.false;
+      expect(deepEqual([1, [2, [3]]], [1, [2, [3]]])).to.be.true;
+    });
+
+    it('compares dates and regular expressions', () => {
+      expect(deepEqual({when: new Date(5)}, {when: new Date(5)})).to.be.true;
+      expect(deepEqual({when: new Date(5)}, {when: new Date(6)})).to.be.false;
+      expect(deepEqual(/a+/g, /a+/g)).to.be.true;
+      expect(deepEqual(/a+/g, /a+/i)).to.be.false;
+    });
+
+    it('compares maps', () => {
+      expect(deepEqual(new Map([['a', {x: 1}]]), new Map([['a', {x: 1}]]))).to.be.true;
+      expect(deepEqual(new Map([['a', {x: 1}]]), new Map([['a', {x: 2}]]))).to.be.false;
+      expect(deepEqual(new Map([[{id: 1}, 'a']]), new Map([[{id: 1}, 'a']]))).to.be.true;
+      expect(deepEqual(new Map([[{id: 1}, 'a']]), new Map([[{id: 2}, 'a']]))).to.be.false;
+    });
+
+    it('compares sets', () => {
+      expect(deepEqual(new Set([1, {a: 1}]), new Set([{a: 1}, 1]))).to.be.true;
+      expect(deepEqual(new Set([{a: 1}, {a: 1}]), new Set([{a: 1}, {a: 2}]))).to.be.false;
+      expect(deepEqual(new Set([1]), new Set([2]))).to.be.false;
+    });
+
+    it('does not consider different kinds of objects equal', () => {
+      expect(deepEqual([], {})).to.be.false;
+      expect(deepEqual(new Map(), new Set())).to.be.false;
+      expect(deepEqual(new Date(0), {})).to.be.false;
+    });
+
+    it('handles cycles', () => {
+      const a = {name: 'a'};
+      a.self = a;
+      const b = {name: 'a'};
+      b.self = b;
+      const c = {name: 'c'};
+      c.self = c;
+
+      expect(deepEqual(a, b)).to.be.true;
+      expect(deepEqual(a, c)).to.be.false;
+
+      const listA = [1];
+      listA.push(listA);
+      const listB = [1];
+      listB.push(listB);
+
+      expect(deepEqual(listA, listB)).to.be.true;
+    });
+  });
+
+  describe('resolveEquals', () => {
+
+    it('returns built-in strategies by name', () => {
+      expect(resolveEquals('strict')).to.equal(EQUALITY_STRATEGIES.strict);
+      expect(resolveEquals('shallow')).to.equal(EQUALITY_STRATEGIES.shallow);
+      expect(resolveEquals('deep')).to.equal(EQUALITY_STRATEGIES.deep);
+    });
+
+    it('returns comparator functions as-is', () => {
+      const comparator = (a, b) => a.id === b.id;
+      expect(resolveEquals(comparator)).to.equal(comparator);
+    });
+
+    it('throws for unknown strategies', () => {
+      expect(() => resolveEquals('fuzzy')).to.throw(/Unknown equality strategy 'fuzzy'/);
+      expect(() => resolveEquals({})).to.throw(/Unknown equality strategy/);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @module schedulers
+ * @summary Delivery schedulers used by Pubst to call subscriber handlers.
+ *
+ * @description
+ * A scheduler is a function that receives a callback and arranges for it
+ * to be called.  Pubst calls the scheduler once per delivery.
+ */
+
+/**
+ * @summary Built-in schedulers, keyed by name.
+ *
+ * @description
+ * <ul>
+ *   <li>`sync` - Calls the callback immediately.</li>
+ *   <li>`microtask` - Queues the callback with `queueMicrotask`.</li>
+ *   <li>`macrotask` - Queues the callback with `setTimeout(callback, 0)`.</li>
+ *   <li>`animationFrame` - Queues the callback with `requestAnimationFrame`,
+ *       falling back to `macrotask` where it is not available.</li>
+ * </ul>
+ *
+ * @type {Object<string, Function>}
+ */
+const SCHEDULERS = Object.freeze({
+  sync: callback => {
+    callback();
+  },
+  microtask: callback => {
+    queueMicrotask(callback);
+  },
+  macrotask: callback => {
+    setTimeout(callback, 0);
+  },
+  animationFrame: callback => {
+    if (typeof requestAnimationFrame === 'function') {
+      requestAnimationFrame(() => callback());
+    } else {
+      setTimeout(callback, 0);
+    }
+  }
+});
+
+/**
+ * @summary The name of the scheduler used when none is configured.
+ * @type {string}
+ */
+const DEFAULT_SCHEDULER = 'macrotask';
+
+/**
+ * @summary Resolve a scheduler name or function to a scheduler function.
+ *
+ * @param {string|Function} scheduler - The name of a built-in scheduler, or
+ *   a custom scheduler function that receives a callback.
+ * @returns {Function} The scheduler function.
+ * @throws {Error} If the scheduler is not a function or a known name.
+ */
+function resolveScheduler(scheduler) {
+  if (typeof scheduler === 'function') {
+    return scheduler;
+  }
+
+  if (typeof scheduler === 'string' && Object.prototype.hasOwnProperty.call(SCHEDULERS, scheduler)) {
+    return SCHEDULERS[scheduler];
+  }
+
+  throw new Error(`Unknown scheduler '${String(scheduler)}'.  Expected one of ${Object.keys(SCHEDULERS).join(', ')} or a function.`);
+}
+
+export {
+  SCHEDULERS,
+  DEFAULT_SCHEDULER,
+  resolveScheduler
+};
@@ -0,0 +1,111 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { SCHEDULERS, resolveScheduler } from './schedulers.js';
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+describe('Pubst Schedulers', () => {
+
+  describe('resolveScheduler', () => {
+
+    it('returns built-in schedulers by name', () => {
+      expect(resolveScheduler('sync')).to.equal(SCHEDULERS.sync);
+      expect(resolveScheduler('microtask')).to.equal(SCHEDULERS.microtask);
+      expect(resolveScheduler('macrotask')).to.equal(SCHEDULERS.macrotask);
+      expect(resolveScheduler('animationFrame')).to.equal(SCHEDULERS.animationFrame);
+    });
+
+    it('returns custom scheduler functions as-is', () => {
+      const custom = callback => callback();
+      expect(resolveScheduler(custom)).to.equal(custom);
+    });
+
+    it('throws for unknown schedulers', () => {
+      expect(() => resolveScheduler('later')).to.throw(/Unknown scheduler 'later'/);
+      expect(() => resolveScheduler(42)).to.throw(/Unknown scheduler/);
+      expect(() => resolveScheduler('toString')).to.throw(/Unknown scheduler/);
+    });
+  });
+
+  describe('built-in schedulers', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+      delete globalThis.requestAnimationFrame;
+    });
+
+    it('sync calls the callback immediately', () => {
+      const callback = sinon.spy();
+      SCHEDULERS.sync(callback);
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('microtask queues the callback', () => {
+      const callback = sinon.spy();
+      const queueSpy = sinon.spy(globalThis, 'queueMicrotask');
+
+      SCHEDULERS.microtask(callback);
+      queueSpy.restore();
+
+      expect(queueSpy).to.have.been.calledOnce;
+      expect(callback).not.to.have.been.called;
+      clock.runMicrotasks();
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('macrotask queues the callback with setTimeout', () => {
+      const callback = sinon.spy();
+
+      SCHEDULERS.macrotask(callback);
+
+      expect(callback).not.to.have.been.called;
+      clock.tick(0);
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('animationFrame uses requestAnimationFrame when available', () => {
+      const callback = sinon.spy();
+      globalThis.requestAnimationFrame = sinon.spy(fn => fn(16));
+
+      SCHEDULERS.animationFrame(callback);
+
+      expect(globalThis.requestAnimationFrame).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledOnce;
+      expect(callback.firstCall.args).to.deep.equal([]);
+    });
+
+    it('animationFrame falls back to setTimeout', () => {
+      const callback = sinon.spy();
+
+      SCHEDULERS.animationFrame(callback);
+
+      expect(callback).not.to.have.been.called;
+      clock.tick(0);
+      expect(callback).to.have.been.calledOnce;
+    });
+  });
+});
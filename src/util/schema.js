@@ -0,0 +1,158 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @module schema
+ * @summary A small validator for a subset of JSON Schema.
+ *
+ * @description
+ * <p>
+ * Supported keywords:
+ *  <ul>
+ *    <li>Any value: `type` (a type name or an array of them), `enum`, `const`</li>
+ *    <li>Numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`</li>
+ *    <li>Strings: `minLength`, `maxLength`, `pattern`</li>
+ *    <li>Arrays: `items`, `minItems`, `maxItems`</li>
+ *    <li>Objects: `properties`, `required`, `additionalProperties`</li>
+ *  </ul>
+ * </p>
+ *
+ * <p>
+ * Type names are `'string'`, `'number'`, `'integer'`, `'boolean'`,
+ * `'object'`, `'array'`, and `'null'`.  Unknown keywords are ignored.
+ * </p>
+ */
+
+import { deepEqual } from './equality.js';
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+function check(schema, value, path, errors) {
+  const fail = message => errors.push({path, message});
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value))) {
+      fail(`expected ${types.join(' or ')} but received ${describeType(value)}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    fail(`expected ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(option, value))) {
+    fail(`expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => check(schema.items, item, childPath(path, index), errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || [])
+      .filter(key => !Object.prototype.hasOwnProperty.call(value, key) || value[key] === undefined)
+      .forEach(key => errors.push({path: childPath(path, key), message: 'is required'}));
+
+    Object.keys(value).forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        if (value[key] !== undefined) {
+          check(properties[key], value[key], childPath(path, key), errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({path: childPath(path, key), message: 'is not an allowed property'});
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, value[key], childPath(path, key), errors);
+      }
+    });
+  }
+}
+
+/**
+ * @summary Validate a value against a schema.
+ *
+ * @param {Object} schema - A JSON-Schema-subset object.
+ * @param {*} value - The value to validate.
+ * @returns {Array<{path: string, message: string}>} The failures, if any.
+ *   Paths start at `$` for the value itself (e.g. `$.items[0].id`).
+ */
+function validateSchema(schema, value) {
+  const errors = [];
+  check(schema, value, '$', errors);
+  return errors;
+}
+
+export {
+  validateSchema
+};
@@ -0,0 +1,120 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import { validateSchema } from './schema.js';
+
+const expect = chai.expect;
+
+describe('Pubst Schema', () => {
+
+  describe('validateSchema', () => {
+
+    it('returns no errors for valid values', () => {
+      const schema = {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: {type: 'string', minLength: 1},
+          age: {type: 'integer', minimum: 0},
+          tags: {type: 'array', items: {type: 'string'}}
+        }
+      };
+
+      expect(validateSchema(schema, {name: 'Jill', age: 30, tags: ['a']})).to.deep.equal([]);
+      expect(validateSchema({}, 'anything')).to.deep.equal([]);
+    });
+
+    it('checks types', () => {
+      expect(validateSchema({type: 'string'}, 5)).to.deep.equal([
+        {path: '$', message: 'expected string but received number'}
+      ]);
+      expect(validateSchema({type: 'integer'}, 1.5)).to.have.lengthOf(1);
+      expect(validateSchema({type: 'number'}, NaN)).to.have.lengthOf(1);
+      expect(validateSchema({type: 'object'}, [])).to.have.lengthOf(1);
+      expect(validateSchema({type: 'array'}, {})).to.have.lengthOf(1);
+      expect(validateSchema({type: 'null'}, null)).to.deep.equal([]);
+      expect(validateSchema({type: ['string', 'null']}, null)).to.deep.equal([]);
+      expect(validateSchema({type: ['string', 'null']}, true)).to.deep.equal([
+        {path: '$', message: 'expected string or null but received boolean'}
+      ]);
+    });
+
+    it('checks enum and const', () => {
+      expect(validateSchema({enum: ['red', 'blue']}, 'blue')).to.deep.equal([]);
+      expect(validateSchema({enum: ['red', 'blue']}, 'green')).to.deep.equal([
+        {path: '$', message: 'expected one of "red", "blue"'}
+      ]);
+      expect(validateSchema({const: {a: 1}}, {a: 1})).to.deep.equal([]);
+      expect(validateSchema({const: {a: 1}}, {a: 2})).to.have.lengthOf(1);
+    });
+
+    it('checks number bounds', () => {
+      expect(validateSchema({minimum: 1}, 0)).to.deep.equal([{path: '$', message: 'must be >= 1'}]);
+      expect(validateSchema({maximum: 1}, 2)).to.deep.equal([{path: '$', message: 'must be <= 1'}]);
+      expect(validateSchema({exclusiveMinimum: 1}, 1)).to.deep.equal([{path: '$', message: 'must be > 1'}]);
+      expect(validateSchema({exclusiveMaximum: 1}, 1)).to.deep.equal([{path: '$', message: 'must be < 1'}]);
+    });
+
+    it('checks strings', () => {
+      expect(validateSchema({minLength: 2}, 'a')).to.have.lengthOf(1);
+      expect(validateSchema({maxLength: 2}, 'abc')).to.have.lengthOf(1);
+      expect(validateSchema({pattern: '^[a-z]+$'}, 'abc')).to.deep.equal([]);
+      expect(validateSchema({pattern: '^[a-z]+$'}, 'ABC')).to.deep.equal([
+        {path: '$', message: 'must match pattern ^[a-z]+$'}
+      ]);
+    });
+
+    it('checks arrays and reports item paths', () => {
+      const schema = {type: 'array', minItems: 1, maxItems: 3, items: {type: 'object', required: ['id']}};
+
+      expect(validateSchema(schema, [])).to.deep.equal([{path: '$', message: 'must have at least 1 items'}]);
+      expect(validateSchema(schema, [{}, {}, {}, {}])).to.have.lengthOf(5);
+      expect(validateSchema(schema, [{id: 1}, {}])).to.deep.equal([{path: '$[1].id', message: 'is required'}]);
+    });
+
+    it('checks objects and reports nested paths', () => {
+      const schema = {
+        type: 'object',
+        required: ['address'],
+        properties: {
+          address: {
+            type: 'object',
+            properties: {
+              zip: {type: 'string', pattern: '^[0-9]{5}$'}
+            }
+          }
+        },
+        additionalProperties: false
+      };
+
+      expect(validateSchema(schema, {address: {zip: 'abc'}, extra: true})).to.deep.equal([
+        {path: '$.address.zip', message: 'must match pattern ^[0-9]{5}$'},
+        {path: '$.extra', message: 'is not an allowed property'}
+      ]);
+      expect(validateSchema(schema, {})).to.deep.equal([{path: '$.address', message: 'is required'}]);
+    });
+
+    it('validates additional properties against a schema', () => {
+      const schema = {type: 'object', additionalProperties: {type: 'number'}};
+
+      expect(validateSchema(schema, {a: 1, b: 2})).to.deep.equal([]);
+      expect(validateSchema(schema, {a: 1, b: 'two'})).to.deep.equal([
+        {path: '$.b', message: 'expected number but received string'}
+      ]);
+    });
+  });
+});
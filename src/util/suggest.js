@@ -0,0 +1,82 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @module suggest
+ * @summary "Did you mean" suggestions for mistyped names.
+ */
+
+/**
+ * @summary Compute the Levenshtein edit distance between two strings.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of single-character insertions, deletions,
+ *   or substitutions needed to turn `a` into `b`.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * @summary Find the candidate closest to a name.
+ *
+ * @description
+ * Candidates are compared case-insensitively.  A candidate is only
+ * suggested if it is within a third of the name's length (and at least 2)
+ * edits of the name.
+ *
+ * @param {string} name - The (possibly mistyped) name.
+ * @param {Array<string>} candidates - The known names.
+ * @returns {string|undefined} The closest candidate, or `undefined` if none
+ *   is close enough.
+ */
+function closestMatch(name, candidates) {
+  const target = String(name).toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(target.length / 3));
+
+  let best;
+  let bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const distance = editDistance(target, candidate.toLowerCase());
+
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+export {
+  editDistance,
+  closestMatch
+};
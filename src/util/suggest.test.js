@@ -0,0 +1,51 @@
+/*
+ *  Copyright 2017-2026 Jason Schindler
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+import * as chai from 'chai';
+import { closestMatch, editDistance } from './suggest.js';
+
+const expect = chai.expect;
+
+describe('Pubst Suggest', () => {
+
+  describe('editDistance', () => {
+
+    it('counts insertions, deletions, and substitutions', () => {
+      expect(editDistance('', '')).to.equal(0);
+      expect(editDistance('abc', 'abc')).to.equal(0);
+      expect(editDistance('abc', 'abcd')).to.equal(1);
+      expect(editDistance('abcd', 'abc')).to.equal(1);
+      expect(editDistance('abc', 'abd')).to.equal(1);
+      expect(editDistance('kitten', 'sitting')).to.equal(3);
+      expect(editDistance('', 'abc')).to.equal(3);
+    });
+  });
+
+  describe('closestMatch', () => {
+    const topics = ['user.basicInfo', 'user.preferences', 'game.started'];
+
+    it('returns the closest candidate', () => {
+      expect(closestMatch('user.basicinfo', topics)).to.equal('user.basicInfo');
+      expect(closestMatch('user.basicInf', topics)).to.equal('user.basicInfo');
+      expect(closestMatch('game.startd', topics)).to.equal('game.started');
+    });
+
+    it('returns undefined when nothing is close', () => {
+      expect(closestMatch('player.guess', topics)).to.be.undefined;
+      expect(closestMatch('anything', [])).to.be.undefined;
+    });
+  });
+});
@@ -85,11 +85,88 @@ function valueOrDefault(value, def) {
   return value;
 }
 
+/**
+ * @summary Throw an `AbortSignal`'s reason if it has been aborted.
+ *
+ * @param {AbortSignal} [signal] - The signal to check.
+ * @throws {*} The signal's reason, if it has been aborted.
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason;
+  }
+}
+
+/**
+ * @summary Settle like a promise unless an `AbortSignal` aborts first.
+ *
+ * @param {Promise<*>} promise - The promise to wait for.
+ * @param {AbortSignal} [signal] - The signal to watch.
+ * @returns {Promise<*>} Settles like `promise`, or rejects with the signal's
+ *   reason if it aborts first.
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(signal.reason);
+    };
+
+    signal.addEventListener('abort', onAbort);
+
+    promise
+      .finally(() => signal.removeEventListener('abort', onAbort))
+      .then(resolve, reject);
+  });
+}
+
+/**
+ * @summary Combine `AbortSignal`s into one that aborts when any of them
+ *   does.
+ *
+ * @description
+ * Works like `AbortSignal.any`, which older runtimes do not have.  The
+ * listeners added to `signals` are removed once the combined signal
+ * aborts.
+ *
+ * @param {Array<AbortSignal>} signals - The signals to watch.
+ * @returns {AbortSignal} A signal that aborts with the reason of the first
+ *   of `signals` to abort.
+ */
+function anySignal(signals) {
+  const controller = new AbortController();
+  const aborted = signals.find(signal => signal.aborted);
+
+  if (aborted) {
+    controller.abort(aborted.reason);
+    return controller.signal;
+  }
+
+  const onAbort = () => {
+    signals.forEach(signal => signal.removeEventListener('abort', onAbort));
+    controller.abort(signals.find(signal => signal.aborted).reason);
+  };
+
+  signals.forEach(signal => signal.addEventListener('abort', onAbort));
+
+  return controller.signal;
+}
+
 export {
+  abortable,
+  anySignal,
   hasOwnProperty,
   isUndefined,
   isDefined,
   isNotSet,
   isSet,
+  throwIfAborted,
   valueOrDefault
 };
@@ -15,6 +15,7 @@
  */
 
 import * as chai from 'chai';
+import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import * as utils from './utils.js';
 
@@ -119,4 +120,107 @@ describe('Pubst Utils', () =>{
     });
 
   });
+
+  describe('throwIfAborted', () => {
+
+    it('does nothing without an aborted signal', () => {
+      expect(() => utils.throwIfAborted()).not.to.throw();
+      expect(() => utils.throwIfAborted(new AbortController().signal)).not.to.throw();
+    });
+
+    it('throws the reason of an aborted signal', () => {
+      const reason = new Error('stop');
+      expect(() => utils.throwIfAborted(AbortSignal.abort(reason))).to.throw(reason);
+    });
+
+  });
+
+  describe('anySignal', () => {
+
+    it('aborts with the reason of the first signal to abort', () => {
+      const first = new AbortController();
+      const second = new AbortController();
+      const reason = new Error('stop');
+      const signal = utils.anySignal([first.signal, second.signal]);
+
+      expect(signal.aborted).to.equal(false);
+
+      second.abort(reason);
+      first.abort(new Error('later'));
+
+      expect(signal.aborted).to.equal(true);
+      expect(signal.reason).to.equal(reason);
+    });
+
+    it('is aborted already when one of the signals is', () => {
+      const reason = new Error('stop');
+      const signal = utils.anySignal([new AbortController().signal, AbortSignal.abort(reason)]);
+
+      expect(signal.aborted).to.equal(true);
+      expect(signal.reason).to.equal(reason);
+    });
+
+    it('stops listening to the other signals once it aborts', () => {
+      const first = new AbortController();
+      const second = new AbortController();
+      const removeEventListener = sinon.spy(second.signal, 'removeEventListener');
+
+      utils.anySignal([first.signal, second.signal]);
+      first.abort();
+
+      expect(removeEventListener).to.have.been.calledWith('abort');
+    });
+
+  });
+
+  describe('abortable', () => {
+
+    it('returns the promise without a signal', () => {
+      const promise = Promise.resolve('value');
+      expect(utils.abortable(promise)).to.equal(promise);
+    });
+
+    it('settles like the promise', async () => {
+      const signal = new AbortController().signal;
+      expect(await utils.abortable(Promise.resolve('value'), signal)).to.equal('value');
+
+      const error = new Error('failed');
+      let caught;
+      try {
+        await utils.abortable(Promise.reject(error), signal);
+      } catch (e) {
+        caught = e;
+      }
+      expect(caught).to.equal(error);
+    });
+
+    it('rejects with the reason when the signal aborts first', async () => {
+      const controller = new AbortController();
+      const reason = new Error('stop');
+      const pending = utils.abortable(new Promise(() => {}), controller.signal);
+
+      controller.abort(reason);
+
+      let caught;
+      try {
+        await pending;
+      } catch (e) {
+        caught = e;
+      }
+      expect(caught).to.equal(reason);
+    });
+
+    it('rejects immediately for an aborted signal', async () => {
+      const reason = new Error('stop');
+
+      let caught;
+      try {
+        await utils.abortable(Promise.resolve('value'), AbortSignal.abort(reason));
+      } catch (e) {
+        caught = e;
+      }
+      expect(caught).to.equal(reason);
+    });
+
+  });
 });